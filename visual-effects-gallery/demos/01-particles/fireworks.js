@@ -69,9 +69,9 @@ class Spark {
 }
 
 class Rocket {
-    constructor(x, targetY, hue) {
+    constructor(x, startY, targetY, hue) {
         this.x = x;
-        this.y = window.innerHeight;
+        this.y = startY;
         this.targetY = targetY;
         this.vy = -MathUtils.random(12, 16);
         this.hue = hue;
@@ -153,6 +153,10 @@ export class FireworksDemo extends BaseDemo {
         };
     }
 
+    getCounters() {
+        return { rockets: this.rockets.length, sparks: this.sparks.length };
+    }
+
     init() {
         this.rockets = [];
         this.sparks = [];
@@ -166,7 +170,7 @@ export class FireworksDemo extends BaseDemo {
 
     launchRocket(x, targetY) {
         const hue = this.options.rainbow ? (this.hueCounter += 30) % 360 : MathUtils.random(0, 360);
-        this.rockets.push(new Rocket(x, targetY, hue));
+        this.rockets.push(new Rocket(x, this.displayHeight, targetY, hue));
     }
 
     update(deltaTime) {
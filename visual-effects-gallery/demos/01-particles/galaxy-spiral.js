@@ -26,11 +26,11 @@ class Star {
         this.baseAngle += this.angleOffset;
 
         // Depth (z) for parallax effect
-        this.z = Math.random();
+        this.z = MathUtils.random(0, 1);
 
         // Visual properties
         this.baseSize = MathUtils.random(0.5, 2.5);
-        this.twinklePhase = Math.random() * Math.PI * 2;
+        this.twinklePhase = MathUtils.random(0, Math.PI * 2);
         this.twinkleSpeed = MathUtils.random(0.002, 0.005);
 
         // Color based on distance from center
@@ -79,7 +79,7 @@ class NebulaCloud {
         this.radius = MathUtils.random(50, 150);
         this.hue = MathUtils.random(200, 300);
         this.opacity = MathUtils.random(0.02, 0.06);
-        this.phase = Math.random() * Math.PI * 2;
+        this.phase = MathUtils.random(0, Math.PI * 2);
     }
 
     render(ctx, time) {
@@ -117,6 +117,17 @@ export class GalaxySpiralDemo extends BaseDemo {
         ];
     }
 
+    static getPresets() {
+        return [
+            { name: 'Milky Way', options: { starCount: 4000, armCount: 2, rotationSpeed: 0.0001, showNebula: true } },
+            { name: 'Pinwheel', options: { starCount: 3000, armCount: 5, rotationSpeed: 0.0004, showNebula: false } }
+        ];
+    }
+
+    static getQualityScaling() {
+        return { starCount: 0.25 };
+    }
+
     getDefaultOptions() {
         return {
             starCount: 2500,
@@ -126,6 +137,10 @@ export class GalaxySpiralDemo extends BaseDemo {
         };
     }
 
+    getCounters() {
+        return { stars: this.stars.length };
+    }
+
     init() {
         this.stars = [];
         this.nebulaClouds = [];
@@ -134,11 +149,12 @@ export class GalaxySpiralDemo extends BaseDemo {
 
     createGalaxy() {
         this.stars = [];
-        const { starCount, armCount } = this.options;
+        const { armCount } = this.options;
+        const starCount = this.scaled('starCount');
 
         for (let i = 0; i < starCount; i++) {
             const armIndex = i % armCount;
-            const distanceRatio = Math.pow(Math.random(), 0.5); // More stars toward center
+            const distanceRatio = Math.pow(MathUtils.random(0, 1), 0.5); // More stars toward center
             this.stars.push(new Star(armIndex, distanceRatio, armCount));
         }
 
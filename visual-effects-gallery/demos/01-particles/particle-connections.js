@@ -76,6 +76,10 @@ export class ParticleConnectionsDemo extends BaseDemo {
         };
     }
 
+    getCounters() {
+        return { nodes: this.nodes.length };
+    }
+
     init() {
         this.nodes = [];
         this.createNodes();
@@ -85,8 +89,8 @@ export class ParticleConnectionsDemo extends BaseDemo {
         this.nodes = [];
         for (let i = 0; i < this.options.nodeCount; i++) {
             this.nodes.push(new Node(
-                Math.random() * this.displayWidth,
-                Math.random() * this.displayHeight,
+                MathUtils.random(0, this.displayWidth),
+                MathUtils.random(0, this.displayHeight),
                 this.displayWidth,
                 this.displayHeight
             ));
@@ -100,6 +104,9 @@ export class ParticleConnectionsDemo extends BaseDemo {
     }
 
     onResize() {
+        // First resize happens in the constructor, before init()
+        if (!this.nodes) return;
+
         this.nodes.forEach(node => {
             node.width = this.displayWidth;
             node.height = this.displayHeight;
@@ -75,7 +75,8 @@ export class ParticleTextDemo extends BaseDemo {
         return [
             { type: 'slider', name: 'mouseRadius', label: 'Mouse Radius', min: 50, max: 200, default: 100 },
             { type: 'slider', name: 'returnForce', label: 'Return Force', min: 0.01, max: 0.2, default: 0.05, step: 0.01 },
-            { type: 'slider', name: 'hue', label: 'Base Hue', min: 0, max: 360, default: 280 }
+            { type: 'slider', name: 'hue', label: 'Base Hue', min: 0, max: 360, default: 280 },
+            { type: 'text', name: 'text', label: 'Text', default: 'CANVAS', maxLength: 16 }
         ];
     }
 
@@ -96,8 +97,8 @@ export class ParticleTextDemo extends BaseDemo {
     createTextParticles() {
         this.particles = [];
 
-        // Create offscreen canvas to render text
-        const offscreen = document.createElement('canvas');
+        // Create offscreen canvas to render text (sized once the text is measured)
+        const offscreen = this.createBuffer(1, 1);
         const ctx = offscreen.getContext('2d');
 
         const text = this.options.text;
@@ -136,8 +137,8 @@ export class ParticleTextDemo extends BaseDemo {
                     const targetY = y + offsetY;
 
                     // Start from random position
-                    const startX = Math.random() * this.displayWidth;
-                    const startY = Math.random() * this.displayHeight;
+                    const startX = MathUtils.random(0, this.displayWidth);
+                    const startY = MathUtils.random(0, this.displayHeight);
 
                     const hue = this.options.hue + MathUtils.random(-30, 30);
                     this.particles.push(new TextParticle(startX, startY, targetX, targetY, hue));
@@ -151,6 +152,9 @@ export class ParticleTextDemo extends BaseDemo {
     }
 
     onOptionChange(name, value) {
+        if (name === 'text') {
+            this.createTextParticles();
+        }
         if (name === 'hue') {
             this.particles.forEach(p => {
                 p.hue = value + MathUtils.random(-30, 30);
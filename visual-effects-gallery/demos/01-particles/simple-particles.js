@@ -25,16 +25,16 @@ class Particle {
         this.opacity = MathUtils.random(0.3, 0.8);
         this.hue = options.hue || MathUtils.random(180, 280);
         this.twinkleSpeed = MathUtils.random(0.001, 0.003);
-        this.twinklePhase = Math.random() * Math.PI * 2;
+        this.twinklePhase = MathUtils.random(0, Math.PI * 2);
     }
 
-    update(deltaTime, width, height) {
+    update(deltaTime, time, width, height) {
         // Gentle drift
         this.x += this.vx;
         this.y += this.vy;
 
         // Slight random wobble
-        this.x += Math.sin(Date.now() * 0.001 + this.twinklePhase) * 0.1;
+        this.x += Math.sin(time * 0.001 + this.twinklePhase) * 0.1;
 
         // Screen wrapping
         if (this.x < 0) this.x = width;
@@ -43,7 +43,7 @@ class Particle {
         if (this.y > height) this.y = 0;
 
         // Twinkle effect
-        this.currentOpacity = this.opacity * (0.5 + 0.5 * Math.sin(Date.now() * this.twinkleSpeed + this.twinklePhase));
+        this.currentOpacity = this.opacity * (0.5 + 0.5 * Math.sin(time * this.twinkleSpeed + this.twinklePhase));
     }
 
     render(ctx) {
@@ -87,6 +87,10 @@ export class SimpleParticlesDemo extends BaseDemo {
         };
     }
 
+    getCounters() {
+        return { particles: this.particles.length };
+    }
+
     init() {
         this.particles = [];
         this.createParticles();
@@ -96,8 +100,8 @@ export class SimpleParticlesDemo extends BaseDemo {
         this.particles = [];
         for (let i = 0; i < this.options.particleCount; i++) {
             this.particles.push(new Particle(
-                Math.random() * this.displayWidth,
-                Math.random() * this.displayHeight,
+                MathUtils.random(0, this.displayWidth),
+                MathUtils.random(0, this.displayHeight),
                 { hue: this.options.hue + MathUtils.random(-30, 30) }
             ));
         }
@@ -110,10 +114,13 @@ export class SimpleParticlesDemo extends BaseDemo {
     }
 
     onResize() {
+        // First resize happens in the constructor, before init()
+        if (!this.particles) return;
+
         // Redistribute particles on resize
         this.particles.forEach(p => {
-            if (p.x > this.displayWidth) p.x = Math.random() * this.displayWidth;
-            if (p.y > this.displayHeight) p.y = Math.random() * this.displayHeight;
+            if (p.x > this.displayWidth) p.x = MathUtils.random(0, this.displayWidth);
+            if (p.y > this.displayHeight) p.y = MathUtils.random(0, this.displayHeight);
         });
     }
 
@@ -122,7 +129,7 @@ export class SimpleParticlesDemo extends BaseDemo {
         this.particles.forEach(p => {
             p.vx = MathUtils.lerp(p.vx, MathUtils.random(-0.3, 0.3) * speed, 0.01);
             p.vy = MathUtils.lerp(p.vy, MathUtils.random(-0.5, -0.1) * speed, 0.01);
-            p.update(deltaTime, this.displayWidth, this.displayHeight);
+            p.update(deltaTime, this.time, this.displayWidth, this.displayHeight);
         });
     }
 
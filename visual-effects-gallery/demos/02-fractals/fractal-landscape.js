@@ -63,8 +63,8 @@ export class FractalLandscapeDemo extends BaseDemo {
         const heights = new Float32Array(size);
 
         // Initialize endpoints
-        heights[0] = Math.random() * 0.5 + 0.25;
-        heights[size - 1] = Math.random() * 0.5 + 0.25;
+        heights[0] = MathUtils.random(0.25, 0.75);
+        heights[size - 1] = MathUtils.random(0.25, 0.75);
 
         let step = size - 1;
         let scale = roughness;
@@ -75,7 +75,7 @@ export class FractalLandscapeDemo extends BaseDemo {
             for (let i = halfStep; i < size - 1; i += step) {
                 const left = heights[i - halfStep];
                 const right = heights[i + halfStep];
-                heights[i] = (left + right) / 2 + (Math.random() - 0.5) * scale;
+                heights[i] = (left + right) / 2 + MathUtils.random(-0.5, 0.5) * scale;
             }
 
             step = halfStep;
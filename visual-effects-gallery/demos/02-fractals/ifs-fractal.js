@@ -0,0 +1,502 @@
+/**
+ * @fileoverview IFS Fractals Demo
+ * Iterated function systems drawn by the chaos game or by recursion
+ *
+ * LEARNING OBJECTIVES:
+ * - Affine transformations
+ * - Attractors of contractive maps
+ * - The chaos game and log-density coloring
+ * - Random versus deterministic iteration
+ */
+
+import { BaseDemo } from '../../js/core/BaseDemo.js';
+import { IFS } from '../../js/utils/IFS.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
+
+/**
+ * Average chaos game hits per pixel after which the image is left as is
+ */
+const MAX_HITS_PER_PIXEL = 50;
+
+/**
+ * Average hits per pixel for the image to count as finished (thumbnail stills)
+ */
+const READY_HITS_PER_PIXEL = 2;
+
+/**
+ * Most shapes drawn by recursion; deeper settings are capped
+ */
+const MAX_SHAPES = 40000;
+
+/**
+ * Handle grab radius in CSS pixels
+ */
+const HANDLE_RADIUS = 8;
+
+/**
+ * Space around the attractor when fitting the view, as a fraction of its size
+ */
+const VIEW_MARGIN = 0.08;
+
+/**
+ * Background color, also used for empty density pixels
+ */
+const BACKGROUND = { r: 5, g: 5, b: 8 };
+
+/**
+ * Rotate by degrees and scale about the origin, then shift by (e, f)
+ * @returns {Object} Affine map
+ */
+function similarity(scale, degrees, e, f, p) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle) * scale;
+    const sin = Math.sin(angle) * scale;
+    return { a: cos, b: -sin, c: sin, d: cos, e, f, p };
+}
+
+// Built-in systems (weights roughly follow each map's area)
+const PRESETS = {
+    fern: {
+        name: 'Barnsley Fern',
+        maps: [
+            { a: 0, b: 0, c: 0, d: 0.16, e: 0, f: 0, p: 0.01 },
+            { a: 0.85, b: 0.04, c: -0.04, d: 0.85, e: 0, f: 1.6, p: 0.85 },
+            { a: 0.2, b: -0.26, c: 0.23, d: 0.22, e: 0, f: 1.6, p: 0.07 },
+            { a: -0.15, b: 0.28, c: 0.26, d: 0.24, e: 0, f: 0.44, p: 0.07 }
+        ]
+    },
+    carpet: {
+        name: 'Sierpinski Carpet',
+        // Eight thirds of the square, leaving out the middle
+        maps: [0, 1, 2, 3, 5, 6, 7, 8].map(cell => similarity(1 / 3, 0, (cell % 3) / 3, Math.floor(cell / 3) / 3, 1 / 8))
+    },
+    triangle: {
+        name: 'Sierpinski Triangle',
+        maps: [
+            similarity(0.5, 0, 0, 0, 1 / 3),
+            similarity(0.5, 0, 0.5, 0, 1 / 3),
+            similarity(0.5, 0, 0.25, Math.sqrt(3) / 4, 1 / 3)
+        ]
+    },
+    dragon: {
+        name: 'Heighway Dragon',
+        maps: [
+            similarity(Math.SQRT1_2, 45, 0, 0, 0.5),
+            similarity(Math.SQRT1_2, 135, 1, 0, 0.5)
+        ]
+    },
+    koch: {
+        name: 'Koch Snowflake',
+        // A smaller, turned snowflake in the middle and six thirds at the tips
+        maps: [
+            similarity(1 / Math.sqrt(3), 30, 0, 0, 1 / 3),
+            ...[0, 1, 2, 3, 4, 5].map(k => {
+                const angle = (90 + k * 60) * Math.PI / 180;
+                return similarity(1 / 3, 0, (2 / 3) * Math.cos(angle), (2 / 3) * Math.sin(angle), 1 / 9);
+            })
+        ]
+    }
+};
+
+export class IFSFractalDemo extends BaseDemo {
+    static getMetadata() {
+        return {
+            name: 'IFS Fractals',
+            description: 'Iterated function systems by chaos game or recursion; drag the handles to reshape each transform',
+            difficulty: 'advanced',
+            category: 'fractals',
+            expensive: true
+        };
+    }
+
+    static getControls() {
+        return [
+            {
+                type: 'select', name: 'preset', label: 'Fractal', default: 'fern',
+                options: Object.entries(PRESETS).map(([value, preset]) => ({ value, label: preset.name }))
+            },
+            {
+                type: 'select', name: 'mode', label: 'Rendering', default: 'chaos',
+                options: [
+                    { value: 'chaos', label: 'Chaos Game (density)' },
+                    { value: 'recursive', label: 'Deterministic Recursion' }
+                ]
+            },
+            { type: 'slider', name: 'pointsPerFrame', label: 'Points per Frame', min: 10000, max: 200000, default: 60000, step: 10000 },
+            { type: 'slider', name: 'depth', label: 'Recursion Depth', min: 1, max: 10, default: 6 },
+            ...paletteControls({ equalize: false, palette: 'magma' }),
+            { type: 'checkbox', name: 'showHandles', label: 'Show Transform Handles', default: true },
+            { type: 'button', label: 'Reset Transforms', action: 'resetMaps' },
+            { type: 'slider', name: 'renderScale', label: 'Render Scale', min: 0.25, max: 1, default: 1, step: 0.25 }
+        ];
+    }
+
+    static getQualityScaling() {
+        return { pointsPerFrame: 0.25, renderScale: 0.5 };
+    }
+
+    getDefaultOptions() {
+        return {
+            preset: 'fern',
+            mode: 'chaos',
+            pointsPerFrame: 60000,
+            depth: 6,
+            ...PALETTE_DEFAULTS,
+            palette: 'magma',
+            showHandles: true,
+            renderScale: 1
+        };
+    }
+
+    getCounters() {
+        return this.options.mode === 'chaos'
+            ? { points: this.plotted }
+            : { shapes: this.shapeCount };
+    }
+
+    isReady() {
+        if (this.options.mode !== 'chaos') return true;
+        return !!this.density && this.plotted >= this.density.length * READY_HITS_PER_PIXEL;
+    }
+
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
+    init() {
+        this.random = () => this.rng.next();
+        this.palette = Gradient.tryFromOptions(this.options);
+        this.drag = null;
+        this.loadPreset();
+    }
+
+    /**
+     * Start over from the selected preset's maps and fit the view to its attractor
+     */
+    loadPreset() {
+        const preset = PRESETS[this.options.preset] ?? PRESETS.fern;
+        this.ifs = new IFS(preset.maps);
+        this.bounds = this.ifs.estimateBounds(this.random);
+
+        // Handles show how each map places the attractor's bounding box
+        const { minX, maxX, minY, maxY } = this.bounds;
+        this.frame = [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: minX, y: maxY }
+        ];
+
+        this.resetImage();
+    }
+
+    /**
+     * Action: undo any dragging
+     */
+    resetMaps() {
+        this.loadPreset();
+    }
+
+    /**
+     * Drop accumulated density and recursion shapes after the maps or view changed
+     */
+    resetImage() {
+        this.density = null;
+        this.plotted = 0;
+        this.needsColor = true;
+        this.shapes = null;
+        this.shapeCount = 0;
+        this.ifs.reset();
+    }
+
+    onOptionChange(name) {
+        if (name === 'preset') {
+            this.loadPreset();
+        } else if (name === 'mode' || name === 'depth') {
+            this.resetImage();
+        } else if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { fallback: this.palette.gradient });
+            this.needsColor = true;
+        } else if (name === 'paletteOffset') {
+            this.needsColor = true;
+        }
+    }
+
+    // ============ View ============
+
+    /**
+     * World point at the canvas center and CSS pixels per world unit
+     * @returns {{centerX: number, centerY: number, scale: number}}
+     */
+    getView() {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const width = Math.max(maxX - minX, 1e-6) * (1 + VIEW_MARGIN * 2);
+        const height = Math.max(maxY - minY, 1e-6) * (1 + VIEW_MARGIN * 2);
+        return {
+            centerX: (minX + maxX) / 2,
+            centerY: (minY + maxY) / 2,
+            scale: Math.min(this.displayWidth / width, this.displayHeight / height)
+        };
+    }
+
+    /**
+     * World to CSS pixel coordinates (world y points up)
+     */
+    toScreen(point, view) {
+        return {
+            x: this.displayWidth / 2 + (point.x - view.centerX) * view.scale,
+            y: this.displayHeight / 2 - (point.y - view.centerY) * view.scale
+        };
+    }
+
+    /**
+     * CSS pixel to world coordinates
+     */
+    toWorld(x, y, view) {
+        return {
+            x: view.centerX + (x - this.displayWidth / 2) / view.scale,
+            y: view.centerY - (y - this.displayHeight / 2) / view.scale
+        };
+    }
+
+    // ============ Handles ============
+
+    /**
+     * Handle positions (world) for one map: the image of the frame's corners
+     * and the middle of the resulting parallelogram
+     * @param {Object} map
+     * @returns {{corners: Array<{x: number, y: number}>, center: {x: number, y: number}}}
+     */
+    getHandles(map) {
+        const corners = this.frame.map(point => IFS.apply(map, point));
+        return {
+            corners,
+            center: { x: (corners[1].x + corners[2].x) / 2, y: (corners[1].y + corners[2].y) / 2 }
+        };
+    }
+
+    onMouseDown(x, y) {
+        if (!this.options.showHandles) return;
+
+        const view = this.getView();
+        let best = null;
+        let bestDistance = HANDLE_RADIUS;
+
+        this.ifs.maps.forEach((map, index) => {
+            const { corners, center } = this.getHandles(map);
+            // Edge handles before the move handle, so they win when they overlap
+            [['x', corners[1]], ['y', corners[2]], ['move', center]].forEach(([handle, point]) => {
+                const screen = this.toScreen(point, view);
+                const distance = Math.hypot(screen.x - x, screen.y - y);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = { index, handle, corners, start: this.toWorld(x, y, view) };
+                }
+            });
+        });
+
+        this.drag = best;
+    }
+
+    onMouseMove(x, y) {
+        if (!this.drag) return;
+
+        const { index, handle, corners, start } = this.drag;
+        const point = this.toWorld(x, y, this.getView());
+        let target;
+
+        if (handle === 'move') {
+            const dx = point.x - start.x;
+            const dy = point.y - start.y;
+            target = corners.map(corner => ({ x: corner.x + dx, y: corner.y + dy }));
+        } else {
+            target = [...corners];
+            target[handle === 'x' ? 1 : 2] = point;
+        }
+
+        this.ifs.setMap(index, IFS.mapFromPoints(this.frame, target, this.ifs.maps[index].p));
+        this.resetImage();
+    }
+
+    onMouseUp() {
+        this.drag = null;
+    }
+
+    // ============ Chaos Game ============
+
+    update(deltaTime) {
+        if (this.options.mode !== 'chaos') return;
+
+        const width = Math.max(1, Math.floor(this.displayWidth * this.pixelScale));
+        const height = Math.max(1, Math.floor(this.displayHeight * this.pixelScale));
+        if (!this.density || this.densityWidth !== width || this.densityHeight !== height) {
+            this.density = new Float32Array(width * height);
+            this.densityWidth = width;
+            this.densityHeight = height;
+            this.plotted = 0;
+            this.ifs.reset();
+        }
+
+        if (this.plotted >= this.density.length * MAX_HITS_PER_PIXEL) return;
+
+        const view = this.getView();
+        const count = this.scaled('pointsPerFrame');
+        this.ifs.plot(this.density, width, height, {
+            centerX: view.centerX,
+            centerY: view.centerY,
+            scale: view.scale * (width / this.displayWidth)
+        }, count, this.random);
+
+        this.plotted += count;
+        this.needsColor = true;
+    }
+
+    /**
+     * Color the density buffer: log(1 + hits) through the gradient
+     */
+    colorDensity() {
+        const { density, densityWidth: width, densityHeight: height } = this;
+        if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
+            this.imageData = this.ctx.createImageData(width, height);
+        }
+
+        let max = 0;
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > max) max = density[i];
+        }
+
+        const data = this.imageData.data;
+        const { gradient } = this.palette;
+        const lut = gradient.lut;
+        const logMax = Math.log1p(max) || 1;
+        const offset = this.options.paletteOffset;
+
+        for (let i = 0; i < density.length; i++) {
+            const p = i * 4;
+            if (density[i] === 0) {
+                data[p] = BACKGROUND.r;
+                data[p + 1] = BACKGROUND.g;
+                data[p + 2] = BACKGROUND.b;
+            } else {
+                const index = gradient.indexOf(Math.log1p(density[i]) / logMax + offset);
+                data[p] = lut[index];
+                data[p + 1] = lut[index + 1];
+                data[p + 2] = lut[index + 2];
+            }
+            data[p + 3] = 255;
+        }
+
+        this.needsColor = false;
+    }
+
+    // ============ Recursion ============
+
+    /**
+     * Images of the frame under every composition of maps, grouped by top-level map
+     */
+    buildShapes() {
+        const mapCount = this.ifs.maps.length;
+        const maxDepth = mapCount > 1 ? Math.floor(Math.log(MAX_SHAPES) / Math.log(mapCount)) : this.options.depth;
+        this.shapeDepth = Math.min(this.options.depth, maxDepth);
+
+        this.shapes = this.ifs.maps.map(() => []);
+        this.ifs.compositions(this.shapeDepth, (transform, branch) => {
+            const [p0, p1, p2] = this.frame.map(point => IFS.apply(transform, point));
+            this.shapes[branch].push(p0.x, p0.y, p1.x, p1.y, p1.x + p2.x - p0.x, p1.y + p2.y - p0.y, p2.x, p2.y);
+        });
+        this.shapeCount = this.shapes.reduce((sum, shapes) => sum + shapes.length / 8, 0);
+    }
+
+    drawShapes(view) {
+        if (!this.shapes) this.buildShapes();
+
+        const originX = this.displayWidth / 2 - view.centerX * view.scale;
+        const originY = this.displayHeight / 2 + view.centerY * view.scale;
+        const scale = view.scale;
+        const mapCount = this.shapes.length;
+
+        this.shapes.forEach((quads, branch) => {
+            const color = this.palette.gradient.sample((branch + 0.5) / mapCount + this.options.paletteOffset);
+            this.ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+            this.ctx.beginPath();
+            for (let i = 0; i < quads.length; i += 8) {
+                this.ctx.moveTo(originX + quads[i] * scale, originY - quads[i + 1] * scale);
+                for (let k = 2; k < 8; k += 2) {
+                    this.ctx.lineTo(originX + quads[i + k] * scale, originY - quads[i + k + 1] * scale);
+                }
+                this.ctx.closePath();
+            }
+            this.ctx.fill();
+        });
+    }
+
+    // ============ Drawing ============
+
+    render() {
+        const view = this.getView();
+
+        this.ctx.fillStyle = `rgb(${BACKGROUND.r}, ${BACKGROUND.g}, ${BACKGROUND.b})`;
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+
+        if (this.options.mode === 'chaos') {
+            if (this.density) {
+                if (this.needsColor) this.colorDensity();
+                this.putPixels(this.imageData);
+            }
+        } else {
+            this.drawShapes(view);
+        }
+
+        // Handles are for the live view, not thumbnails or exports
+        if (this.options.showHandles && this.interactive && !this.isExporting) {
+            this.drawHandles(view);
+        }
+
+        this.drawInfo();
+    }
+
+    drawHandles(view) {
+        const mapCount = this.ifs.maps.length;
+
+        this.ifs.maps.forEach((map, index) => {
+            const { corners, center } = this.getHandles(map);
+            const [p0, p1, p2] = corners.map(point => this.toScreen(point, view));
+            const p3 = { x: p1.x + p2.x - p0.x, y: p1.y + p2.y - p0.y };
+            const c = this.toScreen(center, view);
+            const active = this.drag?.index === index;
+            const hue = (index / mapCount) * 360;
+
+            // Outline of the mapped frame
+            this.ctx.strokeStyle = `hsla(${hue}, 80%, 65%, ${active ? 1 : 0.6})`;
+            this.ctx.lineWidth = active ? 2 : 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(p0.x, p0.y);
+            this.ctx.lineTo(p1.x, p1.y);
+            this.ctx.lineTo(p3.x, p3.y);
+            this.ctx.lineTo(p2.x, p2.y);
+            this.ctx.closePath();
+            this.ctx.stroke();
+
+            // Corner handles reshape, the middle one moves
+            this.ctx.fillStyle = `hsl(${hue}, 80%, 65%)`;
+            [p1, p2].forEach(point => {
+                this.ctx.fillRect(point.x - 4, point.y - 4, 8, 8);
+            });
+            this.ctx.beginPath();
+            this.ctx.arc(c.x, c.y, 5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    drawInfo() {
+        const name = (PRESETS[this.options.preset] ?? PRESETS.fern).name;
+        const detail = this.options.mode === 'chaos'
+            ? `Points: ${(this.plotted / 1e6).toFixed(1)}M`
+            : `Shapes: ${this.shapeCount} (depth ${this.shapeDepth})`;
+        const hint = this.options.showHandles ? ' | Drag the handles to reshape each map' : '';
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.font = '12px sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`${name} | ${this.ifs.maps.length} maps | ${detail}${hint}`, 10, 20);
+    }
+}
@@ -1,24 +1,59 @@
 /**
  * @fileoverview Julia Set Demo
- * Animated Julia set with varying constant parameter
+ * Animated Julia set with varying constant parameter, optionally picked
+ * on a Mandelbrot map inset
  *
  * LEARNING OBJECTIVES:
  * - Julia set mathematics
  * - Animation through parameter space
  * - Complex plane visualization
+ * - Progressive rendering on Web Workers
+ * - How the Mandelbrot set indexes Julia sets
  */
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
 import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { EscapeTime } from '../../js/utils/EscapeTime.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
+import { TileRenderer } from '../../js/core/TileRenderer.js';
+
+/**
+ * Area of the plane shown on the Mandelbrot map inset
+ */
+const MAP_BOUNDS = { realMin: -2.2, realMax: 0.8, imagMin: -1.25, imagMax: 1.25 };
+
+/**
+ * Iteration limit for the map (it only needs to show the set's outline)
+ */
+const MAP_ITERATIONS = 60;
+
+/**
+ * Inset height as a share of the smaller canvas side, and its margin (px)
+ */
+const INSET_SIZE = 0.35;
+const INSET_MARGIN = 10;
+
+/**
+ * Most picked constants kept in the trail, and the distance (in the plane)
+ * the pick must move before a new trail point is added
+ */
+const TRAIL_LENGTH = 200;
+const TRAIL_SPACING = 0.01;
+
+/**
+ * Look of the 'hue' palette
+ */
+const HUE_PALETTE = { saturation: 85, lightness: 55 };
 
 export class JuliaSetDemo extends BaseDemo {
     static getMetadata() {
         return {
             name: 'Julia Set',
-            description: 'Animated Julia set - move mouse to change the fractal pattern',
+            description: 'Animated Julia set - move mouse to change the fractal pattern, or pick c on a Mandelbrot map',
             difficulty: 'intermediate',
-            category: 'fractals'
+            category: 'fractals',
+            expensive: true
         };
     }
 
@@ -26,26 +61,77 @@ export class JuliaSetDemo extends BaseDemo {
         return [
             { type: 'slider', name: 'maxIterations', label: 'Max Iterations', min: 30, max: 200, default: 80 },
             { type: 'slider', name: 'animationSpeed', label: 'Auto Animation Speed', min: 0, max: 0.002, default: 0.0005, step: 0.0001 },
-            { type: 'checkbox', name: 'mouseControl', label: 'Mouse Control', default: true }
+            {
+                type: 'select', name: 'mode', label: 'Constant Source', default: 'mouse',
+                options: [
+                    { value: 'mouse', label: 'Mouse' },
+                    { value: 'animate', label: 'Animate' },
+                    { value: 'manual', label: 'Manual (XY pad)' },
+                    { value: 'map', label: 'Mandelbrot Map' }
+                ]
+            },
+            { type: 'xy', name: 'c', label: 'Constant c (manual / map)', min: -2, max: 2, step: 0.001, default: { x: -0.7, y: 0.27015 } },
+            { type: 'slider', name: 'colorSpeed', label: 'Color Speed', min: 1, max: 20, default: 10 },
+            ...paletteControls(),
+            { type: 'button', action: 'clearTrail', label: 'Clear Map Trail' }
         ];
     }
 
+    static getQualityScaling() {
+        return { maxIterations: 0.4, renderScale: 0.5 };
+    }
+
     getDefaultOptions() {
         return {
             maxIterations: 80,
             animationSpeed: 0.0005,
-            mouseControl: true
+            mode: 'mouse',
+            c: { x: -0.7, y: 0.27015 },
+            colorSpeed: 10,
+            ...PALETTE_DEFAULTS
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
-        this.cReal = -0.7;
-        this.cImag = 0.27015;
+        // The constant in use; manual and map modes take it from the c option
+        this.cReal = this.options.c.x;
+        this.cImag = this.options.c.y;
         this.zoom = 1.5;
+
+        // Mandelbrot map: cached image and the constants picked on it
+        this.mapImage = null;
+        this.trail = [];
+
+        this.palette = Gradient.tryFromOptions(this.options, { hue: HUE_PALETTE });
+
+        // Escape-time work runs on workers when the page can spawn them
+        this.tiles?.cancel();
+        this.tiles = this.headless ? null : TileRenderer.create();
+    }
+
+    destroy() {
+        super.destroy();
+        this.tiles?.cancel();
+    }
+
+    isReady() {
+        return !this.tiles || this.tiles.isComplete();
     }
 
     update(deltaTime) {
-        if (this.options.mouseControl && this.mouse.x > 0) {
+        const { mode, c } = this.options;
+
+        // On the map, c only changes when picked (see pickFromMap)
+        if (mode === 'map') return;
+
+        if (mode === 'manual') {
+            this.cReal = c.x;
+            this.cImag = c.y;
+        } else if (mode === 'mouse' && this.mouse.x > 0) {
             // Map mouse position to interesting parameter range
             this.cReal = MathUtils.map(this.mouse.x, 0, this.displayWidth, -1, 1);
             this.cImag = MathUtils.map(this.mouse.y, 0, this.displayHeight, -1, 1);
@@ -57,56 +143,230 @@ export class JuliaSetDemo extends BaseDemo {
         }
     }
 
-    render() {
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
-        const { maxIterations } = this.options;
+    onMouseDown(x, y) {
+        if (this.options.mode === 'map') {
+            this.pickFromMap(x, y);
+        }
+    }
 
-        const imageData = this.ctx.createImageData(width, height);
+    onMouseMove(x, y) {
+        if (this.options.mode === 'map' && this.mouse.isDown) {
+            this.pickFromMap(x, y);
+        }
+    }
+
+    onResize() {
+        this.mapImage = null;
+    }
+
+    onOptionChange(name, value) {
+        if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { hue: HUE_PALETTE, fallback: this.palette.gradient });
+        } else if ((name === 'c' || name === 'mode') && this.options.mode === 'map') {
+            // Show the stored constant (picked earlier or from a link) on the map
+            this.cReal = this.options.c.x;
+            this.cImag = this.options.c.y;
+        }
+    }
+
+    /**
+     * Forget the explored constants (action)
+     */
+    clearTrail() {
+        this.trail = [];
+    }
+
+    /**
+     * Map inset position in CSS pixels (bottom right, keeping the map's aspect)
+     */
+    getMapRect() {
+        const height = Math.round(Math.min(this.displayWidth, this.displayHeight) * INSET_SIZE);
+        const aspect = (MAP_BOUNDS.realMax - MAP_BOUNDS.realMin) / (MAP_BOUNDS.imagMax - MAP_BOUNDS.imagMin);
+        const width = Math.round(height * aspect);
+
+        return {
+            x: this.displayWidth - width - INSET_MARGIN,
+            y: this.displayHeight - height - INSET_MARGIN,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Set c from a point on the map inset and extend the trail
+     * The pick is stored in the c option, so links and presets keep it
+     * @returns {boolean} Whether the point was on the map
+     */
+    pickFromMap(x, y) {
+        const rect = this.getMapRect();
+        if (x < rect.x || x > rect.x + rect.width || y < rect.y || y > rect.y + rect.height) {
+            return false;
+        }
+
+        const { realMin, realMax, imagMin, imagMax } = MAP_BOUNDS;
+        // Rounded to the c control's step, as if set on its pad
+        const round = v => Math.round(v * 1000) / 1000;
+        this.setOption('c', {
+            x: round(MathUtils.map(x, rect.x, rect.x + rect.width, realMin, realMax)),
+            y: round(MathUtils.map(y, rect.y, rect.y + rect.height, imagMin, imagMax))
+        });
+
+        const last = this.trail[this.trail.length - 1];
+        if (!last || Math.hypot(this.cReal - last.x, this.cImag - last.y) >= TRAIL_SPACING) {
+            this.trail.push({ x: this.cReal, y: this.cImag });
+            if (this.trail.length > TRAIL_LENGTH) {
+                this.trail.shift();
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Mandelbrot map image at the inset's pixel size, computed once per size
+     */
+    getMapImage(rect) {
+        const width = Math.max(1, Math.round(rect.width * this.pixelScale));
+        const height = Math.max(1, Math.round(rect.height * this.pixelScale));
+        if (this.mapImage?.width === width && this.mapImage.height === height) {
+            return this.mapImage;
+        }
+
+        const iterations = EscapeTime.computeTile({
+            kind: 'mandelbrot',
+            width,
+            height,
+            bounds: MAP_BOUNDS,
+            maxIterations: MAP_ITERATIONS
+        });
+
+        const buffer = this.createBuffer(width, height);
+        const ctx = buffer.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
         const data = imageData.data;
 
+        for (let index = 0; index < width * height; index++) {
+            const smooth = iterations[index];
+            const pixelIndex = index * 4;
+
+            // The set in white on dark blue, so picks inside it stand out
+            const rgb = smooth >= MAP_ITERATIONS
+                ? { r: 230, g: 230, b: 240 }
+                : ColorUtils.hslToRgb(225, 60, Math.min(45, 8 + smooth * 2));
+            data[pixelIndex] = rgb.r;
+            data[pixelIndex + 1] = rgb.g;
+            data[pixelIndex + 2] = rgb.b;
+            data[pixelIndex + 3] = 255;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        this.mapImage = buffer;
+        return buffer;
+    }
+
+    /**
+     * Draw the map inset with the trail and the current c
+     */
+    drawMap() {
+        const ctx = this.ctx;
+        const rect = this.getMapRect();
+        const { realMin, realMax, imagMin, imagMax } = MAP_BOUNDS;
+        const toX = real => MathUtils.map(real, realMin, realMax, rect.x, rect.x + rect.width);
+        const toY = imag => MathUtils.map(imag, imagMin, imagMax, rect.y, rect.y + rect.height);
+
+        ctx.drawImage(this.getMapImage(rect), rect.x, rect.y, rect.width, rect.height);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.clip();
+
+        // Trail, fading out towards the oldest picks
+        for (let i = 1; i < this.trail.length; i++) {
+            const from = this.trail[i - 1];
+            const to = this.trail[i];
+            ctx.strokeStyle = `rgba(255, 170, 60, ${(i / this.trail.length) * 0.9})`;
+            ctx.beginPath();
+            ctx.moveTo(toX(from.x), toY(from.y));
+            ctx.lineTo(toX(to.x), toY(to.y));
+            ctx.stroke();
+        }
+
+        // Current c
+        const x = toX(this.cReal);
+        const y = toY(this.cImag);
+        ctx.strokeStyle = '#ff4060';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.moveTo(x - 8, y);
+        ctx.lineTo(x - 5, y);
+        ctx.moveTo(x + 5, y);
+        ctx.lineTo(x + 8, y);
+        ctx.moveTo(x, y - 8);
+        ctx.lineTo(x, y - 5);
+        ctx.moveTo(x, y + 5);
+        ctx.lineTo(x, y + 8);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Escape-time parameters for the current constant at a grid size
+     */
+    getEscapeParams(width, height) {
         const aspect = width / height;
         const range = 3 / this.zoom;
 
-        const realMin = -range * aspect / 2;
-        const realMax = range * aspect / 2;
-        const imagMin = -range / 2;
-        const imagMax = range / 2;
-
-        for (let py = 0; py < height; py++) {
-            for (let px = 0; px < width; px++) {
-                let x = realMin + (px / width) * (realMax - realMin);
-                let y = imagMin + (py / height) * (imagMax - imagMin);
-
-                let iteration = 0;
-
-                while (x * x + y * y <= 4 && iteration < maxIterations) {
-                    const xtemp = x * x - y * y + this.cReal;
-                    y = 2 * x * y + this.cImag;
-                    x = xtemp;
-                    iteration++;
-                }
-
-                const pixelIndex = (py * width + px) * 4;
-
-                if (iteration === maxIterations) {
-                    data[pixelIndex] = 0;
-                    data[pixelIndex + 1] = 0;
-                    data[pixelIndex + 2] = 0;
-                } else {
-                    // Smooth coloring
-                    const smooth = iteration + 1 - Math.log2(Math.log2(x * x + y * y));
-                    const hue = (smooth * 10) % 360;
-                    const rgb = ColorUtils.hslToRgb(hue, 85, 55);
-                    data[pixelIndex] = rgb.r;
-                    data[pixelIndex + 1] = rgb.g;
-                    data[pixelIndex + 2] = rgb.b;
-                }
-                data[pixelIndex + 3] = 255;
-            }
+        return {
+            kind: 'julia',
+            width,
+            height,
+            bounds: {
+                realMin: -range * aspect / 2,
+                realMax: range * aspect / 2,
+                imagMin: -range / 2,
+                imagMax: range / 2
+            },
+            c: { x: this.cReal, y: this.cImag },
+            maxIterations: this.scaled('maxIterations')
+        };
+    }
+
+    /**
+     * Iteration counts to color this frame
+     * Live frames show the worker output as tiles arrive; elsewhere the grid is computed here
+     */
+    getIterations(width, height) {
+        const params = this.getEscapeParams(width, height);
+
+        if (this.tiles && !this.isExporting) {
+            this.tiles.render(params);
+            return this.tiles.output;
         }
+        return EscapeTime.computeTile(params);
+    }
+
+    render() {
+        const width = Math.floor(this.displayWidth * this.pixelScale);
+        const height = Math.floor(this.displayHeight * this.pixelScale);
+        const maxIterations = this.scaled('maxIterations');
+        const iterations = this.getIterations(width, height);
+
+        const imageData = this.ctx.createImageData(width, height);
+        const { colorSpeed, coloring, paletteOffset } = this.options;
+
+        // Smooth coloring (colorSpeed is in degrees of the hue wheel)
+        this.palette.gradient.colorize(imageData.data, iterations, {
+            scale: colorSpeed / 360,
+            offset: paletteOffset,
+            equalize: coloring === 'histogram',
+            ceiling: maxIterations
+        });
 
-        this.ctx.putImageData(imageData, 0, 0);
+        this.putPixels(imageData);
 
         // Parameter display
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
@@ -114,8 +374,11 @@ export class JuliaSetDemo extends BaseDemo {
         this.ctx.textAlign = 'left';
         this.ctx.fillText(`c = ${this.cReal.toFixed(4)} + ${this.cImag.toFixed(4)}i`, 10, 20);
 
-        if (this.options.mouseControl) {
+        if (this.options.mode === 'mouse') {
             this.ctx.fillText('Move mouse to explore Julia sets', 10, 36);
+        } else if (this.options.mode === 'map') {
+            this.ctx.fillText('Click or drag on the Mandelbrot map to pick c', 10, 36);
+            this.drawMap();
         }
     }
 }
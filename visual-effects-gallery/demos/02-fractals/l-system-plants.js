@@ -4,52 +4,95 @@
  *
  * LEARNING OBJECTIVES:
  * - L-system grammar and rewriting
+ * - Stochastic, context-sensitive and parametric rules
  * - Turtle graphics interpretation
  * - Procedural generation
+ *
+ * TURTLE SYMBOLS:
+ * - F, G: draw forward (F(l) draws l units), f: move without drawing
+ * - + and -: turn by the angle (+(a) turns a degrees), |: turn around
+ * - [ and ]: start and end a branch; other symbols don't draw
  */
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
 import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { LSystem } from '../../js/utils/LSystem.js';
+import { SeededRandom } from '../../js/utils/Random.js';
+
+/**
+ * Most modules a plant may grow to; larger grammars stop at an earlier iteration
+ * so drawing every frame stays interactive
+ */
+const MAX_MODULES = 60000;
 
-// L-System presets
-const PRESETS = {
-    bush: {
+// Built-in grammars (see LSystem.js for the rule syntax)
+const PRESETS = [
+    {
         name: 'Bush',
         axiom: 'F',
-        rules: { F: 'FF+[+F-F-F]-[-F+F+F]' },
+        rules: 'F -> FF+[+F-F-F]-[-F+F+F]',
         angle: 22.5,
         iterations: 4
     },
-    fern: {
+    {
         name: 'Fern',
         axiom: 'X',
-        rules: { X: 'F+[[X]-X]-F[-FX]+X', F: 'FF' },
+        rules: 'X -> F+[[X]-X]-F[-FX]+X\nF -> FF',
         angle: 25,
         iterations: 5
     },
-    tree: {
+    {
         name: 'Tree',
         axiom: 'X',
-        rules: { X: 'F[+X][-X]FX', F: 'FF' },
+        rules: 'X -> F[+X][-X]FX\nF -> FF',
         angle: 30,
         iterations: 5
     },
-    weed: {
+    {
         name: 'Weed',
         axiom: 'F',
-        rules: { F: 'F[+F]F[-F]F' },
+        rules: 'F -> F[+F]F[-F]F',
         angle: 25.7,
         iterations: 4
     },
-    sticks: {
+    {
         name: 'Sticks',
         axiom: 'X',
-        rules: { X: 'F[+X]F[-X]+X', F: 'FF' },
+        rules: 'X -> F[+X]F[-X]+X\nF -> FF',
         angle: 20,
         iterations: 6
+    },
+    {
+        // Stochastic: each F picks one of three weighted alternatives
+        name: 'Wild Weed',
+        axiom: 'F',
+        rules: 'F -(0.33)-> F[+F]F[-F]F\nF -(0.33)-> F[+F]F\nF -(0.34)-> F[-F]F',
+        angle: 25.7,
+        iterations: 5
+    },
+    {
+        // Context-sensitive: a signal B climbs the stem, leaving a pair of branches behind
+        name: 'Signal Pine',
+        axiom: 'BFAFAFAFAFAFAFAFAFAFAFA',
+        rules: '#ignore +-F\nB < A -> B\nB -> [+X][-X]\nX -> FX',
+        angle: 70,
+        iterations: 12
+    },
+    {
+        // Parametric: segments shrink by R at each fork until they're too short
+        name: 'Parametric Tree',
+        axiom: 'A(1)',
+        rules: 'R = 1.456\nA(s) : s > 0.05 -> F(s)[+A(s / R)][-A(s / R)]',
+        angle: 35,
+        iterations: 10
     }
-};
+];
+
+/**
+ * Grammar the demo opens with
+ */
+const DEFAULT_GRAMMAR = PRESETS[1];
 
 export class LSystemPlantsDemo extends BaseDemo {
     static getMetadata() {
@@ -57,54 +100,139 @@ export class LSystemPlantsDemo extends BaseDemo {
             name: 'L-System Plants',
             description: 'Procedural plants generated with L-system grammar rules',
             difficulty: 'advanced',
-            category: 'fractals'
+            category: 'fractals',
+            vector: true
         };
     }
 
     static getControls() {
         return [
-            { type: 'slider', name: 'preset', label: 'Plant Type', min: 0, max: 4, default: 1 },
-            { type: 'slider', name: 'iterations', label: 'Growth Iterations', min: 1, max: 7, default: 5 },
+            { type: 'text', name: 'axiom', label: 'Axiom', default: DEFAULT_GRAMMAR.axiom },
+            { type: 'text', name: 'rules', label: 'Rules (one per line)', default: DEFAULT_GRAMMAR.rules, rows: 5 },
+            { type: 'slider', name: 'angle', label: 'Turn Angle', min: 0, max: 180, default: DEFAULT_GRAMMAR.angle, step: 0.5 },
+            { type: 'slider', name: 'iterations', label: 'Growth Iterations', min: 1, max: 12, default: DEFAULT_GRAMMAR.iterations },
             { type: 'slider', name: 'angleVariation', label: 'Angle Variation', min: 0, max: 10, default: 3 },
             { type: 'checkbox', name: 'animate', label: 'Sway Animation', default: true }
         ];
     }
 
+    static getPresets() {
+        return PRESETS.map(({ name, ...grammar }) => ({ name, options: grammar }));
+    }
+
     getDefaultOptions() {
         return {
-            preset: 1,
-            iterations: 5,
+            axiom: DEFAULT_GRAMMAR.axiom,
+            rules: DEFAULT_GRAMMAR.rules,
+            angle: DEFAULT_GRAMMAR.angle,
+            iterations: DEFAULT_GRAMMAR.iterations,
             angleVariation: 3,
             animate: true
         };
     }
 
+    getCounters() {
+        return { modules: this.modules.length };
+    }
+
+    getOptionErrors() {
+        return this.errors;
+    }
+
     init() {
-        this.presetKeys = Object.keys(PRESETS);
-        this.generateString();
+        this.system = null;
+        this.modules = [];
+        this.errors = {};
+        this.parseGrammar();
+        this.generatePlant();
     }
 
-    generateString() {
-        const preset = PRESETS[this.presetKeys[this.options.preset]];
-        let current = preset.axiom;
+    /**
+     * Parse the axiom and rules; on an error keep growing the last grammar that parsed
+     */
+    parseGrammar() {
+        try {
+            this.system = LSystem.parse(this.options.axiom, this.options.rules);
+            this.errors = {};
+        } catch (e) {
+            this.errors = { [e.option]: e.message.replace(/^LSystem: /, '') };
+        }
+    }
+
+    /**
+     * Rewrite the grammar and measure the plant
+     * Stochastic choices come from the seed, so a seed always grows the same plant
+     */
+    generatePlant() {
+        if (!this.system) return;
+
+        const random = new SeededRandom(this.options.seed);
+        const result = this.system.generate(this.options.iterations, {
+            random: () => random.next(),
+            maxModules: MAX_MODULES
+        });
+
+        this.modules = result.modules;
+        this.iterationsDone = result.iterations;
+        this.measurePlant();
+    }
 
-        const iterations = Math.min(this.options.iterations, preset.iterations + 1);
+    /**
+     * Walk the turtle once without animation to find the plant's bounds
+     * (in segment units) and how deeply its branches nest
+     */
+    measurePlant() {
+        const baseAngle = MathUtils.degToRad(this.options.angle);
+        const stack = [];
+        let x = 0, y = 0, angle = -Math.PI / 2;
+        let minX = 0, maxX = 0, minY = 0, maxY = 0;
+        let depth = 0;
+        this.maxDepth = 0;
 
-        for (let i = 0; i < iterations; i++) {
-            let next = '';
-            for (const char of current) {
-                next += preset.rules[char] || char;
+        for (const { symbol, params } of this.modules) {
+            switch (symbol) {
+                case 'F':
+                case 'G':
+                case 'f':
+                    x += Math.cos(angle) * (params?.[0] ?? 1);
+                    y += Math.sin(angle) * (params?.[0] ?? 1);
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                    break;
+                case '+':
+                    angle += params ? MathUtils.degToRad(params[0]) : baseAngle;
+                    break;
+                case '-':
+                    angle -= params ? MathUtils.degToRad(params[0]) : baseAngle;
+                    break;
+                case '|':
+                    angle += Math.PI;
+                    break;
+                case '[':
+                    stack.push({ x, y, angle });
+                    depth++;
+                    this.maxDepth = Math.max(this.maxDepth, depth);
+                    break;
+                case ']':
+                    if (stack.length > 0) ({ x, y, angle } = stack.pop());
+                    depth--;
+                    break;
             }
-            current = next;
         }
 
-        this.lString = current;
-        this.preset = preset;
+        this.bounds = { minX, maxX, minY, maxY };
     }
 
     onOptionChange(name, value) {
-        if (name === 'preset' || name === 'iterations') {
-            this.generateString();
+        if (name === 'axiom' || name === 'rules') {
+            this.parseGrammar();
+            this.generatePlant();
+        } else if (name === 'iterations') {
+            this.generatePlant();
+        } else if (name === 'angle') {
+            this.measurePlant();
         }
     }
 
@@ -125,72 +253,89 @@ export class LSystemPlantsDemo extends BaseDemo {
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
 
         // Ground
+        const groundY = this.displayHeight - 30;
         this.ctx.fillStyle = '#1a1510';
-        this.ctx.fillRect(0, this.displayHeight - 30, this.displayWidth, 30);
+        this.ctx.fillRect(0, groundY, this.displayWidth, 30);
 
-        // Calculate bounds for scaling
-        const baseAngle = MathUtils.degToRad(this.preset.angle);
-        const segmentLength = Math.min(this.displayWidth, this.displayHeight) / (this.options.iterations * 15);
+        // Fit the plant's measured bounds above the ground
+        const { minX, maxX, minY, maxY } = this.bounds ?? { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+        const segmentLength = Math.min(
+            (this.displayWidth * 0.9) / Math.max(maxX - minX, 1e-6),
+            (groundY - 40) / Math.max(maxY - minY, 1e-6)
+        );
+        const baseAngle = MathUtils.degToRad(this.options.angle);
+        const maxDepth = this.maxDepth ?? 0;
 
         // Draw plant
+        const originX = this.displayWidth / 2 - ((minX + maxX) / 2) * segmentLength;
+        const originY = groundY - maxY * segmentLength;
         this.ctx.save();
-        this.ctx.translate(this.displayWidth / 2, this.displayHeight - 30);
+        this.ctx.translate(originX, originY);
+        this.ctx.lineCap = 'round';
+
+        // SVG recordings hold the current frame's plant
+        const vector = this.vector;
+        if (vector) {
+            vector.clear('#1a1a2e');
+            vector.save();
+            vector.translate(originX, originY);
+        }
 
         const stack = [];
         let x = 0, y = 0, angle = -Math.PI / 2;
         let depth = 0;
-        let maxDepth = 0;
-
-        // First pass to get max depth
-        for (const char of this.lString) {
-            if (char === '[') depth++;
-            if (char === ']') depth--;
-            maxDepth = Math.max(maxDepth, depth);
-        }
 
-        depth = 0;
-
-        for (let i = 0; i < this.lString.length; i++) {
-            const char = this.lString[i];
+        for (let i = 0; i < this.modules.length; i++) {
+            const { symbol, params } = this.modules[i];
 
             // Sway animation based on depth
             const sway = this.options.animate
                 ? Math.sin(this.time * 0.001 + depth * 0.3 + i * 0.01) * 0.02 * depth
                 : 0;
 
-            // Random variation
-            const variation = MathUtils.degToRad(MathUtils.random(-this.options.angleVariation, this.options.angleVariation));
-
-            switch (char) {
+            switch (symbol) {
                 case 'F':
-                    // Draw forward
-                    const newX = x + Math.cos(angle + sway) * segmentLength;
-                    const newY = y + Math.sin(angle + sway) * segmentLength;
-
-                    // Color based on depth (brown -> green)
-                    const depthRatio = depth / Math.max(maxDepth, 1);
-                    const hue = MathUtils.lerp(30, 120, depthRatio);
-                    const lightness = MathUtils.lerp(25, 45, depthRatio);
-                    const thickness = MathUtils.lerp(3, 0.5, depthRatio);
-
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(x, y);
-                    this.ctx.lineTo(newX, newY);
-                    this.ctx.strokeStyle = ColorUtils.hsl(hue, 50, lightness);
-                    this.ctx.lineWidth = thickness;
-                    this.ctx.lineCap = 'round';
-                    this.ctx.stroke();
+                case 'G':
+                case 'f': {
+                    // Move forward, drawing unless f
+                    const length = (params?.[0] ?? 1) * segmentLength;
+                    const newX = x + Math.cos(angle + sway) * length;
+                    const newY = y + Math.sin(angle + sway) * length;
+
+                    if (symbol !== 'f') {
+                        // Color based on depth (brown -> green)
+                        const depthRatio = depth / Math.max(maxDepth, 1);
+                        const hue = MathUtils.lerp(30, 120, depthRatio);
+                        const lightness = MathUtils.lerp(25, 45, depthRatio);
+                        const thickness = MathUtils.lerp(3, 0.5, depthRatio);
+
+                        const color = ColorUtils.hsl(hue, 50, lightness);
+
+                        this.ctx.beginPath();
+                        this.ctx.moveTo(x, y);
+                        this.ctx.lineTo(newX, newY);
+                        this.ctx.strokeStyle = color;
+                        this.ctx.lineWidth = thickness;
+                        this.ctx.stroke();
+                        vector?.line(x, y, newX, newY, { stroke: color, width: thickness });
+                    }
 
                     x = newX;
                     y = newY;
                     break;
+                }
 
                 case '+':
-                    angle += baseAngle + variation + sway;
+                case '-': {
+                    // Random variation
+                    const variation = MathUtils.degToRad(MathUtils.random(-this.options.angleVariation, this.options.angleVariation));
+                    const turn = params ? MathUtils.degToRad(params[0]) : baseAngle;
+                    angle += symbol === '+' ? turn + variation + sway : -(turn + variation - sway);
                     break;
+                }
 
-                case '-':
-                    angle -= baseAngle + variation - sway;
+                case '|':
+                    angle += Math.PI;
                     break;
 
                 case '[':
@@ -198,15 +343,19 @@ export class LSystemPlantsDemo extends BaseDemo {
                     depth++;
                     break;
 
-                case ']':
+                case ']': {
                     const state = stack.pop();
                     if (state) {
                         // Draw leaf at branch tip
                         if (depth >= maxDepth - 1) {
+                            const radius = MathUtils.random(2, 4);
+                            const color = ColorUtils.hsl(MathUtils.random(100, 140), 60, 45, 0.8);
+
                             this.ctx.beginPath();
-                            this.ctx.arc(x, y, MathUtils.random(2, 4), 0, Math.PI * 2);
-                            this.ctx.fillStyle = ColorUtils.hsl(MathUtils.random(100, 140), 60, 45, 0.8);
+                            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+                            this.ctx.fillStyle = color;
                             this.ctx.fill();
+                            vector?.circle(x, y, radius, { fill: color });
                         }
 
                         x = state.x;
@@ -215,20 +364,28 @@ export class LSystemPlantsDemo extends BaseDemo {
                     }
                     depth--;
                     break;
+                }
 
-                case 'X':
-                    // Symbol for structure, no drawing
-                    break;
+                // Other symbols (X, A, B, ...) only steer the rewriting
             }
         }
 
         this.ctx.restore();
+        vector?.restore();
 
         // Info
-        const presetName = PRESETS[this.presetKeys[this.options.preset]].name;
+        const stopped = this.iterationsDone < this.options.iterations
+            ? ` (stopped at ${this.iterationsDone}: too large)`
+            : '';
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
         this.ctx.font = '12px sans-serif';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(`${presetName} | Segments: ${this.lString.length}`, 10, 20);
+        this.ctx.fillText(`Modules: ${this.modules.length}${stopped}`, 10, 20);
+
+        const error = Object.values(this.errors)[0];
+        if (error) {
+            this.ctx.fillStyle = 'rgba(255, 120, 120, 0.9)';
+            this.ctx.fillText(error, 10, 36);
+        }
     }
 }
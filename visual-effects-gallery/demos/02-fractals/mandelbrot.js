@@ -1,147 +1,607 @@
 /**
  * @fileoverview Mandelbrot Set Demo
- * Zoomable Mandelbrot set with smooth coloring
+ * Zoomable Mandelbrot set with smooth coloring and perturbation-based deep zoom
+ * Wheel/pinch to zoom, drag to pan, click to fly in; views can be bookmarked
  *
  * LEARNING OBJECTIVES:
  * - Complex number mathematics
  * - Escape-time algorithm
  * - Image data manipulation
+ * - Progressive rendering on Web Workers
+ * - Perturbation theory for zooms beyond double precision
  */
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
-import { MathUtils } from '../../js/utils/MathUtils.js';
-import { ColorUtils, Palettes } from '../../js/utils/ColorUtils.js';
+import { MathUtils, Easing } from '../../js/utils/MathUtils.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
+import { EscapeTime } from '../../js/utils/EscapeTime.js';
+import { FixedPoint } from '../../js/utils/FixedPoint.js';
+import { TileRenderer } from '../../js/core/TileRenderer.js';
+
+/**
+ * Zoom from which deep zoom switches to perturbation (plain doubles
+ * pixelate somewhere past 2^45)
+ */
+const PERTURBATION_ZOOM = 1e10;
+
+/**
+ * Deepest zoom; beyond this the per-pixel offsets underflow doubles
+ */
+const MAX_ZOOM = 1e300;
+
+/**
+ * Fractional bits kept for the view center beyond those the zoom needs
+ */
+const GUARD_BITS = 64;
+
+/**
+ * Wheel zoom speed: the zoom changes by e^(rate * pixels scrolled)
+ */
+const WHEEL_ZOOM_RATE = 0.002;
+
+/**
+ * Pointer travel (px) before a press becomes a drag instead of a click
+ */
+const DRAG_THRESHOLD = 4;
+
+/**
+ * Length (ms) of a click zoom; longer flights add time per doubling of zoom
+ */
+const FLIGHT_DURATION = 400;
+const FLIGHT_DURATION_PER_OCTAVE = 40;
+const MAX_FLIGHT_DURATION = 6000;
+
+/**
+ * localStorage key for saved bookmarks
+ */
+const BOOKMARK_STORAGE_KEY = 'canvas-gallery:bookmarks:mandelbrot';
+
+/**
+ * How long (ms) a status message stays on screen
+ */
+const STATUS_DURATION = 3000;
+
+/**
+ * Built-in locations; coordinates are decimal strings so deep ones keep every digit
+ */
+const BUILT_IN_BOOKMARKS = [
+    { name: 'Full Set', x: '-0.5', y: '0', zoom: 1, maxIterations: 150 },
+    { name: 'Elephant Valley', x: '0.285', y: '0.01', zoom: 100, maxIterations: 400 },
+    { name: 'Mini Mandelbrot', x: '-1.7549', y: '0', zoom: 100, maxIterations: 400 },
+    {
+        name: 'Seahorse Valley',
+        x: '-0.743643887037158704752191506114774',
+        y: '0.131825904205311970493132056385139',
+        zoom: 1e9,
+        maxIterations: 2000
+    },
+    { name: 'Dendrite Tip (1e50)', x: '0', y: '1', zoom: 1e50, maxIterations: 500 }
+];
 
 export class MandelbrotDemo extends BaseDemo {
     static getMetadata() {
         return {
             name: 'Mandelbrot Set',
-            description: 'Click to zoom into the infinite fractal. Right-click to zoom out.',
+            description: 'Scroll, pinch or click to zoom into the infinite fractal and drag to pan. Right-click to zoom out.',
             difficulty: 'intermediate',
-            category: 'fractals'
+            category: 'fractals',
+            expensive: true
         };
     }
 
     static getControls() {
         return [
-            { type: 'slider', name: 'maxIterations', label: 'Max Iterations', min: 50, max: 500, default: 150 },
+            { type: 'slider', name: 'maxIterations', label: 'Max Iterations', min: 50, max: 2000, default: 150 },
             { type: 'slider', name: 'colorSpeed', label: 'Color Speed', min: 1, max: 20, default: 8 },
-            { type: 'checkbox', name: 'animateColors', label: 'Animate Colors', default: true }
+            { type: 'checkbox', name: 'animateColors', label: 'Animate Colors', default: true },
+            ...paletteControls(),
+            { type: 'checkbox', name: 'deepZoom', label: 'Deep Zoom (perturbation)', default: true },
+            {
+                type: 'select',
+                name: 'bookmark',
+                label: 'Bookmarks',
+                // Read on every call, so the list follows saved and deleted bookmarks
+                options: [
+                    { value: '', label: 'Choose a bookmark…' },
+                    ...listBookmarks().map(bookmark => ({ value: bookmark.name, label: bookmark.name }))
+                ],
+                default: ''
+            },
+            { type: 'button', action: 'goToSelectedBookmark', label: 'Go to Bookmark' },
+            { type: 'button', action: 'addBookmark', label: 'Bookmark This View' },
+            { type: 'button', action: 'deleteBookmark', label: 'Delete Bookmark' },
+            { type: 'button', action: 'exportBookmarks', label: 'Export Bookmarks' }
+        ];
+    }
+
+    static getPresets() {
+        return [
+            { name: 'Quick Preview', options: { maxIterations: 50, colorSpeed: 4, animateColors: false } },
+            { name: 'Fine Detail', options: { maxIterations: 500, colorSpeed: 3, animateColors: false } },
+            { name: 'Psychedelic', options: { maxIterations: 200, colorSpeed: 20, animateColors: true } }
         ];
     }
 
+    static getQualityScaling() {
+        return { maxIterations: 0.4, renderScale: 0.5 };
+    }
+
     getDefaultOptions() {
         return {
             maxIterations: 150,
             colorSpeed: 8,
-            animateColors: true
+            animateColors: true,
+            ...PALETTE_DEFAULTS,
+            deepZoom: true,
+            bookmark: ''
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
-        // View bounds
-        this.centerX = -0.5;
-        this.centerY = 0;
+        // View center in fixed point with `precision` fractional bits
+        this.precision = GUARD_BITS;
+        this.center = { x: FixedPoint.fromNumber(-0.5, this.precision), y: 0n };
         this.zoom = 1;
 
+        this.reference = null;
+        this.referenceKey = null;
+
+        // Navigation
+        this.animation = null;
+        this.drag = null;
+        this.cancelClick = false;
+        this.status = null;
+
+        // Last complete frame, redrawn scaled while a new view computes
+        this.snapshot = null;
+
         this.needsRedraw = true;
         this.imageData = null;
+        this.palette = Gradient.tryFromOptions(this.options);
+
+        // Escape-time work runs on workers when the page can spawn them
+        this.tiles?.cancel();
+        this.tiles = this.headless ? null : TileRenderer.create();
     }
 
-    onClick(x, y) {
-        // Zoom in on click location
-        const { realMin, realMax, imagMin, imagMax } = this.getBounds();
+    destroy() {
+        super.destroy();
+        this.tiles?.cancel();
+    }
 
-        const clickReal = realMin + (x / this.displayWidth) * (realMax - realMin);
-        const clickImag = imagMin + (y / this.displayHeight) * (imagMax - imagMin);
+    isReady() {
+        return !this.tiles || this.tiles.isComplete();
+    }
 
-        this.centerX = clickReal;
-        this.centerY = clickImag;
-        this.zoom *= 2;
-        this.needsRedraw = true;
+    onClick(x, y) {
+        // A drag that ends over the canvas isn't a click
+        if (this.cancelClick) {
+            this.cancelClick = false;
+            return;
+        }
+
+        // Fly in on click location
+        const offset = this.getOffset(x, y);
+        const zoom = Math.min(this.zoom * 2, MAX_ZOOM);
+        const precision = Math.max(this.precision, this.getPrecision(zoom));
+        this.flyTo({
+            x: FixedPoint.rescale(this.center.x, this.precision, precision) + FixedPoint.fromNumber(offset.real, precision),
+            y: FixedPoint.rescale(this.center.y, this.precision, precision) + FixedPoint.fromNumber(offset.imag, precision)
+        }, precision, zoom);
     }
 
     onMouseDown(x, y, button) {
         if (button === 2) { // Right click
-            this.zoom = Math.max(1, this.zoom / 2);
-            this.needsRedraw = true;
+            this.flyTo(this.center, this.precision, this.zoom / 2);
+            return;
         }
+        this.drag = { x, y, moved: false };
+        this.cancelClick = false;
+    }
+
+    onMouseMove(x, y) {
+        if (!this.drag) return;
+
+        const dx = x - this.drag.x;
+        const dy = y - this.drag.y;
+        if (!this.drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+        // Pan so the grabbed point follows the pointer
+        const unit = 3 / this.zoom / this.displayHeight;
+        this.animation = null;
+        this.moveView(-dx * unit, -dy * unit, this.zoom);
+        this.drag = { x, y, moved: true };
+    }
+
+    onMouseUp() {
+        this.cancelClick = !!this.drag?.moved;
+        this.drag = null;
+    }
+
+    onWheel(x, y, delta) {
+        this.animation = null;
+        this.zoomAround(x, y, this.zoom * Math.exp(-delta * WHEEL_ZOOM_RATE));
+        return true;
     }
 
-    getBounds() {
+    onPinch(x, y, scale, dx, dy) {
+        const unit = 3 / this.zoom / this.displayHeight;
+        this.animation = null;
+        this.moveView(-dx * unit, -dy * unit, this.zoom);
+        this.zoomAround(x, y, this.zoom * scale);
+    }
+
+    /**
+     * Offset of a canvas point from the view center in the complex plane
+     * (small enough for doubles at any zoom)
+     */
+    getOffset(x, y) {
         const aspect = this.displayWidth / this.displayHeight;
         const range = 3 / this.zoom;
 
         return {
-            realMin: this.centerX - range * aspect / 2,
-            realMax: this.centerX + range * aspect / 2,
-            imagMin: this.centerY - range / 2,
-            imagMax: this.centerY + range / 2
+            real: (x / this.displayWidth - 0.5) * range * aspect,
+            imag: (y / this.displayHeight - 0.5) * range
         };
     }
 
-    onResize() {
+    /**
+     * Fractional bits a view center needs at a zoom
+     */
+    getPrecision(zoom) {
+        return Math.max(GUARD_BITS, Math.ceil(Math.log2(zoom)) + GUARD_BITS);
+    }
+
+    /**
+     * Grow the center's precision (it never shrinks, so zooming out and back loses nothing)
+     */
+    raisePrecision(precision) {
+        if (precision <= this.precision) return;
+
+        this.center = {
+            x: FixedPoint.rescale(this.center.x, this.precision, precision),
+            y: FixedPoint.rescale(this.center.y, this.precision, precision)
+        };
+        this.precision = precision;
+    }
+
+    /**
+     * Shift the center by an offset and set the zoom
+     */
+    moveView(offsetReal, offsetImag, zoom) {
+        this.zoom = MathUtils.clamp(zoom, 1, MAX_ZOOM);
+        this.raisePrecision(this.getPrecision(this.zoom));
+
+        this.center = {
+            x: this.center.x + FixedPoint.fromNumber(offsetReal, this.precision),
+            y: this.center.y + FixedPoint.fromNumber(offsetImag, this.precision)
+        };
         this.needsRedraw = true;
-        this.imageData = null;
     }
 
-    onOptionChange(name, value) {
-        if (name === 'maxIterations') {
-            this.needsRedraw = true;
+    /**
+     * Zoom while keeping the plane point under a canvas point in place
+     */
+    zoomAround(x, y, zoom) {
+        const target = MathUtils.clamp(zoom, 1, MAX_ZOOM);
+        const offset = this.getOffset(x, y);
+        const keep = 1 - this.zoom / target;
+        this.moveView(offset.real * keep, offset.imag * keep, target);
+    }
+
+    /**
+     * Start an animated flight to a view
+     * @param {{x: bigint, y: bigint}} center - Target center
+     * @param {number} precision - Fractional bits of the target center
+     * @param {number} zoom - Target zoom
+     */
+    flyTo(center, precision, zoom) {
+        const toZoom = MathUtils.clamp(zoom, 1, MAX_ZOOM);
+        this.raisePrecision(Math.max(precision, this.getPrecision(toZoom)));
+
+        const target = {
+            x: FixedPoint.rescale(center.x, precision, this.precision),
+            y: FixedPoint.rescale(center.y, precision, this.precision)
+        };
+        const octaves = Math.abs(Math.log2(toZoom / this.zoom));
+
+        this.animation = {
+            target,
+            precision: this.precision,
+            // Distance still to travel, which is what shrinks as the view closes in
+            offset: {
+                real: FixedPoint.toNumber(target.x - this.center.x, this.precision),
+                imag: FixedPoint.toNumber(target.y - this.center.y, this.precision)
+            },
+            fromZoom: this.zoom,
+            toZoom,
+            elapsed: 0,
+            duration: Math.min(FLIGHT_DURATION + octaves * FLIGHT_DURATION_PER_OCTAVE, MAX_FLIGHT_DURATION)
+        };
+    }
+
+    /**
+     * Advance the flight: zoom moves geometrically, and the center closes in so
+     * the target stays put on screen as in a real zoom
+     */
+    updateAnimation(deltaTime) {
+        const animation = this.animation;
+        animation.elapsed += deltaTime;
+
+        const t = Easing.easeInOutCubic(Math.min(1, animation.elapsed / animation.duration));
+        const { fromZoom, toZoom, offset } = animation;
+        const zoom = fromZoom * Math.pow(toZoom / fromZoom, t);
+
+        // Share of the offset still to go; 1 at the start, 0 on arrival
+        const remaining = fromZoom === toZoom
+            ? 1 - t
+            : (fromZoom / zoom - fromZoom / toZoom) / (1 - fromZoom / toZoom);
+
+        this.zoom = zoom;
+        this.raisePrecision(animation.precision);
+        const target = {
+            x: FixedPoint.rescale(animation.target.x, animation.precision, this.precision),
+            y: FixedPoint.rescale(animation.target.y, animation.precision, this.precision)
+        };
+        this.center = {
+            x: target.x - FixedPoint.fromNumber(offset.real * remaining, this.precision),
+            y: target.y - FixedPoint.fromNumber(offset.imag * remaining, this.precision)
+        };
+        this.needsRedraw = true;
+
+        if (animation.elapsed >= animation.duration) {
+            this.animation = null;
         }
     }
 
-    calculateMandelbrot() {
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
-        const { maxIterations } = this.options;
-        const { realMin, realMax, imagMin, imagMax } = this.getBounds();
+    // ============ Bookmarks ============
 
-        this.iterationData = new Float32Array(width * height);
+    /**
+     * Built-in and saved bookmarks
+     * @returns {Array<{name: string, x: string, y: string, zoom: number, maxIterations: number}>}
+     */
+    getBookmarks() {
+        return listBookmarks();
+    }
 
-        for (let py = 0; py < height; py++) {
-            for (let px = 0; px < width; px++) {
-                const x0 = realMin + (px / width) * (realMax - realMin);
-                const y0 = imagMin + (py / height) * (imagMax - imagMin);
+    /**
+     * Save the current view and select it in the list (action)
+     */
+    addBookmark() {
+        // Enough digits to pin the center well below one pixel
+        const digits = Math.ceil(Math.log10(this.zoom)) + 8;
+        const saved = loadBookmarks();
+        const taken = new Set(this.getBookmarks().map(bookmark => bookmark.name));
+        let number = saved.length + 1;
+        while (taken.has(`Bookmark ${number}`)) number++;
+
+        const bookmark = {
+            name: `Bookmark ${number}`,
+            x: FixedPoint.toString(this.center.x, this.precision, digits),
+            y: FixedPoint.toString(this.center.y, this.precision, digits),
+            zoom: this.zoom,
+            maxIterations: this.options.maxIterations
+        };
 
-                let x = 0;
-                let y = 0;
-                let iteration = 0;
+        saved.push(bookmark);
+        saveBookmarks(saved);
+        this.setOption('bookmark', bookmark.name);
+        this.showStatus(`Saved ${bookmark.name}`);
+    }
+
+    /**
+     * Fly to the bookmark selected in the list (action)
+     */
+    goToSelectedBookmark() {
+        const bookmark = this.getBookmarks().find(b => b.name === this.options.bookmark);
+        if (!bookmark) {
+            this.showStatus('Choose a bookmark first');
+            return;
+        }
+        this.goToBookmark(bookmark);
+        this.showStatus(bookmark.name);
+    }
 
-                while (x * x + y * y <= 4 && iteration < maxIterations) {
-                    const xtemp = x * x - y * y + x0;
-                    y = 2 * x * y + y0;
-                    x = xtemp;
-                    iteration++;
-                }
+    /**
+     * Remove the saved bookmark selected in the list (action)
+     */
+    deleteBookmark() {
+        const saved = loadBookmarks();
+        const remaining = saved.filter(bookmark => bookmark.name !== this.options.bookmark);
+
+        if (remaining.length === saved.length) {
+            const isBuiltIn = BUILT_IN_BOOKMARKS.some(bookmark => bookmark.name === this.options.bookmark);
+            this.showStatus(isBuiltIn ? `Built-in bookmarks can't be deleted` : 'Choose a saved bookmark first');
+            return;
+        }
 
-                // Smooth coloring
-                if (iteration < maxIterations) {
-                    const log_zn = Math.log(x * x + y * y) / 2;
-                    const nu = Math.log(log_zn / Math.log(2)) / Math.log(2);
-                    iteration = iteration + 1 - nu;
-                }
+        saveBookmarks(remaining);
+        this.showStatus(`Deleted ${this.options.bookmark}`);
+        this.setOption('bookmark', '');
+    }
 
-                this.iterationData[py * width + px] = iteration;
+    /**
+     * Fly to a bookmark and use its iteration count
+     */
+    goToBookmark(bookmark) {
+        const precision = this.getPrecision(bookmark.zoom);
+
+        try {
+            const center = {
+                x: FixedPoint.parse(bookmark.x, precision),
+                y: FixedPoint.parse(bookmark.y, precision)
+            };
+            if (bookmark.maxIterations !== this.options.maxIterations) {
+                this.setOption('maxIterations', bookmark.maxIterations);
             }
+            this.flyTo(center, precision, bookmark.zoom);
+        } catch (e) {
+            console.error(`MandelbrotDemo: Can't go to bookmark "${bookmark.name}"`, e);
         }
+    }
+
+    /**
+     * All bookmarks as a JSON download (action)
+     * @returns {{blob: Blob, filename: string}}
+     */
+    exportBookmarks() {
+        const json = JSON.stringify({ format: 1, demo: 'mandelbrot', bookmarks: this.getBookmarks() }, null, 2);
+        return { blob: new Blob([json], { type: 'application/json' }), filename: 'mandelbrot-bookmarks.json' };
+    }
+
+    /**
+     * Show a short message under the zoom indicator
+     */
+    showStatus(text) {
+        this.status = { text, until: this.time + STATUS_DURATION };
+    }
+
+    /**
+     * Check whether the view is rendered with perturbation
+     */
+    isDeepZoom() {
+        return this.options.deepZoom && this.zoom >= PERTURBATION_ZOOM;
+    }
+
+    /**
+     * Visible area of the complex plane
+     * @param {boolean} relative - Offsets from the view center instead of absolute values
+     */
+    getBounds(relative = false) {
+        const aspect = this.displayWidth / this.displayHeight;
+        const range = 3 / this.zoom;
+        const centerX = relative ? 0 : FixedPoint.toNumber(this.center.x, this.precision);
+        const centerY = relative ? 0 : FixedPoint.toNumber(this.center.y, this.precision);
+
+        return {
+            realMin: centerX - range * aspect / 2,
+            realMax: centerX + range * aspect / 2,
+            imagMin: centerY - range / 2,
+            imagMax: centerY + range / 2
+        };
+    }
+
+    /**
+     * Reference orbit at the view center, recomputed only when the center
+     * or iteration limit changes
+     */
+    getReferenceOrbit(maxIterations) {
+        const key = `${this.center.x}:${this.center.y}:${this.precision}:${maxIterations}`;
+        if (key !== this.referenceKey) {
+            this.reference = EscapeTime.referenceOrbit(this.center.x, this.center.y, this.precision, maxIterations);
+            this.referenceKey = key;
+        }
+        return this.reference;
+    }
+
+    onResize() {
+        this.needsRedraw = true;
+        this.imageData = null;
+    }
+
+    onOptionChange(name, value) {
+        if (name === 'maxIterations' || name === 'deepZoom') {
+            this.needsRedraw = true;
+        } else if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { fallback: this.palette.gradient });
+        }
+    }
+
+    /**
+     * Escape-time parameters for the current view at a grid size
+     */
+    getEscapeParams(width, height) {
+        const maxIterations = this.scaled('maxIterations');
+
+        if (this.isDeepZoom()) {
+            return {
+                kind: 'perturbation',
+                width,
+                height,
+                bounds: this.getBounds(true),
+                reference: this.getReferenceOrbit(maxIterations),
+                maxIterations
+            };
+        }
+
+        return {
+            kind: 'mandelbrot',
+            width,
+            height,
+            bounds: this.getBounds(),
+            maxIterations
+        };
+    }
 
+    /**
+     * Compute the whole grid on this thread (headless, export, no workers)
+     */
+    calculateMandelbrot(width = this.pixelWidth, height = this.pixelHeight) {
+        this.iterationData = EscapeTime.computeTile(this.getEscapeParams(width, height));
+        this.iterationWidth = width;
+        this.iterationHeight = height;
         this.needsRedraw = false;
     }
 
+    /**
+     * Iteration counts to color this frame
+     * Live frames show the worker output as tiles arrive; exports compute synchronously
+     */
+    getIterations(width, height) {
+        if (this.tiles && !this.isExporting) {
+            if (this.tiles.width !== width || this.tiles.height !== height) {
+                this.tiles.render(this.getEscapeParams(width, height));
+            }
+            return this.tiles.output;
+        }
+
+        if (!this.iterationData || this.iterationWidth !== width || this.iterationHeight !== height) {
+            this.calculateMandelbrot(width, height);
+        }
+        return this.iterationData;
+    }
+
+    /**
+     * Escape-time grid size in pixels (follows pixelScale for high-res export)
+     */
+    get pixelWidth() {
+        return Math.floor(this.displayWidth * this.pixelScale);
+    }
+
+    get pixelHeight() {
+        return Math.floor(this.displayHeight * this.pixelScale);
+    }
+
     update(deltaTime) {
-        if (this.needsRedraw) {
+        if (this.animation) {
+            this.updateAnimation(deltaTime);
+        }
+        if (!this.needsRedraw) return;
+
+        if (this.tiles) {
+            this.tiles.render(this.getEscapeParams(this.pixelWidth, this.pixelHeight));
+            this.needsRedraw = false;
+        } else {
             this.calculateMandelbrot();
         }
     }
 
     render() {
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
-        const { maxIterations, colorSpeed, animateColors } = this.options;
+        const width = this.pixelWidth;
+        const height = this.pixelHeight;
+        const { colorSpeed, animateColors, coloring, paletteOffset } = this.options;
+        const maxIterations = this.scaled('maxIterations');
 
-        if (!this.iterationData) {
-            this.calculateMandelbrot();
+        const iterations = this.getIterations(width, height);
+
+        // Until the new view has a preview, stretch the last complete frame over it
+        if (this.tiles && !this.isExporting && !this.tiles.isPreviewReady() && this.drawSnapshot()) {
+            this.drawInfo();
+            return;
         }
 
         // Create image data if needed
@@ -149,42 +609,136 @@ export class MandelbrotDemo extends BaseDemo {
             this.imageData = this.ctx.createImageData(width, height);
         }
 
-        const data = this.imageData.data;
-        const colorOffset = animateColors ? this.time * 0.02 : 0;
-
-        for (let py = 0; py < height; py++) {
-            for (let px = 0; px < width; px++) {
-                const index = py * width + px;
-                const iteration = this.iterationData[index];
-                const pixelIndex = index * 4;
-
-                if (iteration >= maxIterations) {
-                    // Inside the set - black
-                    data[pixelIndex] = 0;
-                    data[pixelIndex + 1] = 0;
-                    data[pixelIndex + 2] = 0;
-                } else {
-                    // Outside - colorful
-                    const hue = (iteration * colorSpeed + colorOffset) % 360;
-                    const saturation = 80;
-                    const lightness = 50;
-
-                    const rgb = ColorUtils.hslToRgb(hue, saturation, lightness);
-                    data[pixelIndex] = rgb.r;
-                    data[pixelIndex + 1] = rgb.g;
-                    data[pixelIndex + 2] = rgb.b;
-                }
-                data[pixelIndex + 3] = 255;
-            }
+        // Inside the set black, outside along the palette (colorSpeed is in degrees of the hue wheel)
+        const colorOffset = animateColors ? this.time * 0.02 / 360 : 0;
+        this.palette.gradient.colorize(this.imageData.data, iterations, {
+            scale: colorSpeed / 360,
+            offset: paletteOffset + colorOffset,
+            equalize: coloring === 'histogram',
+            ceiling: maxIterations
+        });
+
+        this.putPixels(this.imageData);
+
+        if (this.tiles && !this.isExporting && this.tiles.isComplete()) {
+            this.saveSnapshot();
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
+        this.drawInfo();
+    }
 
+    /**
+     * Keep the finished frame and the view it shows
+     */
+    saveSnapshot() {
+        const { width, height } = this.imageData;
+        const key = `${this.center.x}:${this.center.y}:${this.precision}:${this.zoom}:${width}:${height}`;
+        if (this.snapshot?.key === key) return;
+
+        const canvas = this.snapshot?.canvas.width === width && this.snapshot.canvas.height === height
+            ? this.snapshot.canvas
+            : this.createBuffer(width, height);
+        canvas.getContext('2d').putImageData(this.imageData, 0, 0);
+
+        this.snapshot = {
+            key,
+            canvas,
+            center: { ...this.center },
+            precision: this.precision,
+            zoom: this.zoom,
+            displayWidth: this.displayWidth,
+            displayHeight: this.displayHeight
+        };
+    }
+
+    /**
+     * Draw the snapshot where its view lies in the current one
+     * @returns {boolean} false if there is no snapshot or it is too far zoomed to be useful
+     */
+    drawSnapshot() {
+        const snapshot = this.snapshot;
+        if (!snapshot) return false;
+
+        // CSS pixels per unit of the plane, now and when the snapshot was taken
+        const scale = this.displayHeight * this.zoom / 3;
+        const snapshotScale = snapshot.displayHeight * snapshot.zoom / 3;
+        const width = snapshot.displayWidth * scale / snapshotScale;
+        const height = snapshot.displayHeight * scale / snapshotScale;
+        if (width > this.displayWidth * 64) return false;
+
+        const precision = Math.max(snapshot.precision, this.precision);
+        const offsetReal = FixedPoint.toNumber(
+            FixedPoint.rescale(snapshot.center.x, snapshot.precision, precision) -
+            FixedPoint.rescale(this.center.x, this.precision, precision), precision);
+        const offsetImag = FixedPoint.toNumber(
+            FixedPoint.rescale(snapshot.center.y, snapshot.precision, precision) -
+            FixedPoint.rescale(this.center.y, this.precision, precision), precision);
+
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        this.ctx.drawImage(
+            snapshot.canvas,
+            this.displayWidth / 2 + offsetReal * scale - width / 2,
+            this.displayHeight / 2 + offsetImag * scale - height / 2,
+            width,
+            height
+        );
+        return true;
+    }
+
+    /**
+     * Zoom, center and status text
+     */
+    drawInfo() {
         // Zoom indicator
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         this.ctx.font = '12px monospace';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(`Zoom: ${this.zoom.toFixed(1)}x | Click to zoom in, right-click to zoom out`, 10, 20);
-        this.ctx.fillText(`Center: ${this.centerX.toFixed(10)}, ${this.centerY.toFixed(10)}i`, 10, 36);
+        const zoom = this.zoom < 1e6 ? this.zoom.toFixed(1) : this.zoom.toExponential(2);
+        const mode = this.isDeepZoom() ? ' (perturbation)' : '';
+        this.ctx.fillText(`Zoom: ${zoom}x${mode} | Scroll or click to zoom in, drag to pan, right-click to zoom out`, 10, 20);
+
+        // Enough digits to tell neighboring pixels apart
+        const digits = Math.max(10, Math.ceil(Math.log10(this.zoom)) + 4);
+        const centerX = FixedPoint.toString(this.center.x, this.precision, digits);
+        const centerY = FixedPoint.toString(this.center.y, this.precision, digits);
+        this.ctx.fillText(`Center: ${centerX}, ${centerY}i`, 10, 36);
+
+        if (this.status && this.time < this.status.until) {
+            this.ctx.fillText(this.status.text, 10, 52);
+        }
     }
 }
+
+/**
+ * Built-in bookmarks followed by saved ones
+ * @returns {Array<{name: string, x: string, y: string, zoom: number, maxIterations: number}>}
+ */
+function listBookmarks() {
+    return [...BUILT_IN_BOOKMARKS, ...loadBookmarks()];
+}
+
+/**
+ * Read saved bookmarks
+ * @returns {Array<Object>}
+ */
+function loadBookmarks() {
+    if (typeof localStorage === 'undefined') return [];
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(BOOKMARK_STORAGE_KEY) ?? '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        console.warn('MandelbrotDemo: Ignoring unreadable bookmarks', e);
+        return [];
+    }
+}
+
+/**
+ * Write saved bookmarks
+ * @param {Array<Object>} bookmarks
+ */
+function saveBookmarks(bookmarks) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(BOOKMARK_STORAGE_KEY, JSON.stringify(bookmarks));
+}
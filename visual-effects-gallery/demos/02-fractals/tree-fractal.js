@@ -18,7 +18,8 @@ export class TreeFractalDemo extends BaseDemo {
             name: 'Tree Fractal',
             description: 'Recursive branching tree that sways in the wind',
             difficulty: 'beginner',
-            category: 'fractals'
+            category: 'fractals',
+            vector: true
         };
     }
 
@@ -64,18 +65,21 @@ export class TreeFractalDemo extends BaseDemo {
         const depthRatio = depth / maxDepth;
         const hue = MathUtils.lerp(120, 35, depthRatio); // Green to brown
         const lightness = MathUtils.lerp(35, 25, depthRatio);
+        const color = ColorUtils.hsl(hue, 40, lightness);
 
         // Draw the branch
         this.ctx.beginPath();
         this.ctx.moveTo(0, 0);
         this.ctx.lineTo(0, -length);
-        this.ctx.strokeStyle = ColorUtils.hsl(hue, 40, lightness);
+        this.ctx.strokeStyle = color;
         this.ctx.lineWidth = thickness;
         this.ctx.lineCap = 'round';
         this.ctx.stroke();
+        this.vector?.line(0, 0, 0, -length, { stroke: color, width: thickness });
 
-        // Move to end of branch
+        // Move to end of branch (SVG recordings follow the same transforms)
         this.ctx.translate(0, -length);
+        this.vector?.translate(0, -length);
 
         // Scale down for child branches
         const scale = 0.72;
@@ -84,21 +88,30 @@ export class TreeFractalDemo extends BaseDemo {
         // Left branch
         this.ctx.save();
         this.ctx.rotate(-angleRad + windOffset);
+        this.vector?.save();
+        this.vector?.rotate(-angleRad + windOffset);
         this.drawBranch(newLength, depth - 1, maxDepth);
         this.ctx.restore();
+        this.vector?.restore();
 
         // Right branch
         this.ctx.save();
         this.ctx.rotate(angleRad + windOffset);
+        this.vector?.save();
+        this.vector?.rotate(angleRad + windOffset);
         this.drawBranch(newLength, depth - 1, maxDepth);
         this.ctx.restore();
+        this.vector?.restore();
 
         // Sometimes add a middle branch
-        if (depth > 2 && depth < maxDepth - 1 && Math.random() > 0.5) {
+        if (depth > 2 && depth < maxDepth - 1 && MathUtils.random(0, 1) > 0.5) {
             this.ctx.save();
             this.ctx.rotate(windOffset * 0.5);
+            this.vector?.save();
+            this.vector?.rotate(windOffset * 0.5);
             this.drawBranch(newLength * 0.8, depth - 2, maxDepth);
             this.ctx.restore();
+            this.vector?.restore();
         }
 
         // Draw leaves at tips
@@ -110,11 +123,13 @@ export class TreeFractalDemo extends BaseDemo {
     drawLeaf() {
         const leafSize = MathUtils.random(3, 6);
         const leafHue = MathUtils.random(90, 140);
+        const color = ColorUtils.hsl(leafHue, 60, 45, 0.8);
 
         this.ctx.beginPath();
         this.ctx.arc(0, 0, leafSize, 0, Math.PI * 2);
-        this.ctx.fillStyle = ColorUtils.hsl(leafHue, 60, 45, 0.8);
+        this.ctx.fillStyle = color;
         this.ctx.fill();
+        this.vector?.circle(0, 0, leafSize, { fill: color });
     }
 
     render() {
@@ -134,11 +149,18 @@ export class TreeFractalDemo extends BaseDemo {
         // Position at bottom center
         this.ctx.save();
         this.ctx.translate(this.displayWidth / 2, this.displayHeight - 50);
+        if (this.vector) {
+            // SVG recordings hold the current frame's tree
+            this.vector.clear('#1a1a2e');
+            this.vector.save();
+            this.vector.translate(this.displayWidth / 2, this.displayHeight - 50);
+        }
 
         // Draw the tree
         this.drawBranch(trunkLength, depth, depth);
 
         this.ctx.restore();
+        this.vector?.restore();
 
         // Stars in background
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
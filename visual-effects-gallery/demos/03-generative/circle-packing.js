@@ -81,6 +81,7 @@ export class CirclePackingDemo extends BaseDemo {
             { type: 'slider', name: 'growthSpeed', label: 'Growth Speed', min: 0.2, max: 2, default: 0.5, step: 0.1 },
             { type: 'slider', name: 'maxCircles', label: 'Max Circles', min: 100, max: 1000, default: 500 },
             { type: 'slider', name: 'newPerFrame', label: 'New Per Frame', min: 1, max: 10, default: 3 },
+            { type: 'button', label: 'Restart', action: 'reseed' },
             { type: 'checkbox', name: 'animate', label: 'Pulse Animation', default: true }
         ];
     }
@@ -94,26 +95,27 @@ export class CirclePackingDemo extends BaseDemo {
         };
     }
 
+    getCounters() {
+        return { circles: this.circles.length };
+    }
+
     init() {
         this.circles = [];
         this.attempts = 0;
         this.maxAttempts = 500;
         this.complete = false;
-        this.hueOffset = Math.random() * 360;
+        this.hueOffset = MathUtils.random(0, 360);
     }
 
     onClick(x, y) {
-        // Restart packing
-        this.circles = [];
-        this.attempts = 0;
-        this.complete = false;
-        this.hueOffset = Math.random() * 360;
+        // Restart packing with a new seed
+        this.reseed();
     }
 
     tryAddCircle() {
         // Random position
-        const x = Math.random() * this.displayWidth;
-        const y = Math.random() * this.displayHeight;
+        const x = MathUtils.random(0, this.displayWidth);
+        const y = MathUtils.random(0, this.displayHeight);
 
         // Check if position is valid
         let valid = true;
@@ -189,6 +191,6 @@ export class CirclePackingDemo extends BaseDemo {
         this.ctx.font = '12px sans-serif';
         this.ctx.textAlign = 'left';
         const status = this.complete ? 'Complete!' : 'Packing...';
-        this.ctx.fillText(`Circles: ${this.circles.length} | ${status} | Click to restart`, 10, 20);
+        this.ctx.fillText(`Circles: ${this.circles.length} | ${status} | Seed: ${this.options.seed} | Click to restart`, 10, 20);
     }
 }
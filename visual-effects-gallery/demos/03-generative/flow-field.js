@@ -11,33 +11,17 @@
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
 import { ColorUtils, Palettes } from '../../js/utils/ColorUtils.js';
+import { Noise, NoiseUtils } from '../../js/utils/NoiseUtils.js';
 
-// Simple noise function (value noise)
-function noise2D(x, y) {
-    const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
-    return n - Math.floor(n);
-}
-
-function smoothNoise(x, y) {
-    const x0 = Math.floor(x);
-    const y0 = Math.floor(y);
-    const fx = x - x0;
-    const fy = y - y0;
-
-    // Smooth interpolation
-    const sx = fx * fx * (3 - 2 * fx);
-    const sy = fy * fy * (3 - 2 * fy);
-
-    const n00 = noise2D(x0, y0);
-    const n10 = noise2D(x0 + 1, y0);
-    const n01 = noise2D(x0, y0 + 1);
-    const n11 = noise2D(x0 + 1, y0 + 1);
-
-    const nx0 = n00 * (1 - sx) + n10 * sx;
-    const nx1 = n01 * (1 - sx) + n11 * sx;
+/**
+ * How far the field drifts through noise space per second, looping or not
+ */
+const DRIFT_SPEED = 0.06;
 
-    return nx0 * (1 - sy) + nx1 * sy;
-}
+/**
+ * Canvas background, repeated in SVG recordings
+ */
+const BACKGROUND = '#050508';
 
 class FlowParticle {
     constructor(x, y, hue) {
@@ -51,13 +35,12 @@ class FlowParticle {
         this.maxLife = this.life;
     }
 
-    update(width, height, scale, noiseZ, speed) {
+    update(width, height, angleAt, speed) {
         this.prevX = this.x;
         this.prevY = this.y;
 
-        // Get flow angle from noise
-        const noiseValue = smoothNoise(this.x * scale, this.y * scale + noiseZ);
-        const angle = noiseValue * Math.PI * 4;
+        // Get flow angle from the field
+        const angle = angleAt(this.x, this.y);
 
         // Move in flow direction
         this.x += Math.cos(angle) * this.speed * speed;
@@ -67,15 +50,15 @@ class FlowParticle {
 
         // Reset if out of bounds or dead
         if (this.x < 0 || this.x > width || this.y < 0 || this.y > height || this.life <= 0) {
-            this.x = Math.random() * width;
-            this.y = Math.random() * height;
+            this.x = MathUtils.random(0, width);
+            this.y = MathUtils.random(0, height);
             this.prevX = this.x;
             this.prevY = this.y;
             this.life = this.maxLife;
         }
     }
 
-    render(ctx) {
+    render(ctx, vector) {
         const lifeRatio = this.life / this.maxLife;
         ctx.beginPath();
         ctx.moveTo(this.prevX, this.prevY);
@@ -83,6 +66,12 @@ class FlowParticle {
         ctx.strokeStyle = ColorUtils.hsl(this.hue, 70, 55, lifeRatio * 0.5);
         ctx.lineWidth = lifeRatio * 2;
         ctx.stroke();
+
+        // One style per particle so its trace merges into a single path
+        vector?.line(this.prevX, this.prevY, this.x, this.y, {
+            stroke: ColorUtils.hsl(this.hue, 70, 55, 0.5),
+            width: 1
+        });
     }
 }
 
@@ -92,7 +81,8 @@ export class FlowFieldDemo extends BaseDemo {
             name: 'Flow Field',
             description: 'Particles flowing through a noise-based vector field',
             difficulty: 'beginner',
-            category: 'generative'
+            category: 'generative',
+            vector: true
         };
     }
 
@@ -101,65 +91,152 @@ export class FlowFieldDemo extends BaseDemo {
             { type: 'slider', name: 'particleCount', label: 'Particles', min: 500, max: 5000, default: 2000 },
             { type: 'slider', name: 'scale', label: 'Field Scale', min: 0.001, max: 0.02, default: 0.005, step: 0.001 },
             { type: 'slider', name: 'speed', label: 'Flow Speed', min: 0.5, max: 3, default: 1.5, step: 0.1 },
-            { type: 'slider', name: 'hue', label: 'Base Hue', min: 0, max: 360, default: 200 }
+            { type: 'slider', name: 'hue', label: 'Base Hue', min: 0, max: 360, default: 200 },
+            {
+                type: 'select',
+                name: 'noiseType',
+                label: 'Noise',
+                options: [
+                    { value: 'perlin', label: 'Perlin' },
+                    { value: 'simplex', label: 'Simplex' },
+                    { value: 'fbm', label: 'Fractal (fBm)' },
+                    { value: 'warped', label: 'Domain Warped' },
+                    { value: 'curl', label: 'Curl (no sinks)' }
+                ],
+                default: 'perlin'
+            },
+            { type: 'checkbox', name: 'loop', label: 'Seamless Loop (4D noise)', default: false },
+            { type: 'slider', name: 'loopSeconds', label: 'Loop Length (s)', min: 2, max: 30, default: 10 }
         ];
     }
 
+    static getPresets() {
+        return [
+            { name: 'Calm Current', options: { particleCount: 1500, scale: 0.002, speed: 0.8, hue: 200 } },
+            { name: 'Turbulence', options: { particleCount: 4000, scale: 0.015, speed: 2.5, hue: 330 } },
+            { name: 'Embers', options: { particleCount: 2500, scale: 0.008, speed: 1.2, hue: 20 } },
+            { name: 'Silk Loop', options: { particleCount: 3000, scale: 0.004, speed: 1, hue: 280, noiseType: 'curl', loop: true } }
+        ];
+    }
+
+    static getQualityScaling() {
+        return { particleCount: 0.25 };
+    }
+
     getDefaultOptions() {
         return {
             particleCount: 2000,
             scale: 0.005,
             speed: 1.5,
-            hue: 200
+            hue: 200,
+            noiseType: 'perlin',
+            loop: false,
+            loopSeconds: 10
         };
     }
 
+    getCounters() {
+        return { particles: this.particles.length };
+    }
+
     init() {
         this.particles = [];
         this.noiseZ = 0;
+        this.loopPhase = 0;
+        this.noise = new Noise(this.options.seed);
+        this.buildField();
         this.createParticles();
 
         // Dark background
-        this.ctx.fillStyle = '#050508';
+        this.ctx.fillStyle = BACKGROUND;
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        this.vector?.clear(BACKGROUND);
     }
 
     createParticles() {
         this.particles = [];
-        for (let i = 0; i < this.options.particleCount; i++) {
+        const count = this.scaled('particleCount');
+        for (let i = 0; i < count; i++) {
             const hue = this.options.hue + MathUtils.random(-30, 30);
             this.particles.push(new FlowParticle(
-                Math.random() * this.displayWidth,
-                Math.random() * this.displayHeight,
+                MathUtils.random(0, this.displayWidth),
+                MathUtils.random(0, this.displayHeight),
                 hue
             ));
         }
     }
 
+    /**
+     * Build the field function (x, y, z, w) => flow angle for the chosen noise
+     * Unlooped fields move through 3D noise along z; looped ones circle
+     * through the z-w plane of 4D noise
+     */
+    buildField() {
+        const { noiseType, loop } = this.options;
+        const noise = this.noise;
+        const base = noiseType === 'perlin'
+            ? (loop ? (x, y, z, w) => noise.perlin4(x, y, z, w) : (x, y, z) => noise.perlin3(x, y, z))
+            : (loop ? (x, y, z, w) => noise.simplex4(x, y, z, w) : (x, y, z) => noise.simplex3(x, y, z));
+
+        let sample = base;
+        switch (noiseType) {
+            case 'fbm':
+                sample = NoiseUtils.fbm(base, { octaves: 4 });
+                break;
+            case 'warped':
+                sample = NoiseUtils.warp(NoiseUtils.fbm(base, { octaves: 3 }), 1.5);
+                break;
+            case 'curl':
+                // Follow the curl of the noise instead of reading its value as an angle
+                this.field = (x, y, z, w) => {
+                    const velocity = NoiseUtils.curl2(base, x, y, z, w);
+                    return Math.atan2(velocity.y, velocity.x);
+                };
+                return;
+        }
+
+        // Noise spans -1 to 1: two full turns either way
+        this.field = (x, y, z, w) => sample(x, y, z, w) * Math.PI * 2;
+    }
+
     onOptionChange(name, value) {
         if (name === 'particleCount') {
             this.createParticles();
+        } else if (name === 'noiseType' || name === 'loop') {
+            this.buildField();
         }
     }
 
+    onVectorStart(vector) {
+        // Traces recorded from here on
+        vector.clear(BACKGROUND);
+    }
+
     onClick(x, y) {
         // Reset
-        this.ctx.fillStyle = '#050508';
+        this.ctx.fillStyle = BACKGROUND;
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        this.vector?.clear();
         this.createParticles();
     }
 
     update(deltaTime) {
-        this.noiseZ += 0.001;
+        const { scale, loop, loopSeconds } = this.options;
+        let angleAt;
+
+        if (loop) {
+            // Circle whose circumference is the distance drifted in one loop
+            this.loopPhase = (this.loopPhase + deltaTime / (loopSeconds * 1000)) % 1;
+            const radius = (DRIFT_SPEED * loopSeconds) / (Math.PI * 2);
+            const looped = NoiseUtils.loop(this.field, radius);
+            angleAt = (x, y) => looped(x * scale, y * scale, this.loopPhase);
+        } else {
+            this.noiseZ += DRIFT_SPEED * deltaTime / 1000;
+            angleAt = (x, y) => this.field(x * scale, y * scale, this.noiseZ);
+        }
 
         this.particles.forEach(p => {
-            p.update(
-                this.displayWidth,
-                this.displayHeight,
-                this.options.scale,
-                this.noiseZ,
-                this.options.speed
-            );
+            p.update(this.displayWidth, this.displayHeight, angleAt, this.options.speed);
         });
     }
 
@@ -169,6 +246,6 @@ export class FlowFieldDemo extends BaseDemo {
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
 
         // Draw particles
-        this.particles.forEach(p => p.render(this.ctx));
+        this.particles.forEach(p => p.render(this.ctx, this.vector));
     }
 }
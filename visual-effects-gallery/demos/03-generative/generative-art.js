@@ -25,8 +25,27 @@ export class GenerativeArtDemo extends BaseDemo {
     static getControls() {
         return [
             { type: 'slider', name: 'complexity', label: 'Complexity', min: 1, max: 10, default: 5 },
-            { type: 'slider', name: 'palette', label: 'Color Palette', min: 0, max: 5, default: 0 },
-            { type: 'checkbox', name: 'animate', label: 'Animate', default: true }
+            {
+                type: 'select', name: 'palette', label: 'Color Palette', default: 0,
+                options: [
+                    { value: 0, label: 'Sunset' },
+                    { value: 1, label: 'Ocean' },
+                    { value: 2, label: 'Neon' },
+                    { value: 3, label: 'Cyberpunk' },
+                    { value: 4, label: 'Forest' },
+                    { value: 5, label: 'Candy' }
+                ]
+            },
+            { type: 'checkbox', name: 'animate', label: 'Animate', default: true },
+            { type: 'button', label: 'Regenerate', action: 'reseed' }
+        ];
+    }
+
+    static getPresets() {
+        return [
+            { name: 'Minimal Sunset', options: { complexity: 2, palette: 0, animate: false, seed: 1024 } },
+            { name: 'Neon Chaos', options: { complexity: 10, palette: 2, animate: true, seed: 777 } },
+            { name: 'Forest Floor', options: { complexity: 6, palette: 4, animate: false, seed: 31337 } }
         ];
     }
 
@@ -52,10 +71,14 @@ export class GenerativeArtDemo extends BaseDemo {
     }
 
     onClick(x, y) {
-        this.generate();
+        // New seed = new composition; the seed alone reproduces it
+        this.reseed();
     }
 
     generate() {
+        // Restart the sequence so option changes keep the same composition
+        this.rng.reset();
+
         this.elements = [];
         const { complexity } = this.options;
         const palette = this.palettes[this.options.palette];
@@ -69,14 +92,14 @@ export class GenerativeArtDemo extends BaseDemo {
 
             const element = {
                 type,
-                x: Math.random() * this.displayWidth,
-                y: Math.random() * this.displayHeight,
+                x: MathUtils.random(0, this.displayWidth),
+                y: MathUtils.random(0, this.displayHeight),
                 size: MathUtils.random(20, 100 + complexity * 20),
-                rotation: Math.random() * Math.PI * 2,
+                rotation: MathUtils.random(0, Math.PI * 2),
                 rotationSpeed: MathUtils.random(-0.01, 0.01),
                 color,
                 opacity: MathUtils.random(0.1, 0.6),
-                phase: Math.random() * Math.PI * 2,
+                phase: MathUtils.random(0, Math.PI * 2),
                 frequency: MathUtils.random(0.001, 0.003)
             };
 
@@ -183,6 +206,6 @@ export class GenerativeArtDemo extends BaseDemo {
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
         this.ctx.font = '12px sans-serif';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText('Click to regenerate', 10, 20);
+        this.ctx.fillText(`Seed: ${this.options.seed} | Click to regenerate`, 10, 20);
     }
 }
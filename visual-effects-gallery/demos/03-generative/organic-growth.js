@@ -27,7 +27,8 @@ export class OrganicGrowthDemo extends BaseDemo {
             name: 'Organic Growth',
             description: 'Differential growth simulation - watch the shape evolve',
             difficulty: 'advanced',
-            category: 'generative'
+            category: 'generative',
+            vector: true
         };
     }
 
@@ -52,7 +53,7 @@ export class OrganicGrowthDemo extends BaseDemo {
     init() {
         this.nodes = [];
         this.createInitialShape();
-        this.hue = Math.random() * 360;
+        this.hue = MathUtils.random(0, 360);
     }
 
     createInitialShape() {
@@ -73,7 +74,7 @@ export class OrganicGrowthDemo extends BaseDemo {
 
     onClick(x, y) {
         this.createInitialShape();
-        this.hue = Math.random() * 360;
+        this.hue = MathUtils.random(0, 360);
     }
 
     update(deltaTime) {
@@ -182,6 +183,16 @@ export class OrganicGrowthDemo extends BaseDemo {
         this.ctx.lineWidth = 2;
         this.ctx.stroke();
 
+        // SVG recordings hold the current outline only
+        if (this.vector) {
+            this.vector.clear('#08080f');
+            this.vector.polyline(this.nodes, {
+                stroke: ColorUtils.hsl(this.hue, 70, 60, 0.8),
+                fill: ColorUtils.hsl(this.hue, 70, 50, 0.3),
+                width: 2
+            }, true);
+        }
+
         // Info
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
         this.ctx.font = '12px sans-serif';
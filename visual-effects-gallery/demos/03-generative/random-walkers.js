@@ -12,19 +12,29 @@ import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
 import { ColorUtils } from '../../js/utils/ColorUtils.js';
 
+/**
+ * Canvas background, repeated in SVG recordings
+ */
+const BACKGROUND = '#0a0a12';
+
+/**
+ * Hue steps for SVG trails: runs of steps within one step share a path
+ */
+const VECTOR_HUE_STEP = 10;
+
 class Walker {
     constructor(x, y, hue) {
         this.x = x;
         this.y = y;
         this.hue = hue;
         this.stepSize = MathUtils.random(2, 5);
-        this.angle = Math.random() * Math.PI * 2;
+        this.angle = MathUtils.random(0, Math.PI * 2);
         this.turnSpeed = MathUtils.random(0.1, 0.3);
     }
 
     update(width, height, stepSize) {
         // Random turn
-        this.angle += (Math.random() - 0.5) * this.turnSpeed;
+        this.angle += MathUtils.random(-0.5, 0.5) * this.turnSpeed;
 
         // Move forward
         const dx = Math.cos(this.angle) * this.stepSize * stepSize;
@@ -36,22 +46,33 @@ class Walker {
         this.y += dy;
 
         // Wrap around edges
+        const x = this.x, y = this.y;
         if (this.x < 0) this.x += width;
         if (this.x > width) this.x -= width;
         if (this.y < 0) this.y += height;
         if (this.y > height) this.y -= height;
+        this.wrapped = this.x !== x || this.y !== y;
 
         // Slowly shift hue
         this.hue = (this.hue + 0.2) % 360;
     }
 
-    render(ctx) {
+    render(ctx, vector) {
         ctx.beginPath();
         ctx.moveTo(this.prevX, this.prevY);
         ctx.lineTo(this.x, this.y);
         ctx.strokeStyle = ColorUtils.hsl(this.hue, 70, 55, 0.4);
         ctx.lineWidth = 1.5;
         ctx.stroke();
+
+        // A wrapping step jumps across the canvas; the trail continues on the other side
+        if (!vector || this.wrapped) return;
+
+        const hue = Math.round(this.hue / VECTOR_HUE_STEP) * VECTOR_HUE_STEP;
+        vector.line(this.prevX, this.prevY, this.x, this.y, {
+            stroke: ColorUtils.hsl(hue, 70, 55, 0.4),
+            width: 1.5
+        });
     }
 }
 
@@ -61,7 +82,8 @@ export class RandomWalkersDemo extends BaseDemo {
             name: 'Random Walkers',
             description: 'Multiple random walk trails creating emergent patterns',
             difficulty: 'beginner',
-            category: 'generative'
+            category: 'generative',
+            vector: true
         };
     }
 
@@ -86,8 +108,9 @@ export class RandomWalkersDemo extends BaseDemo {
         this.createWalkers();
 
         // Initial background
-        this.ctx.fillStyle = '#0a0a12';
+        this.ctx.fillStyle = BACKGROUND;
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        this.vector?.clear(BACKGROUND);
     }
 
     createWalkers() {
@@ -104,11 +127,17 @@ export class RandomWalkersDemo extends BaseDemo {
     onOptionChange(name, value) {
         if (name === 'walkerCount') {
             this.createWalkers();
-            this.ctx.fillStyle = '#0a0a12';
+            this.ctx.fillStyle = BACKGROUND;
             this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+            this.vector?.clear();
         }
     }
 
+    onVectorStart(vector) {
+        // Trails recorded from here on
+        vector.clear(BACKGROUND);
+    }
+
     onClick(x, y) {
         // Reset and start from click position
         this.walkers.forEach(w => {
@@ -117,8 +146,9 @@ export class RandomWalkersDemo extends BaseDemo {
             w.prevX = x;
             w.prevY = y;
         });
-        this.ctx.fillStyle = '#0a0a12';
+        this.ctx.fillStyle = BACKGROUND;
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+        this.vector?.clear();
     }
 
     update(deltaTime) {
@@ -135,6 +165,6 @@ export class RandomWalkersDemo extends BaseDemo {
         }
 
         // Draw walker trails
-        this.walkers.forEach(w => w.render(this.ctx));
+        this.walkers.forEach(w => w.render(this.ctx, this.vector));
     }
 }
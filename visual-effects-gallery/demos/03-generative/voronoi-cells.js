@@ -4,13 +4,26 @@
  *
  * LEARNING OBJECTIVES:
  * - Voronoi diagram generation
- * - Distance-based partitioning
+ * - Delaunay triangulation and its duality with Voronoi cells
+ * - Lloyd relaxation towards a centroidal Voronoi tessellation
+ * - Weighted Voronoi stippling from an image
  * - Interactive point manipulation
  */
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
 import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { Delaunay, Voronoi } from '../../js/utils/Delaunay.js';
+
+/**
+ * Share of the way to its centroid a point moves per update, per unit of Movement
+ */
+const RELAX_RATE = 0.5;
+
+/**
+ * Columns in the density grid that stippling weighs cells with
+ */
+const DENSITY_COLUMNS = 240;
 
 class VoronoiPoint {
     constructor(x, y, hue) {
@@ -38,37 +51,85 @@ export class VoronoiCellsDemo extends BaseDemo {
     static getMetadata() {
         return {
             name: 'Voronoi Cells',
-            description: 'Interactive Voronoi diagram - click to add points',
+            description: 'Interactive Voronoi diagram - click to add points, drop an image to stipple it',
             difficulty: 'intermediate',
-            category: 'generative'
+            category: 'generative',
+            imageDrop: true
         };
     }
 
     static getControls() {
         return [
-            { type: 'slider', name: 'pointCount', label: 'Points', min: 5, max: 50, default: 20 },
+            {
+                type: 'select',
+                name: 'mode',
+                label: 'Mode',
+                options: [
+                    { value: 'drift', label: 'Drift' },
+                    { value: 'relax', label: 'Lloyd Relaxation' },
+                    { value: 'stipple', label: 'Stippling' }
+                ],
+                default: 'drift'
+            },
+            { type: 'slider', name: 'pointCount', label: 'Points', min: 5, max: 300, default: 20 },
+            { type: 'slider', name: 'stippleCount', label: 'Stipples', min: 500, max: 5000, default: 2000, step: 100 },
+            { type: 'slider', name: 'dotSize', label: 'Stipple Size', min: 0.5, max: 4, default: 1.5, step: 0.1 },
             { type: 'slider', name: 'speed', label: 'Movement', min: 0, max: 2, default: 0.5, step: 0.1 },
             { type: 'checkbox', name: 'showPoints', label: 'Show Points', default: true },
-            { type: 'checkbox', name: 'showEdges', label: 'Show Edges', default: true }
+            { type: 'checkbox', name: 'showEdges', label: 'Show Edges', default: true },
+            { type: 'checkbox', name: 'showDelaunay', label: 'Delaunay Mesh', default: false },
+            { type: 'checkbox', name: 'showCircumcircles', label: 'Circumcircles', default: false },
+            { type: 'checkbox', name: 'showCentroids', label: 'Cell Centroids', default: false }
         ];
     }
 
+    static getPresets() {
+        return [
+            { name: 'Centroidal', options: { mode: 'relax', pointCount: 120, speed: 0.3, showCentroids: true } },
+            { name: 'Stippling', options: { mode: 'stipple', stippleCount: 3000, speed: 1 } }
+        ];
+    }
+
+    static getQualityScaling() {
+        return { stippleCount: 0.25 };
+    }
+
     getDefaultOptions() {
         return {
+            mode: 'drift',
             pointCount: 20,
+            stippleCount: 2000,
+            dotSize: 1.5,
             speed: 0.5,
             showPoints: true,
-            showEdges: true
+            showEdges: true,
+            showDelaunay: false,
+            showCircumcircles: false,
+            showCentroids: false
+        };
+    }
+
+    getCounters() {
+        return {
+            cells: this.points.length,
+            triangles: this.delaunay ? this.delaunay.triangles.length / 3 : 0
         };
     }
 
     init() {
         this.points = [];
+        this.delaunay = null;
+        this.voronoi = null;
+        this.density = null;
         this.createPoints();
-        this.imageData = null;
     }
 
     createPoints() {
+        if (this.options.mode === 'stipple') {
+            this.createStipples();
+            return;
+        }
+
         this.points = [];
         for (let i = 0; i < this.options.pointCount; i++) {
             this.points.push(new VoronoiPoint(
@@ -77,112 +138,266 @@ export class VoronoiCellsDemo extends BaseDemo {
                 (i / this.options.pointCount) * 360
             ));
         }
+        this.rebuild();
     }
 
-    onClick(x, y) {
-        // Add new point
-        const hue = Math.random() * 360;
-        this.points.push(new VoronoiPoint(x, y, hue));
+    /**
+     * Scatter stipples with the density so relaxation has less to do
+     */
+    createStipples() {
+        if (!this.density) this.buildDensity();
+        const { columns, rows, cellWidth, cellHeight, values } = this.density;
+        const count = this.scaled('stippleCount');
+
+        this.points = [];
+        for (let attempts = 0; this.points.length < count && attempts < count * 50; attempts++) {
+            const gx = MathUtils.random(0, columns);
+            const gy = MathUtils.random(0, rows);
+            if (MathUtils.random(0, 1) < values[Math.floor(gy) * columns + Math.floor(gx)]) {
+                this.points.push(new VoronoiPoint(gx * cellWidth, gy * cellHeight, 0));
+            }
+        }
+        this.rebuild();
     }
 
-    onOptionChange(name, value) {
-        if (name === 'pointCount') {
-            this.createPoints();
+    /**
+     * Sample the dropped image's darkness onto a coarse grid over the canvas
+     * Without an image, soft rings fading out from the centre stand in
+     */
+    buildDensity() {
+        const columns = Math.max(1, Math.min(DENSITY_COLUMNS, Math.floor(this.displayWidth)));
+        const rows = Math.max(1, Math.round(columns * this.displayHeight / this.displayWidth));
+        const values = new Float32Array(columns * rows);
+
+        if (this.image) {
+            const buffer = this.createBuffer(columns, rows);
+            const bctx = buffer.getContext('2d');
+            bctx.fillStyle = '#fff';
+            bctx.fillRect(0, 0, columns, rows);
+
+            // Fit the whole image, centred
+            const fit = Math.min(columns / this.image.width, rows / this.image.height);
+            const width = this.image.width * fit;
+            const height = this.image.height * fit;
+            bctx.drawImage(this.image, (columns - width) / 2, (rows - height) / 2, width, height);
+
+            const data = bctx.getImageData(0, 0, columns, rows).data;
+            for (let i = 0; i < values.length; i++) {
+                const luminance = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+                values[i] = 1 - luminance;
+            }
+        } else {
+            for (let gy = 0; gy < rows; gy++) {
+                for (let gx = 0; gx < columns; gx++) {
+                    const r = Math.hypot(gx + 0.5 - columns / 2, gy + 0.5 - rows / 2) / (Math.min(columns, rows) / 2);
+                    values[gy * columns + gx] = Math.max(0, 1 - r) * (0.55 + 0.45 * Math.cos(r * Math.PI * 6));
+                }
+            }
         }
+
+        this.density = {
+            columns,
+            rows,
+            cellWidth: this.displayWidth / columns,
+            cellHeight: this.displayHeight / rows,
+            values
+        };
     }
 
-    onResize() {
-        this.imageData = null;
+    /**
+     * Triangulate the points as they are now
+     */
+    rebuild() {
+        this.delaunay = new Delaunay(this.points);
+        this.voronoi = null;
     }
 
-    update(deltaTime) {
-        if (this.options.speed > 0) {
-            this.points.forEach(p => {
-                p.update(this.displayWidth, this.displayHeight, this.options.speed);
+    /**
+     * Voronoi cells of the current triangulation, clipped to the canvas
+     * @returns {Voronoi}
+     */
+    getVoronoi() {
+        if (!this.voronoi) {
+            this.voronoi = this.delaunay.voronoi({
+                minX: 0, minY: 0, maxX: this.displayWidth, maxY: this.displayHeight
             });
         }
+        return this.voronoi;
     }
 
-    findClosestPoint(x, y) {
-        let minDist = Infinity;
-        let closestIndex = 0;
+    /**
+     * Lloyd relaxation: move each point towards the centroid of its cell
+     * @param {number} rate - Share of the way to move (1 = a full Lloyd step)
+     */
+    relaxStep(rate) {
+        this.getVoronoi().cells.forEach((cell, i) => {
+            if (!cell || cell.length < 3) return;
+            const centroid = Voronoi.centroid(cell);
+            this.points[i].x += (centroid.x - this.points[i].x) * rate;
+            this.points[i].y += (centroid.y - this.points[i].y) * rate;
+        });
+    }
+
+    /**
+     * Weighted Voronoi stippling: move each point towards its cell's centroid
+     * weighted by density, summed over the density grid
+     * @param {number} rate - Share of the way to move
+     */
+    stippleStep(rate) {
+        const { columns, rows, cellWidth, cellHeight, values } = this.density;
+        const sums = new Float64Array(this.points.length * 3);
+        let owner = 0;
+
+        for (let gy = 0; gy < rows; gy++) {
+            for (let gx = 0; gx < columns; gx++) {
+                const weight = values[gy * columns + gx];
+                if (weight <= 0) continue;
 
-        for (let i = 0; i < this.points.length; i++) {
-            const dist = MathUtils.distance(x, y, this.points[i].x, this.points[i].y);
-            if (dist < minDist) {
-                minDist = dist;
-                closestIndex = i;
+                const x = (gx + 0.5) * cellWidth;
+                const y = (gy + 0.5) * cellHeight;
+                // Neighbouring samples mostly share an owner, so each search starts from the last
+                owner = this.delaunay.find(x, y, owner);
+                sums[owner * 3] += weight;
+                sums[owner * 3 + 1] += weight * x;
+                sums[owner * 3 + 2] += weight * y;
             }
         }
 
-        return { index: closestIndex, distance: minDist };
+        this.points.forEach((point, i) => {
+            const weight = sums[i * 3];
+            if (weight <= 0) return;
+            point.x += (sums[i * 3 + 1] / weight - point.x) * rate;
+            point.y += (sums[i * 3 + 2] / weight - point.y) * rate;
+        });
     }
 
-    render() {
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
+    onClick(x, y) {
+        // Add new point
+        const hue = MathUtils.random(0, 360);
+        this.points.push(new VoronoiPoint(x, y, hue));
+        this.rebuild();
+    }
 
-        // Create image data for pixel-by-pixel rendering
-        if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
-            this.imageData = this.ctx.createImageData(width, height);
+    onImageDrop(image) {
+        // Keep the image for stippling; other modes only point the way there,
+        // since switching modes from here would leave the sidebar and link behind
+        this.image = image;
+        this.buildDensity();
+        if (this.options.mode === 'stipple') {
+            this.createPoints();
         }
+    }
 
-        const data = this.imageData.data;
-        const step = 2; // Render every nth pixel for performance
+    onOptionChange(name, value) {
+        if (name === 'mode' || (name === 'pointCount' && this.options.mode !== 'stipple') ||
+            (name === 'stippleCount' && this.options.mode === 'stipple')) {
+            this.createPoints();
+        }
+    }
 
-        // Clear to black first
-        for (let i = 0; i < data.length; i += 4) {
-            data[i] = 10;
-            data[i + 1] = 10;
-            data[i + 2] = 18;
-            data[i + 3] = 255;
+    onResize() {
+        if (!this.points) return;
+
+        this.points.forEach(p => {
+            p.x = MathUtils.clamp(p.x, 0, this.displayWidth);
+            p.y = MathUtils.clamp(p.y, 0, this.displayHeight);
+        });
+        if (this.density) {
+            this.buildDensity();
+        }
+        this.rebuild();
+    }
+
+    update(deltaTime) {
+        const { mode, speed } = this.options;
+        if (speed <= 0) return;
+
+        if (mode === 'drift') {
+            this.points.forEach(p => {
+                p.update(this.displayWidth, this.displayHeight, speed);
+            });
+        } else if (mode === 'relax') {
+            this.relaxStep(Math.min(1, speed * RELAX_RATE));
+        } else {
+            this.stippleStep(Math.min(1, speed * RELAX_RATE));
         }
+        this.rebuild();
+    }
+
+    render() {
+        const { mode, showPoints, showEdges, showDelaunay, showCircumcircles, showCentroids } = this.options;
+        const stippling = mode === 'stipple';
+
+        // Stipples are ink on paper; cells sit on a dark ground
+        this.ctx.fillStyle = stippling ? '#f4f1ea' : '#0a0a12';
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
 
         // Fill cells
-        for (let py = 0; py < height; py += step) {
-            for (let px = 0; px < width; px += step) {
-                const { index, distance } = this.findClosestPoint(px, py);
-                const point = this.points[index];
-
-                const rgb = ColorUtils.hslToRgb(point.hue, 60, 40);
-
-                // Fill block of pixels
-                for (let dy = 0; dy < step && py + dy < height; dy++) {
-                    for (let dx = 0; dx < step && px + dx < width; dx++) {
-                        const pixelIndex = ((py + dy) * width + (px + dx)) * 4;
-                        data[pixelIndex] = rgb.r;
-                        data[pixelIndex + 1] = rgb.g;
-                        data[pixelIndex + 2] = rgb.b;
-                    }
+        if (!stippling) {
+            this.getVoronoi().cells.forEach((cell, i) => {
+                if (!cell || cell.length < 3) return;
+                this.tracePolygon(cell);
+                this.ctx.fillStyle = ColorUtils.hsl(this.points[i].hue, 60, 40);
+                this.ctx.fill();
+                if (showEdges) {
+                    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+                    this.ctx.lineWidth = 1;
+                    this.ctx.stroke();
                 }
-            }
+            });
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
-
-        // Draw edges (approximate by checking adjacent pixels with different closest points)
-        if (this.options.showEdges) {
-            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        // Delaunay mesh: joins the points of neighbouring cells
+        if (showDelaunay) {
+            const triangles = this.delaunay.triangles;
+            this.ctx.beginPath();
+            for (let t = 0; t < triangles.length; t += 3) {
+                this.tracePolygon([this.points[triangles[t]], this.points[triangles[t + 1]], this.points[triangles[t + 2]]], false);
+            }
+            this.ctx.strokeStyle = 'rgba(255, 220, 120, 0.6)';
             this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+        }
 
-            const edgeStep = 4;
-            for (let py = 0; py < height; py += edgeStep) {
-                for (let px = 0; px < width; px += edgeStep) {
-                    const current = this.findClosestPoint(px, py).index;
-                    const right = this.findClosestPoint(px + edgeStep, py).index;
-                    const down = this.findClosestPoint(px, py + edgeStep).index;
-
-                    if (current !== right || current !== down) {
-                        this.ctx.beginPath();
-                        this.ctx.arc(px, py, 1, 0, Math.PI * 2);
-                        this.ctx.stroke();
-                    }
-                }
+        // Circumcenters are the Voronoi vertices
+        if (showCircumcircles) {
+            this.ctx.beginPath();
+            for (let t = 0; t < this.delaunay.triangles.length / 3; t++) {
+                const circle = this.delaunay.circumcircle(t);
+                this.ctx.moveTo(circle.x + circle.radius, circle.y);
+                this.ctx.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
             }
+            this.ctx.strokeStyle = 'rgba(120, 200, 255, 0.35)';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+        }
+
+        // Centroids, linked to their points
+        if (showCentroids) {
+            this.ctx.strokeStyle = stippling ? 'rgba(0, 0, 0, 0.5)' : 'rgba(255, 255, 255, 0.7)';
+            this.ctx.lineWidth = 1.5;
+            this.getVoronoi().cells.forEach((cell, i) => {
+                if (!cell || cell.length < 3) return;
+                const centroid = Voronoi.centroid(cell);
+                this.ctx.beginPath();
+                this.ctx.moveTo(this.points[i].x, this.points[i].y);
+                this.ctx.lineTo(centroid.x, centroid.y);
+                this.ctx.moveTo(centroid.x + 3, centroid.y);
+                this.ctx.arc(centroid.x, centroid.y, 3, 0, Math.PI * 2);
+                this.ctx.stroke();
+            });
         }
 
         // Draw points
-        if (this.options.showPoints) {
+        if (stippling) {
+            this.ctx.beginPath();
+            this.points.forEach(point => {
+                this.ctx.moveTo(point.x + this.options.dotSize, point.y);
+                this.ctx.arc(point.x, point.y, this.options.dotSize, 0, Math.PI * 2);
+            });
+            this.ctx.fillStyle = '#1a1a1a';
+            this.ctx.fill();
+        } else if (showPoints) {
             this.points.forEach((point, i) => {
                 // Point glow
                 const gradient = this.ctx.createRadialGradient(
@@ -203,9 +418,29 @@ export class VoronoiCellsDemo extends BaseDemo {
         }
 
         // Info
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
         this.ctx.font = '12px sans-serif';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(`Points: ${this.points.length} | Click to add`, 10, 20);
+        if (stippling) {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillText(`Stipples: ${this.points.length} | Drop an image to stipple it`, 10, 20);
+        } else {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            const hint = this.image ? 'Image loaded - pick Stippling mode to see it' : 'Click to add';
+            this.ctx.fillText(`Points: ${this.points.length} | ${hint}`, 10, 20);
+        }
+    }
+
+    /**
+     * Add a polygon to the current path (starting a new path unless told not to)
+     * @param {Array<{x: number, y: number}>} polygon
+     * @param {boolean} [begin=true]
+     */
+    tracePolygon(polygon, begin = true) {
+        if (begin) this.ctx.beginPath();
+        this.ctx.moveTo(polygon[0].x, polygon[0].y);
+        for (let i = 1; i < polygon.length; i++) {
+            this.ctx.lineTo(polygon[i].x, polygon[i].y);
+        }
+        this.ctx.closePath();
     }
 }
@@ -45,11 +45,11 @@ export class AuroraBorealisDemo extends BaseDemo {
         this.stars = [];
         for (let i = 0; i < 200; i++) {
             this.stars.push({
-                x: Math.random(),
-                y: Math.random() * 0.7,
+                x: MathUtils.random(0, 1),
+                y: MathUtils.random(0, 0.7),
                 size: MathUtils.random(0.5, 2),
                 twinkleSpeed: MathUtils.random(0.002, 0.005),
-                phase: Math.random() * Math.PI * 2
+                phase: MathUtils.random(0, Math.PI * 2)
             });
         }
     }
@@ -26,7 +26,15 @@ export class ColorCyclingDemo extends BaseDemo {
         return [
             { type: 'slider', name: 'speed', label: 'Cycle Speed', min: 0.1, max: 3, default: 1, step: 0.1 },
             { type: 'slider', name: 'bands', label: 'Color Bands', min: 3, max: 20, default: 8 },
-            { type: 'slider', name: 'pattern', label: 'Pattern', min: 0, max: 3, default: 0 },
+            {
+                type: 'select', name: 'pattern', label: 'Pattern', default: 0,
+                options: [
+                    { value: 0, label: 'Horizontal' },
+                    { value: 1, label: 'Vertical' },
+                    { value: 2, label: 'Concentric' },
+                    { value: 3, label: 'Diagonal' }
+                ]
+            },
             { type: 'checkbox', name: 'rainbow', label: 'Rainbow Mode', default: false }
         ];
     }
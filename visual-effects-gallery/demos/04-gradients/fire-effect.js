@@ -10,7 +10,12 @@
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
-import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
+
+/**
+ * Classic fire ramp: black -> red -> orange -> yellow -> white
+ */
+const FIRE_STOPS = '0 #000000, 0.25 #800000, 0.5 #c08000, 0.75 #ffff00, 1 #ffffff';
 
 export class FireEffectDemo extends BaseDemo {
     static getMetadata() {
@@ -18,7 +23,8 @@ export class FireEffectDemo extends BaseDemo {
             name: 'Fire Effect',
             description: 'Procedural realistic flame simulation',
             difficulty: 'advanced',
-            category: 'gradients'
+            category: 'gradients',
+            expensive: true
         };
     }
 
@@ -27,7 +33,8 @@ export class FireEffectDemo extends BaseDemo {
             { type: 'slider', name: 'intensity', label: 'Intensity', min: 0.3, max: 1, default: 0.7, step: 0.05 },
             { type: 'slider', name: 'speed', label: 'Speed', min: 0.5, max: 3, default: 1.5, step: 0.1 },
             { type: 'slider', name: 'spread', label: 'Spread', min: 0.3, max: 1, default: 0.6, step: 0.05 },
-            { type: 'checkbox', name: 'mouseControl', label: 'Mouse Control', default: true }
+            { type: 'checkbox', name: 'mouseControl', label: 'Mouse Control', default: true },
+            ...paletteControls({ equalize: false, palette: 'custom', stops: FIRE_STOPS })
         ];
     }
 
@@ -36,53 +43,33 @@ export class FireEffectDemo extends BaseDemo {
             intensity: 0.7,
             speed: 1.5,
             spread: 0.6,
-            mouseControl: true
+            mouseControl: true,
+            ...PALETTE_DEFAULTS,
+            palette: 'custom',
+            paletteStops: FIRE_STOPS
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
         // Fire buffer at lower resolution for performance
         this.fireWidth = Math.floor(this.displayWidth / 4);
         this.fireHeight = Math.floor(this.displayHeight / 4);
         this.fireBuffer = new Float32Array(this.fireWidth * this.fireHeight);
 
-        // Fire palette (black -> red -> yellow -> white)
-        this.palette = [];
-        for (let i = 0; i < 256; i++) {
-            if (i < 64) {
-                // Black to dark red
-                this.palette.push({
-                    r: i * 2,
-                    g: 0,
-                    b: 0
-                });
-            } else if (i < 128) {
-                // Dark red to orange
-                this.palette.push({
-                    r: 128 + (i - 64),
-                    g: (i - 64) * 2,
-                    b: 0
-                });
-            } else if (i < 192) {
-                // Orange to yellow
-                this.palette.push({
-                    r: 192 + (i - 128),
-                    g: 128 + (i - 128) * 2,
-                    b: 0
-                });
-            } else {
-                // Yellow to white
-                this.palette.push({
-                    r: 255,
-                    g: 255,
-                    b: (i - 192) * 4
-                });
-            }
-        }
-
+        this.palette = Gradient.tryFromOptions(this.options);
         this.imageData = null;
     }
 
+    onOptionChange(name) {
+        if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { fallback: this.palette.gradient });
+        }
+    }
+
     onResize() {
         this.fireWidth = Math.floor(this.displayWidth / 4);
         this.fireHeight = Math.floor(this.displayHeight / 4);
@@ -98,7 +85,7 @@ export class FireEffectDemo extends BaseDemo {
         // Set bottom row (fire source)
         for (let x = 0; x < width; x++) {
             // Random fire intensity at bottom
-            let fireValue = Math.random() * 255 * intensity;
+            let fireValue = MathUtils.random(0, 255) * intensity;
 
             // Mouse creates more intense fire
             if (mouseControl && this.mouse.x > 0) {
@@ -130,15 +117,16 @@ export class FireEffectDemo extends BaseDemo {
 
                 // Average and decay
                 const avg = sum / count;
-                const decay = 1.2 + Math.random() * 0.5 * speed;
+                const decay = 1.2 + MathUtils.random(0, 0.5) * speed;
                 this.fireBuffer[y * width + x] = Math.max(0, avg - decay);
             }
         }
     }
 
     render() {
-        const width = this.displayWidth;
-        const height = this.displayHeight;
+        // Sample the fire buffer at output resolution so exports come out sharper, not just larger
+        const width = Math.floor(this.displayWidth * this.pixelScale);
+        const height = Math.floor(this.displayHeight * this.pixelScale);
 
         // Create image data if needed
         if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
@@ -146,6 +134,9 @@ export class FireEffectDemo extends BaseDemo {
         }
 
         const data = this.imageData.data;
+        const { gradient } = this.palette;
+        const lut = gradient.lut;
+        const offset = this.options.paletteOffset;
         const scaleX = this.fireWidth / width;
         const scaleY = this.fireHeight / height;
 
@@ -167,36 +158,35 @@ export class FireEffectDemo extends BaseDemo {
                 const v01 = this.fireBuffer[y1 * this.fireWidth + x0];
                 const v11 = this.fireBuffer[y1 * this.fireWidth + x1];
 
-                const value = Math.floor(
+                const value = (
                     v00 * (1 - xf) * (1 - yf) +
                     v10 * xf * (1 - yf) +
                     v01 * (1 - xf) * yf +
                     v11 * xf * yf
                 );
 
-                const colorIndex = MathUtils.clamp(value, 0, 255);
-                const color = this.palette[colorIndex];
+                const colorIndex = gradient.indexOf(MathUtils.clamp(value / 255, 0, 1) + offset);
 
                 const pixelIndex = (py * width + px) * 4;
-                data[pixelIndex] = color.r;
-                data[pixelIndex + 1] = color.g;
-                data[pixelIndex + 2] = color.b;
+                data[pixelIndex] = lut[colorIndex];
+                data[pixelIndex + 1] = lut[colorIndex + 1];
+                data[pixelIndex + 2] = lut[colorIndex + 2];
                 data[pixelIndex + 3] = 255;
             }
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
+        this.putPixels(this.imageData);
 
         // Add glow effect
         this.ctx.globalCompositeOperation = 'lighter';
         const glowGradient = this.ctx.createRadialGradient(
-            width / 2, height, 0,
-            width / 2, height, height * 0.5
+            this.displayWidth / 2, this.displayHeight, 0,
+            this.displayWidth / 2, this.displayHeight, this.displayHeight * 0.5
         );
         glowGradient.addColorStop(0, 'rgba(255, 100, 0, 0.3)');
         glowGradient.addColorStop(1, 'rgba(255, 50, 0, 0)');
         this.ctx.fillStyle = glowGradient;
-        this.ctx.fillRect(0, 0, width, height);
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
         this.ctx.globalCompositeOperation = 'source-over';
 
         // Info
@@ -24,7 +24,14 @@ export class GradientBasicsDemo extends BaseDemo {
 
     static getControls() {
         return [
-            { type: 'slider', name: 'type', label: 'Gradient Type', min: 0, max: 2, default: 0 },
+            {
+                type: 'select', name: 'type', label: 'Gradient Type', default: 0,
+                options: [
+                    { value: 0, label: 'Linear' },
+                    { value: 1, label: 'Radial' },
+                    { value: 2, label: 'Conic' }
+                ]
+            },
             { type: 'slider', name: 'hue1', label: 'Color 1 Hue', min: 0, max: 360, default: 200 },
             { type: 'slider', name: 'hue2', label: 'Color 2 Hue', min: 0, max: 360, default: 320 },
             { type: 'checkbox', name: 'animate', label: 'Animate', default: true }
@@ -10,17 +10,22 @@
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
-import { ColorUtils, Palettes } from '../../js/utils/ColorUtils.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
+
+/**
+ * Hue wheel settings matching the original blob colors
+ */
+const HUE_PALETTE = { saturation: 80, lightness: 55 };
 
 class Blob {
-    constructor(x, y, radius, hue) {
+    constructor(x, y, radius, tone) {
         this.x = x;
         this.y = y;
         this.radius = radius;
-        this.hue = hue;
+        this.tone = tone;
         this.vx = MathUtils.random(-1, 1);
         this.vy = MathUtils.random(-1, 1);
-        this.phase = Math.random() * Math.PI * 2;
+        this.phase = MathUtils.random(0, Math.PI * 2);
         this.pulseSpeed = MathUtils.random(0.001, 0.003);
     }
 
@@ -60,7 +65,8 @@ export class LiquidGradientDemo extends BaseDemo {
             name: 'Liquid Gradient',
             description: 'Morphing blob-like gradients that flow and merge',
             difficulty: 'advanced',
-            category: 'gradients'
+            category: 'gradients',
+            expensive: true
         };
     }
 
@@ -69,7 +75,8 @@ export class LiquidGradientDemo extends BaseDemo {
             { type: 'slider', name: 'blobCount', label: 'Blobs', min: 3, max: 8, default: 5 },
             { type: 'slider', name: 'speed', label: 'Speed', min: 0.2, max: 2, default: 1, step: 0.1 },
             { type: 'slider', name: 'blur', label: 'Softness', min: 1, max: 3, default: 2, step: 0.1 },
-            { type: 'checkbox', name: 'mouseInteract', label: 'Mouse Interaction', default: true }
+            { type: 'checkbox', name: 'mouseInteract', label: 'Mouse Interaction', default: true },
+            ...paletteControls({ equalize: false })
         ];
     }
 
@@ -78,27 +85,32 @@ export class LiquidGradientDemo extends BaseDemo {
             blobCount: 5,
             speed: 1,
             blur: 2,
-            mouseInteract: true
+            mouseInteract: true,
+            ...PALETTE_DEFAULTS
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
         this.blobs = [];
         this.createBlobs();
         this.imageData = null;
+        this.palette = Gradient.tryFromOptions(this.options, { hue: HUE_PALETTE });
     }
 
     createBlobs() {
         this.blobs = [];
-        const palette = Palettes.cyberpunk;
 
         for (let i = 0; i < this.options.blobCount; i++) {
-            const hue = (i / this.options.blobCount) * 360;
+            // Blobs spread evenly along the palette
             this.blobs.push(new Blob(
                 MathUtils.random(100, this.displayWidth - 100),
                 MathUtils.random(100, this.displayHeight - 100),
                 MathUtils.random(100, 200),
-                hue
+                i / this.options.blobCount
             ));
         }
     }
@@ -106,6 +118,8 @@ export class LiquidGradientDemo extends BaseDemo {
     onOptionChange(name, value) {
         if (name === 'blobCount') {
             this.createBlobs();
+        } else if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { hue: HUE_PALETTE, fallback: this.palette.gradient });
         }
     }
 
@@ -142,16 +156,19 @@ export class LiquidGradientDemo extends BaseDemo {
     }
 
     render() {
-        const { blur } = this.options;
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
-        const step = 3; // Resolution reduction
+        const { blur, paletteOffset } = this.options;
+        const width = Math.floor(this.displayWidth * this.pixelScale);
+        const height = Math.floor(this.displayHeight * this.pixelScale);
+        // Resolution reduction (blocks stay the same CSS size at any scale)
+        const step = Math.max(1, Math.round(3 * this.pixelScale));
 
         if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
             this.imageData = this.ctx.createImageData(width, height);
         }
 
         const data = this.imageData.data;
+        const colors = this.blobs.map(blob => this.palette.gradient.sample(blob.tone + paletteOffset));
+        const radii = this.blobs.map(blob => blob.getCurrentRadius(this.time));
 
         for (let py = 0; py < height; py += step) {
             for (let px = 0; px < width; px += step) {
@@ -159,17 +176,19 @@ export class LiquidGradientDemo extends BaseDemo {
                 let totalR = 0, totalG = 0, totalB = 0;
                 let totalWeight = 0;
 
-                for (const blob of this.blobs) {
-                    const radius = blob.getCurrentRadius(this.time);
-                    const dx = px - blob.x;
-                    const dy = py - blob.y;
+                for (let i = 0; i < this.blobs.length; i++) {
+                    const blob = this.blobs[i];
+                    const radius = radii[i];
+                    // Blobs live in CSS pixels
+                    const dx = px / this.pixelScale - blob.x;
+                    const dy = py / this.pixelScale - blob.y;
                     const dist = Math.sqrt(dx * dx + dy * dy);
 
                     // Smooth falloff
                     const influence = Math.pow(radius / (dist + radius * 0.1), blur);
 
                     if (influence > 0.01) {
-                        const rgb = ColorUtils.hslToRgb(blob.hue, 80, 55);
+                        const rgb = colors[i];
                         totalR += rgb.r * influence;
                         totalG += rgb.g * influence;
                         totalB += rgb.b * influence;
@@ -199,7 +218,7 @@ export class LiquidGradientDemo extends BaseDemo {
             }
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
+        this.putPixels(this.imageData);
 
         // Info
         if (this.options.mouseInteract) {
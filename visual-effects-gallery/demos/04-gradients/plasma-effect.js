@@ -10,7 +10,7 @@
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
-import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
 
 export class PlasmaEffectDemo extends BaseDemo {
     static getMetadata() {
@@ -18,7 +18,8 @@ export class PlasmaEffectDemo extends BaseDemo {
             name: 'Plasma Effect',
             description: 'Classic demoscene plasma with overlapping sine waves',
             difficulty: 'intermediate',
-            category: 'gradients'
+            category: 'gradients',
+            expensive: true
         };
     }
 
@@ -27,21 +28,34 @@ export class PlasmaEffectDemo extends BaseDemo {
             { type: 'slider', name: 'scale', label: 'Scale', min: 10, max: 100, default: 40 },
             { type: 'slider', name: 'speed', label: 'Speed', min: 0.5, max: 5, default: 2, step: 0.1 },
             { type: 'slider', name: 'complexity', label: 'Complexity', min: 1, max: 5, default: 3 },
-            { type: 'checkbox', name: 'rainbow', label: 'Rainbow Mode', default: true }
+            { type: 'checkbox', name: 'rainbow', label: 'Palette Mode (off: classic plasma)', default: true },
+            ...paletteControls({ equalize: false }),
+            { type: 'slider', name: 'renderScale', label: 'Render Scale', min: 0.25, max: 1, default: 0.5, step: 0.25 }
         ];
     }
 
+    static getQualityScaling() {
+        return { renderScale: 0.5 };
+    }
+
     getDefaultOptions() {
         return {
             scale: 40,
             speed: 2,
             complexity: 3,
-            rainbow: true
+            rainbow: true,
+            ...PALETTE_DEFAULTS,
+            renderScale: 0.5
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
         this.imageData = null;
+        this.palette = Gradient.tryFromOptions(this.options);
         this.sinTable = [];
         this.cosTable = [];
 
@@ -52,14 +66,20 @@ export class PlasmaEffectDemo extends BaseDemo {
         }
     }
 
+    onOptionChange(name) {
+        if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { fallback: this.palette.gradient });
+        }
+    }
+
     update(deltaTime) {
         // Animation handled in render
     }
 
     render() {
-        const { scale, speed, complexity, rainbow } = this.options;
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
+        const { scale, speed, complexity, rainbow, paletteOffset } = this.options;
+        const width = Math.floor(this.displayWidth * this.pixelScale);
+        const height = Math.floor(this.displayHeight * this.pixelScale);
 
         // Create image data if needed
         if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
@@ -69,17 +89,21 @@ export class PlasmaEffectDemo extends BaseDemo {
         const data = this.imageData.data;
         const time = this.time * 0.001 * speed;
 
-        // Resolution reduction for performance
+        // Resolution reduction for performance, in buffer pixels: a lower render
+        // scale means fewer samples, a high-res export more
         const step = 2;
 
+        // Pattern coordinates are in CSS pixels so the look doesn't depend on resolution
+        const unit = this.pixelScale * scale;
+
         for (let py = 0; py < height; py += step) {
             for (let px = 0; px < width; px += step) {
                 // Calculate plasma value using multiple sine waves
                 let value = 0;
 
                 // Base patterns
-                const x = px / scale;
-                const y = py / scale;
+                const x = px / unit;
+                const y = py / unit;
 
                 // Pattern 1: Horizontal waves
                 value += Math.sin(x + time);
@@ -94,8 +118,8 @@ export class PlasmaEffectDemo extends BaseDemo {
 
                 // Pattern 4: Circular waves
                 if (complexity >= 3) {
-                    const cx = width / 2 / scale;
-                    const cy = height / 2 / scale;
+                    const cx = width / 2 / unit;
+                    const cy = height / 2 / unit;
                     const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
                     value += Math.sin(dist - time);
                 }
@@ -107,8 +131,8 @@ export class PlasmaEffectDemo extends BaseDemo {
 
                 // Pattern 6: Spiral
                 if (complexity >= 5) {
-                    const cx = width / 2 / scale;
-                    const cy = height / 2 / scale;
+                    const cx = width / 2 / unit;
+                    const cy = height / 2 / unit;
                     const angle = Math.atan2(y - cy, x - cx);
                     const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
                     value += Math.sin(angle * 3 + dist * 0.5 - time * 2);
@@ -121,9 +145,8 @@ export class PlasmaEffectDemo extends BaseDemo {
                 let r, g, b;
 
                 if (rainbow) {
-                    // Rainbow palette
-                    const hue = (value * 360 + time * 50) % 360;
-                    const rgb = ColorUtils.hslToRgb(hue, 80, 50);
+                    // Palette, cycling over time (the default hue wheel gives the rainbow)
+                    const rgb = this.palette.gradient.sample(value + time * 50 / 360 + paletteOffset);
                     r = rgb.r;
                     g = rgb.g;
                     b = rgb.b;
@@ -147,6 +170,6 @@ export class PlasmaEffectDemo extends BaseDemo {
             }
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
+        this.putPixels(this.imageData);
     }
 }
@@ -10,7 +10,7 @@
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
-import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
 
 class WaveSource {
     constructor(x, y) {
@@ -36,7 +36,8 @@ export class WaveInterferenceDemo extends BaseDemo {
             name: 'Wave Interference',
             description: 'Click to add wave sources and see interference patterns',
             difficulty: 'intermediate',
-            category: 'animation'
+            category: 'animation',
+            expensive: true
         };
     }
 
@@ -44,7 +45,8 @@ export class WaveInterferenceDemo extends BaseDemo {
         return [
             { type: 'slider', name: 'waveSpeed', label: 'Wave Speed', min: 1, max: 10, default: 5 },
             { type: 'slider', name: 'frequency', label: 'Frequency', min: 0.02, max: 0.1, default: 0.05, step: 0.005 },
-            { type: 'checkbox', name: 'colorMode', label: 'Color Mode', default: true },
+            { type: 'checkbox', name: 'colorMode', label: 'Color Mode (off: grayscale)', default: true },
+            ...paletteControls({ equalize: false }),
             { type: 'checkbox', name: 'showSources', label: 'Show Sources', default: true }
         ];
     }
@@ -54,13 +56,19 @@ export class WaveInterferenceDemo extends BaseDemo {
             waveSpeed: 5,
             frequency: 0.05,
             colorMode: true,
+            ...PALETTE_DEFAULTS,
             showSources: true
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
         this.sources = [];
         this.imageData = null;
+        this.palette = Gradient.tryFromOptions(this.options);
 
         // Create initial sources
         this.sources.push(new WaveSource(this.displayWidth * 0.3, this.displayHeight * 0.5));
@@ -81,6 +89,8 @@ export class WaveInterferenceDemo extends BaseDemo {
     onOptionChange(name, value) {
         if (name === 'frequency') {
             this.sources.forEach(s => s.frequency = value);
+        } else if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { fallback: this.palette.gradient });
         }
     }
 
@@ -93,9 +103,9 @@ export class WaveInterferenceDemo extends BaseDemo {
     }
 
     render() {
-        const { waveSpeed, colorMode, showSources } = this.options;
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
+        const { waveSpeed, colorMode, showSources, paletteOffset } = this.options;
+        const width = Math.floor(this.displayWidth * this.pixelScale);
+        const height = Math.floor(this.displayHeight * this.pixelScale);
         const time = this.time * waveSpeed * 0.1;
 
         if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
@@ -103,7 +113,8 @@ export class WaveInterferenceDemo extends BaseDemo {
         }
 
         const data = this.imageData.data;
-        const step = 2;
+        // Blocks stay the same CSS size at any scale
+        const step = Math.max(1, Math.round(2 * this.pixelScale));
 
         for (let py = 0; py < height; py += step) {
             for (let px = 0; px < width; px += step) {
@@ -111,7 +122,8 @@ export class WaveInterferenceDemo extends BaseDemo {
                 let totalValue = 0;
 
                 for (const source of this.sources) {
-                    totalValue += source.getValue(px, py, time);
+                    // Sources live in CSS pixels
+                    totalValue += source.getValue(px / this.pixelScale, py / this.pixelScale, time);
                 }
 
                 // Normalize to 0-1
@@ -120,9 +132,8 @@ export class WaveInterferenceDemo extends BaseDemo {
                 let r, g, b;
 
                 if (colorMode) {
-                    // Color based on wave value
-                    const hue = normalized * 240; // Blue to red
-                    const rgb = ColorUtils.hslToRgb(hue, 80, 50);
+                    // Color based on wave value (two thirds of the hue wheel: red to blue)
+                    const rgb = this.palette.gradient.sample(normalized * 2 / 3 + paletteOffset);
                     r = rgb.r;
                     g = rgb.g;
                     b = rgb.b;
@@ -145,7 +156,7 @@ export class WaveInterferenceDemo extends BaseDemo {
             }
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
+        this.putPixels(this.imageData);
 
         // Draw source indicators
         if (showSources) {
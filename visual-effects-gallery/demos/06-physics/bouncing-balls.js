@@ -16,6 +16,8 @@ class Ball {
     constructor(x, y, radius, hue) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
         this.radius = radius;
         this.vx = MathUtils.random(-5, 5);
         this.vy = MathUtils.random(-5, 5);
@@ -24,6 +26,10 @@ class Ball {
     }
 
     update(gravity, friction, width, height) {
+        // Remember last position for render interpolation
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         // Apply gravity
         this.vy += gravity;
 
@@ -96,29 +102,33 @@ class Ball {
         }
     }
 
-    render(ctx) {
+    render(ctx, alpha) {
+        // Interpolate between the last two simulation steps
+        const x = MathUtils.lerp(this.prevX, this.x, alpha);
+        const y = MathUtils.lerp(this.prevY, this.y, alpha);
+
         // Shadow
         ctx.beginPath();
-        ctx.arc(this.x + 3, this.y + 3, this.radius, 0, Math.PI * 2);
+        ctx.arc(x + 3, y + 3, this.radius, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
         ctx.fill();
 
         // Ball
         const gradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.3, this.y - this.radius * 0.3, 0,
-            this.x, this.y, this.radius
+            x - this.radius * 0.3, y - this.radius * 0.3, 0,
+            x, y, this.radius
         );
         gradient.addColorStop(0, ColorUtils.hsl(this.hue, 70, 70));
         gradient.addColorStop(1, ColorUtils.hsl(this.hue, 70, 40));
 
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
         ctx.fillStyle = gradient;
         ctx.fill();
 
         // Highlight
         ctx.beginPath();
-        ctx.arc(this.x - this.radius * 0.3, this.y - this.radius * 0.3, this.radius * 0.2, 0, Math.PI * 2);
+        ctx.arc(x - this.radius * 0.3, y - this.radius * 0.3, this.radius * 0.2, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
         ctx.fill();
     }
@@ -148,7 +158,8 @@ export class BouncingBallsDemo extends BaseDemo {
             ballCount: 15,
             gravity: 0.3,
             friction: 0.995,
-            mouseRepel: true
+            mouseRepel: true,
+            fixedTimestep: 1000 / 60
         };
     }
 
@@ -173,7 +184,7 @@ export class BouncingBallsDemo extends BaseDemo {
     onClick(x, y) {
         // Add a new ball at click position
         const radius = MathUtils.random(15, 40);
-        this.balls.push(new Ball(x, y, radius, Math.random() * 360));
+        this.balls.push(new Ball(x, y, radius, MathUtils.random(0, 360)));
 
         // Remove oldest if too many
         if (this.balls.length > 50) {
@@ -216,13 +227,13 @@ export class BouncingBallsDemo extends BaseDemo {
         }
     }
 
-    render() {
+    render(alpha) {
         // Background
         this.ctx.fillStyle = '#0a0a15';
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
 
         // Draw balls
-        this.balls.forEach(ball => ball.render(this.ctx));
+        this.balls.forEach(ball => ball.render(this.ctx, alpha));
 
         // Mouse indicator
         if (this.options.mouseRepel && this.mouse.x > 0) {
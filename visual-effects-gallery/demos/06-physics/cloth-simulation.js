@@ -18,6 +18,8 @@ class Point {
         this.y = y;
         this.oldX = x;
         this.oldY = y;
+        this.prevX = x;
+        this.prevY = y;
         this.pinned = pinned;
     }
 
@@ -99,7 +101,8 @@ export class ClothSimulationDemo extends BaseDemo {
             { type: 'slider', name: 'gravity', label: 'Gravity', min: 0.1, max: 1, default: 0.5, step: 0.05 },
             { type: 'slider', name: 'stiffness', label: 'Stiffness', min: 1, max: 10, default: 5 },
             { type: 'slider', name: 'friction', label: 'Friction', min: 0.95, max: 1, default: 0.98, step: 0.005 },
-            { type: 'checkbox', name: 'tear', label: 'Can Tear', default: true }
+            { type: 'checkbox', name: 'tear', label: 'Can Tear', default: true },
+            { type: 'button', label: 'Reset Cloth', action: 'createCloth' }
         ];
     }
 
@@ -108,10 +111,15 @@ export class ClothSimulationDemo extends BaseDemo {
             gravity: 0.5,
             stiffness: 5,
             friction: 0.98,
-            tear: true
+            tear: true,
+            fixedTimestep: 1000 / 60
         };
     }
 
+    getCounters() {
+        return { points: this.points.length, sticks: this.sticks.length };
+    }
+
     init() {
         this.points = [];
         this.sticks = [];
@@ -182,6 +190,12 @@ export class ClothSimulationDemo extends BaseDemo {
     update(deltaTime) {
         const { gravity, stiffness, friction, tear } = this.options;
 
+        // Remember last positions for render interpolation
+        for (const point of this.points) {
+            point.prevX = point.x;
+            point.prevY = point.y;
+        }
+
         // Drag point follows mouse
         if (this.dragPoint) {
             this.dragPoint.x = this.mouse.x;
@@ -213,7 +227,11 @@ export class ClothSimulationDemo extends BaseDemo {
         }
     }
 
-    render() {
+    render(alpha) {
+        // Interpolate between the last two simulation steps
+        const lerpX = point => MathUtils.lerp(point.prevX, point.x, alpha);
+        const lerpY = point => MathUtils.lerp(point.prevY, point.y, alpha);
+
         // Background
         this.ctx.fillStyle = '#0a0a15';
         this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
@@ -224,15 +242,15 @@ export class ClothSimulationDemo extends BaseDemo {
         this.ctx.beginPath();
 
         for (const stick of this.sticks) {
-            this.ctx.moveTo(stick.p1.x, stick.p1.y);
-            this.ctx.lineTo(stick.p2.x, stick.p2.y);
+            this.ctx.moveTo(lerpX(stick.p1), lerpY(stick.p1));
+            this.ctx.lineTo(lerpX(stick.p2), lerpY(stick.p2));
         }
         this.ctx.stroke();
 
         // Draw points
         for (const point of this.points) {
             this.ctx.beginPath();
-            this.ctx.arc(point.x, point.y, point.pinned ? 6 : 3, 0, Math.PI * 2);
+            this.ctx.arc(lerpX(point), lerpY(point), point.pinned ? 6 : 3, 0, Math.PI * 2);
             this.ctx.fillStyle = point.pinned ? '#ff6666' : '#88aaff';
             this.ctx.fill();
         }
@@ -240,7 +258,7 @@ export class ClothSimulationDemo extends BaseDemo {
         // Draw drag indicator
         if (this.dragPoint) {
             this.ctx.beginPath();
-            this.ctx.arc(this.dragPoint.x, this.dragPoint.y, 10, 0, Math.PI * 2);
+            this.ctx.arc(lerpX(this.dragPoint), lerpY(this.dragPoint), 10, 0, Math.PI * 2);
             this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
             this.ctx.lineWidth = 2;
             this.ctx.stroke();
@@ -29,41 +29,56 @@ export class FluidSimulationDemo extends BaseDemo {
             name: 'Fluid Simulation',
             description: 'Simple particle-based fluid - click to add particles',
             difficulty: 'intermediate',
-            category: 'physics'
+            category: 'physics',
+            expensive: true
         };
     }
 
     static getControls() {
         return [
+            { type: 'slider', name: 'particleCount', label: 'Particles', min: 20, max: 300, default: 100, step: 10 },
+            { type: 'slider', name: 'maxParticles', label: 'Max Particles', min: 100, max: 1000, default: 500, step: 50 },
             { type: 'slider', name: 'gravity', label: 'Gravity', min: 0, max: 0.5, default: 0.15, step: 0.01 },
             { type: 'slider', name: 'viscosity', label: 'Viscosity', min: 0.01, max: 0.2, default: 0.05, step: 0.01 },
             { type: 'slider', name: 'smoothingRadius', label: 'Smoothing', min: 20, max: 60, default: 35 },
-            { type: 'checkbox', name: 'showPressure', label: 'Show Pressure', default: true }
+            { type: 'checkbox', name: 'showPressure', label: 'Show Pressure', default: true },
+            { type: 'slider', name: 'renderScale', label: 'Render Scale', min: 0.25, max: 1, default: 0.5, step: 0.25 }
         ];
     }
 
+    static getQualityScaling() {
+        return { particleCount: 0.25, maxParticles: 0.25, renderScale: 0.5 };
+    }
+
     getDefaultOptions() {
         return {
+            particleCount: 100,
+            maxParticles: 500,
             gravity: 0.15,
             viscosity: 0.05,
             smoothingRadius: 35,
-            showPressure: true
+            showPressure: true,
+            renderScale: 0.5
         };
     }
 
+    getCounters() {
+        return { particles: this.particles.length };
+    }
+
     init() {
         this.particles = [];
         this.restDensity = 1;
         this.pressureMultiplier = 50;
 
         // Create initial particles
-        this.createParticles(100, this.displayWidth / 2, this.displayHeight / 3);
+        this.createParticles(this.scaled('particleCount'), this.displayWidth / 2, this.displayHeight / 3);
     }
 
     createParticles(count, centerX, centerY) {
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * 50;
+            const angle = MathUtils.random(0, Math.PI * 2);
+            const radius = MathUtils.random(0, 50);
             this.particles.push(new FluidParticle(
                 centerX + Math.cos(angle) * radius,
                 centerY + Math.sin(angle) * radius
@@ -71,15 +86,40 @@ export class FluidSimulationDemo extends BaseDemo {
         }
     }
 
+    /**
+     * Drop the oldest particles above the cap, or pour in more when below the starting count
+     */
+    fitParticles() {
+        const count = this.scaled('particleCount');
+        const max = Math.max(this.scaled('maxParticles'), count);
+
+        if (this.particles.length > max) {
+            this.particles.splice(0, this.particles.length - max);
+        } else if (this.particles.length < count) {
+            this.createParticles(count - this.particles.length, this.displayWidth / 2, this.displayHeight / 3);
+        }
+    }
+
     onClick(x, y) {
         this.createParticles(30, x, y);
 
         // Limit total particles
-        if (this.particles.length > 500) {
-            this.particles.splice(0, 50);
+        const max = this.scaled('maxParticles');
+        if (this.particles.length > max) {
+            this.particles.splice(0, Math.max(50, this.particles.length - max));
+        }
+    }
+
+    onOptionChange(name) {
+        if (name === 'particleCount' || name === 'maxParticles') {
+            this.fitParticles();
         }
     }
 
+    onQualityChange() {
+        this.fitParticles();
+    }
+
     smoothingKernel(dist, radius) {
         if (dist >= radius) return 0;
         const volume = Math.PI * Math.pow(radius, 4) / 6;
@@ -16,16 +16,22 @@ class Body {
     constructor(x, y, mass, vx = 0, vy = 0) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
         this.mass = mass;
         this.vx = vx;
         this.vy = vy;
         this.radius = Math.pow(mass, 1/3) * 3;
-        this.hue = Math.random() * 360;
+        this.hue = MathUtils.random(0, 360);
         this.trail = [];
         this.maxTrail = 100;
     }
 
     update() {
+        // Remember last position for render interpolation
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         // Store trail
         this.trail.push({ x: this.x, y: this.y });
         if (this.trail.length > this.maxTrail) {
@@ -36,7 +42,11 @@ class Body {
         this.y += this.vy;
     }
 
-    render(ctx, showTrails) {
+    render(ctx, showTrails, alpha) {
+        // Interpolate between the last two simulation steps
+        const x = MathUtils.lerp(this.prevX, this.x, alpha);
+        const y = MathUtils.lerp(this.prevY, this.y, alpha);
+
         // Draw trail
         if (showTrails && this.trail.length > 1) {
             ctx.beginPath();
@@ -51,27 +61,27 @@ class Body {
 
         // Draw body
         const gradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.3, this.y - this.radius * 0.3, 0,
-            this.x, this.y, this.radius
+            x - this.radius * 0.3, y - this.radius * 0.3, 0,
+            x, y, this.radius
         );
         gradient.addColorStop(0, ColorUtils.hsl(this.hue, 70, 70));
         gradient.addColorStop(1, ColorUtils.hsl(this.hue, 70, 30));
 
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
         ctx.fillStyle = gradient;
         ctx.fill();
 
         // Glow
         const glowGradient = ctx.createRadialGradient(
-            this.x, this.y, this.radius,
-            this.x, this.y, this.radius * 2
+            x, y, this.radius,
+            x, y, this.radius * 2
         );
         glowGradient.addColorStop(0, ColorUtils.hsl(this.hue, 70, 50, 0.3));
         glowGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
         ctx.fillStyle = glowGradient;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius * 2, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius * 2, 0, Math.PI * 2);
         ctx.fill();
     }
 }
@@ -100,10 +110,15 @@ export class GravitySimDemo extends BaseDemo {
             gravity: 0.5,
             softening: 50,
             showTrails: true,
-            merge: true
+            merge: true,
+            fixedTimestep: 1000 / 60
         };
     }
 
+    getCounters() {
+        return { bodies: this.bodies.length };
+    }
+
     init() {
         this.bodies = [];
         this.createInitialSystem();
@@ -238,14 +253,21 @@ export class GravitySimDemo extends BaseDemo {
         // Keep bodies in bounds (soft boundary)
         const margin = 100;
         for (const body of this.bodies) {
+            const { x, y } = body;
             if (body.x < -margin) body.x = this.displayWidth + margin;
             if (body.x > this.displayWidth + margin) body.x = -margin;
             if (body.y < -margin) body.y = this.displayHeight + margin;
             if (body.y > this.displayHeight + margin) body.y = -margin;
+
+            // Don't interpolate across the wrap
+            if (body.x !== x || body.y !== y) {
+                body.prevX = body.x;
+                body.prevY = body.y;
+            }
         }
     }
 
-    render() {
+    render(alpha) {
         const { showTrails } = this.options;
 
         // Fade background for trails
@@ -254,7 +276,7 @@ export class GravitySimDemo extends BaseDemo {
 
         // Draw bodies
         for (const body of this.bodies) {
-            body.render(this.ctx, showTrails);
+            body.render(this.ctx, showTrails, alpha);
         }
 
         // Info
@@ -10,7 +10,7 @@
 
 import { BaseDemo } from '../../js/core/BaseDemo.js';
 import { MathUtils } from '../../js/utils/MathUtils.js';
-import { ColorUtils } from '../../js/utils/ColorUtils.js';
+import { Gradient, paletteControls, PALETTE_DEFAULTS } from '../../js/utils/Gradient.js';
 
 class Metaball {
     constructor(x, y, radius) {
@@ -19,7 +19,7 @@ class Metaball {
         this.radius = radius;
         this.vx = MathUtils.random(-2, 2);
         this.vy = MathUtils.random(-2, 2);
-        this.phase = Math.random() * Math.PI * 2;
+        this.phase = MathUtils.random(0, Math.PI * 2);
     }
 
     update(width, height, speed) {
@@ -53,7 +53,8 @@ export class MetaballsDemo extends BaseDemo {
             name: 'Metaballs',
             description: 'Organic blobby shapes that merge and split',
             difficulty: 'advanced',
-            category: 'physics'
+            category: 'physics',
+            expensive: true
         };
     }
 
@@ -62,23 +63,34 @@ export class MetaballsDemo extends BaseDemo {
             { type: 'slider', name: 'ballCount', label: 'Balls', min: 3, max: 10, default: 6 },
             { type: 'slider', name: 'threshold', label: 'Threshold', min: 0.5, max: 2, default: 1, step: 0.05 },
             { type: 'slider', name: 'speed', label: 'Speed', min: 0.2, max: 2, default: 1, step: 0.1 },
-            { type: 'checkbox', name: 'colorful', label: 'Colorful', default: true }
+            { type: 'checkbox', name: 'colorful', label: 'Colorful (off: grayscale)', default: true },
+            ...paletteControls({ equalize: false })
         ];
     }
 
+    static getQualityScaling() {
+        return { renderScale: 0.5 };
+    }
+
     getDefaultOptions() {
         return {
             ballCount: 6,
             threshold: 1,
             speed: 1,
-            colorful: true
+            colorful: true,
+            ...PALETTE_DEFAULTS
         };
     }
 
+    getOptionErrors() {
+        return this.palette.error ? { paletteStops: this.palette.error } : {};
+    }
+
     init() {
         this.balls = [];
         this.createBalls();
         this.imageData = null;
+        this.palette = Gradient.tryFromOptions(this.options);
     }
 
     createBalls() {
@@ -95,6 +107,8 @@ export class MetaballsDemo extends BaseDemo {
     onOptionChange(name, value) {
         if (name === 'ballCount') {
             this.createBalls();
+        } else if (name === 'palette' || name === 'paletteStops') {
+            this.palette = Gradient.tryFromOptions(this.options, { fallback: this.palette.gradient });
         }
     }
 
@@ -137,10 +151,11 @@ export class MetaballsDemo extends BaseDemo {
     }
 
     render() {
-        const { threshold, colorful } = this.options;
-        const width = Math.floor(this.displayWidth);
-        const height = Math.floor(this.displayHeight);
-        const step = 4; // Resolution
+        const { threshold, colorful, paletteOffset } = this.options;
+        const width = Math.floor(this.displayWidth * this.pixelScale);
+        const height = Math.floor(this.displayHeight * this.pixelScale);
+        // Sample spacing in buffer pixels, so a lower render scale evaluates fewer field samples
+        const step = 4;
 
         if (!this.imageData || this.imageData.width !== width || this.imageData.height !== height) {
             this.imageData = this.ctx.createImageData(width, height);
@@ -150,19 +165,20 @@ export class MetaballsDemo extends BaseDemo {
 
         for (let py = 0; py < height; py += step) {
             for (let px = 0; px < width; px += step) {
-                const field = this.calculateField(px, py);
+                // The field is defined in CSS pixels
+                const field = this.calculateField(px / this.pixelScale, py / this.pixelScale);
 
                 let r, g, b;
 
                 if (field > threshold) {
                     if (colorful) {
-                        // Color based on field strength
+                        // Color based on field strength, cycling over time; stronger field is lighter
                         const intensity = Math.min((field - threshold) / threshold, 1);
-                        const hue = (this.time * 0.02 + field * 50) % 360;
-                        const rgb = ColorUtils.hslToRgb(hue, 80, 50 + intensity * 20);
-                        r = rgb.r;
-                        g = rgb.g;
-                        b = rgb.b;
+                        const rgb = this.palette.gradient.sample((this.time * 0.02 + field * 50) / 360 + paletteOffset);
+                        const lighten = intensity * 0.4;
+                        r = rgb.r + (255 - rgb.r) * lighten;
+                        g = rgb.g + (255 - rgb.g) * lighten;
+                        b = rgb.b + (255 - rgb.b) * lighten;
                     } else {
                         // Grayscale
                         const brightness = Math.min(150 + (field - threshold) * 50, 255);
@@ -188,7 +204,7 @@ export class MetaballsDemo extends BaseDemo {
             }
         }
 
-        this.ctx.putImageData(this.imageData, 0, 0);
+        this.putPixels(this.imageData);
 
         // Draw ball centers (subtle)
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
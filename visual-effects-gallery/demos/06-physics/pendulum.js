@@ -24,11 +24,18 @@ export class PendulumDemo extends BaseDemo {
 
     static getControls() {
         return [
-            { type: 'slider', name: 'type', label: 'Type (0=Simple, 1=Double)', min: 0, max: 1, default: 1 },
+            {
+                type: 'select', name: 'type', label: 'Type', default: 1,
+                options: [
+                    { value: 0, label: 'Simple' },
+                    { value: 1, label: 'Double' }
+                ]
+            },
             { type: 'slider', name: 'length1', label: 'Length 1', min: 50, max: 200, default: 120 },
             { type: 'slider', name: 'length2', label: 'Length 2', min: 50, max: 200, default: 100 },
             { type: 'slider', name: 'damping', label: 'Damping', min: 0.99, max: 1, default: 0.9995, step: 0.0001 },
-            { type: 'checkbox', name: 'showTrail', label: 'Show Trail', default: true }
+            { type: 'checkbox', name: 'showTrail', label: 'Show Trail', default: true },
+            { type: 'button', label: 'Reset', action: 'reset' }
         ];
     }
 
@@ -38,7 +45,8 @@ export class PendulumDemo extends BaseDemo {
             length1: 120,
             length2: 100,
             damping: 0.9995,
-            showTrail: true
+            showTrail: true,
+            fixedTimestep: 1000 / 60
         };
     }
 
@@ -55,6 +63,10 @@ export class PendulumDemo extends BaseDemo {
         this.angle2 = Math.PI / 2;
         this.velocity2 = 0;
 
+        // Previous step angles for render interpolation
+        this.prevAngle1 = this.angle1;
+        this.prevAngle2 = this.angle2;
+
         // Trail
         this.trail = [];
         this.maxTrail = 500;
@@ -69,6 +81,8 @@ export class PendulumDemo extends BaseDemo {
         const centerY = this.displayHeight * 0.3;
         this.angle1 = Math.atan2(x - centerX, y - centerY);
         this.angle2 = this.angle1;
+        this.prevAngle1 = this.angle1;
+        this.prevAngle2 = this.angle2;
     }
 
     update(deltaTime) {
@@ -79,6 +93,9 @@ export class PendulumDemo extends BaseDemo {
         const l1 = length1;
         const l2 = length2;
 
+        this.prevAngle1 = this.angle1;
+        this.prevAngle2 = this.angle2;
+
         if (type === 0) {
             // Simple pendulum
             const acceleration = -g / l1 * Math.sin(this.angle1);
@@ -135,7 +152,7 @@ export class PendulumDemo extends BaseDemo {
         }
     }
 
-    render() {
+    render(alpha) {
         const { type, length1, length2, showTrail } = this.options;
         const width = this.displayWidth;
         const height = this.displayHeight;
@@ -147,14 +164,16 @@ export class PendulumDemo extends BaseDemo {
         const centerX = width / 2;
         const centerY = height * 0.3;
 
-        // Calculate positions
-        const x1 = centerX + length1 * Math.sin(this.angle1);
-        const y1 = centerY + length1 * Math.cos(this.angle1);
+        // Calculate positions, interpolated between the last two steps
+        const angle1 = MathUtils.lerp(this.prevAngle1, this.angle1, alpha);
+        const angle2 = MathUtils.lerp(this.prevAngle2, this.angle2, alpha);
+        const x1 = centerX + length1 * Math.sin(angle1);
+        const y1 = centerY + length1 * Math.cos(angle1);
 
         let x2, y2;
         if (type === 1) {
-            x2 = x1 + length2 * Math.sin(this.angle2);
-            y2 = y1 + length2 * Math.cos(this.angle2);
+            x2 = x1 + length2 * Math.sin(angle2);
+            y2 = y1 + length2 * Math.cos(angle2);
         }
 
         // Draw trail
@@ -3,33 +3,127 @@
  * Provides common canvas setup, animation loop, and event handling
  */
 
+import { SeededRandom, randomSeed, setActiveRandom } from '../utils/Random.js';
+import { FrameStats } from './FrameStats.js';
+import { SVGBuilder } from '../utils/SVGBuilder.js';
+import { DrawRecording } from './DrawRecording.js';
+
+/**
+ * Engine-level options shared by every demo
+ * Merged underneath each demo's own defaults, so any demo can override them
+ * - fixedTimestep: Simulation step in ms (0 = variable step, one update per frame)
+ * - maxSubsteps: Maximum fixed updates per frame before backlog is dropped
+ * - seed: Seed for the demo's random generator (null = pick a fresh one)
+ * - maxPixelRatio: Cap on the device pixel ratio used for the backing store
+ * - renderScale: Backing store resolution relative to the (capped) pixel ratio;
+ *   below 1 the canvas renders fewer pixels and the browser upscales it
+ */
+const ENGINE_OPTIONS = {
+    fixedTimestep: 0,
+    maxSubsteps: 5,
+    seed: null,
+    maxPixelRatio: 2,
+    renderScale: 1
+};
+
+/**
+ * Options that change the backing store size
+ */
+const RESOLUTION_OPTIONS = ['maxPixelRatio', 'renderScale'];
+
+/**
+ * Delta (ms) used at most for the first frame after starting or resuming,
+ * so time spent paused or in a background tab isn't simulated in one jump
+ */
+const RESUME_DELTA = 1000 / 60;
+
 /**
  * BaseDemo - Foundation class for canvas demos
  * All demos should extend this class and implement init(), update(), render()
+ *
+ * Given anything other than a canvas on the page (an OffscreenCanvas, a
+ * detached canvas or a bare 2D context), the demo runs headless: no DOM events, an explicit size set via
+ * setSize(), and time advanced manually with step() / draw()
  */
 export class BaseDemo {
     /**
-     * @param {HTMLCanvasElement} canvas - The canvas element to draw on
+     * @param {HTMLCanvasElement|OffscreenCanvas|CanvasRenderingContext2D} canvas - Where to draw
      * @param {Object} options - Demo-specific options
      */
     constructor(canvas, options = {}) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        // Only a canvas attached to the page gets layout, events and rAF
+        this.headless = typeof HTMLCanvasElement === 'undefined' ||
+            !(canvas instanceof HTMLCanvasElement && canvas.isConnected);
+
+        if (typeof canvas.getContext === 'function') {
+            this.canvas = canvas;
+            this.ctx = canvas.getContext('2d');
+        } else {
+            // Bare 2D context (or context-like object)
+            this.canvas = canvas.canvas ?? null;
+            this.ctx = canvas;
+        }
+
+        // Headless size (CSS pixels), used instead of the element's layout box
+        this.headlessSize = {
+            width: this.canvas?.width ?? 300,
+            height: this.canvas?.height ?? 150,
+            pixelRatio: 1
+        };
 
         // Merge default options with provided options
-        this.options = { ...this.getDefaultOptions(), ...options };
+        this.options = { ...ENGINE_OPTIONS, ...this.getDefaultOptions(), ...options };
+
+        // Per-instance random generator; the chosen seed is stored back so it can be shared
+        if (this.options.seed === null || this.options.seed === undefined) {
+            this.options.seed = randomSeed();
+        }
+        this.rng = new SeededRandom(this.options.seed);
 
         // Animation state
         this.isRunning = false;
+        this.isDestroyed = false;
         this.time = 0;
         this.lastTime = 0;
         this.deltaTime = 0;
         this.frameCount = 0;
 
+        // Frame, update and render timings for the performance overlay
+        this.stats = new FrameStats();
+
+        // Workload level from 0 (lowest) to 1 (full), see getQualityScaling()
+        this.quality = 1;
+
+        // Loop scheduling: the pending rAF id, reasons the loop is held while running
+        // ('hidden' tab, 'offscreen' canvas) and whether the next delta should be clamped
+        this._frameId = null;
+        this._suspendReasons = new Set();
+        this._clampNextDelta = false;
+
+        // Fixed timestep state
+        this.accumulator = 0;
+        this.alpha = 1;
+
         // Display dimensions (CSS pixels)
         this.displayWidth = 0;
         this.displayHeight = 0;
 
+        // Backing store pixels per CSS pixel (set on resize)
+        this.pixelRatio = 0;
+
+        // Pixels per CSS pixel that per-pixel demos should compute at
+        // (follows renderScale; raised temporarily by renderToBuffer for high-resolution output)
+        this.pixelScale = 1;
+        this._pixelBuffer = null;
+
+        // True while renderToBuffer() is drawing, for demos that must finish
+        // work synchronously there (e.g. results normally streamed from workers)
+        this.isExporting = false;
+
+        // SVG builder while vector recording is on (see startVectorRecording), else null
+        // Demos with vector: true in their metadata emit their lines to it as they draw
+        this.vector = null;
+
         // Mouse/touch state
         this.mouse = {
             x: 0,
@@ -38,20 +132,41 @@ export class BaseDemo {
             button: 0
         };
 
-        // Bound methods for event listeners
-        this._boundRender = this._render.bind(this);
-        this._boundResize = this._resize.bind(this);
-        this._boundMouseMove = this._onMouseMove.bind(this);
-        this._boundMouseDown = this._onMouseDown.bind(this);
-        this._boundMouseUp = this._onMouseUp.bind(this);
-        this._boundTouchStart = this._onTouchStart.bind(this);
-        this._boundTouchMove = this._onTouchMove.bind(this);
-        this._boundTouchEnd = this._onTouchEnd.bind(this);
-        this._boundClick = this._onClick.bind(this);
+        // False for gallery previews, which leave wheel and pinch gestures to the page
+        this.interactive = true;
+
+        /** Two-finger touch state while pinching */
+        this._pinch = null;
+
+        // Bound methods for event listeners (each runs against this demo's generator)
+        this._boundRender = this._bindWithRandom(this._render);
+        this._boundResize = this._bindWithRandom(this._resize);
+        this._boundMouseMove = this._bindWithRandom(this._onMouseMove);
+        this._boundMouseDown = this._bindWithRandom(this._onMouseDown);
+        this._boundMouseUp = this._bindWithRandom(this._onMouseUp);
+        this._boundTouchStart = this._bindWithRandom(this._onTouchStart);
+        this._boundTouchMove = this._bindWithRandom(this._onTouchMove);
+        this._boundTouchEnd = this._bindWithRandom(this._onTouchEnd);
+        this._boundWheel = this._bindWithRandom(this._onWheel);
+        this._boundClick = this._bindWithRandom(this._onClick);
+        this._boundDragOver = this._bindWithRandom(this._onDragOver);
+        this._boundDrop = this._bindWithRandom(this._onDrop);
+        this._boundPixelRatioChange = this._bindWithRandom(this._onPixelRatioChange);
+        this._boundVisibilityChange = this._bindWithRandom(this._onVisibilityChange);
+        this._boundIntersection = this._bindWithRandom(this._onIntersection);
+
+        /** @type {ResizeObserver|null} */
+        this._resizeObserver = null;
+
+        /** @type {MediaQueryList|null} */
+        this._pixelRatioQuery = null;
+
+        /** @type {IntersectionObserver|null} */
+        this._intersectionObserver = null;
 
         // Initialize
         this._setupEventListeners();
-        this._resize();
+        this._boundResize();
     }
 
     /**
@@ -72,15 +187,54 @@ export class BaseDemo {
     /**
      * Update demo state each frame
      * Override in subclass
-     * @param {number} deltaTime - Time since last frame in ms
+     * @param {number} deltaTime - Time since last frame in ms (the fixed step when fixedTimestep is set)
      */
     update(deltaTime) {}
 
     /**
      * Render demo to canvas
      * Override in subclass
+     * @param {number} alpha - Interpolation factor (0-1) between the previous and current
+     *                         simulation state; always 1 in variable-step mode
+     */
+    render(alpha) {}
+
+    /**
+     * Check whether the last drawn frame is complete
+     * Demos that stream results in (e.g. from workers) return false until they have arrived
+     * Override in subclass if needed
+     * @returns {boolean}
      */
-    render() {}
+    isReady() {
+        return true;
+    }
+
+    /**
+     * Report workload counts for the performance overlay, e.g. { particles: 500 }
+     * Override in subclass if needed
+     * @returns {Object<string, number>}
+     */
+    getCounters() {
+        return {};
+    }
+
+    /**
+     * Report options whose current value can't be used, e.g. { rules: 'Line 2: ...' }
+     * The sidebar shows each message under its control
+     * Override in subclass if needed
+     * @returns {Object<string, string>}
+     */
+    getOptionErrors() {
+        return {};
+    }
+
+    /**
+     * Called when vector recording starts, e.g. to set the background of
+     * demos that build up their picture over many frames
+     * Override in subclass if needed
+     * @param {SVGBuilder} vector
+     */
+    onVectorStart(vector) {}
 
     /**
      * Called when canvas is resized
@@ -121,9 +275,42 @@ export class BaseDemo {
      */
     onClick(x, y) {}
 
+    /**
+     * Called on mouse wheel
+     * Override in subclass if needed; return true to consume the event so the page doesn't scroll
+     * @param {number} x
+     * @param {number} y
+     * @param {number} delta - Vertical scroll in pixels (positive = scroll down)
+     * @returns {boolean}
+     */
+    onWheel(x, y, delta) {
+        return false;
+    }
+
+    /**
+     * Called as two fingers pinch on a touch screen
+     * Override in subclass if needed
+     * @param {number} x - Midpoint between the fingers
+     * @param {number} y
+     * @param {number} scale - Change in finger spread since the last call (> 1 = apart)
+     * @param {number} dx - Midpoint movement since the last call
+     * @param {number} dy
+     */
+    onPinch(x, y, scale, dx, dy) {}
+
+    /**
+     * Called when an image file is dropped on the canvas (demos opt in with imageDrop in their metadata)
+     * Override in subclass if needed
+     * @param {ImageBitmap} image
+     * @param {number} x
+     * @param {number} y
+     */
+    onImageDrop(image, x, y) {}
+
     /**
      * Get demo metadata for gallery display
-     * Override in subclass
+     * Override in subclass; set expensive for heavy demos so their gallery
+     * thumbnail takes turns with others and starts from a cached still
      * @returns {Object}
      */
     static getMetadata() {
@@ -131,7 +318,8 @@ export class BaseDemo {
             name: 'Unnamed Demo',
             description: '',
             difficulty: 'beginner',
-            category: 'uncategorized'
+            category: 'uncategorized',
+            expensive: false
         };
     }
 
@@ -144,6 +332,46 @@ export class BaseDemo {
         return [];
     }
 
+    /**
+     * Get built-in option presets for UI
+     * Override in subclass
+     * @returns {Array<{name: string, options: Object}>}
+     */
+    static getPresets() {
+        return [];
+    }
+
+    /**
+     * Declare how this demo sheds work at lower quality
+     * Maps option names to the factor applied to them at quality 0; the factor
+     * rises linearly to 1 at full quality. Demos read these options through scaled()
+     * (renderScale is applied by BaseDemo itself)
+     * Override in subclass, e.g. { particleCount: 0.25, renderScale: 0.5 }
+     * @returns {Object<string, number>}
+     */
+    static getQualityScaling() {
+        return {};
+    }
+
+    /**
+     * Create a headless demo ready to be stepped and drawn
+     * @param {OffscreenCanvas|CanvasRenderingContext2D} target - Where to draw
+     * @param {Object} config
+     * @param {number} config.width - Width in CSS pixels
+     * @param {number} config.height - Height in CSS pixels
+     * @param {number} config.pixelRatio - Backing store scale
+     * @param {Object} config.options - Demo options
+     * @returns {BaseDemo}
+     */
+    static createHeadless(target, { width, height, pixelRatio = 1, options = {} } = {}) {
+        const demo = new this(target, options);
+        if (width && height) {
+            demo.setSize(width, height, pixelRatio);
+        }
+        demo.prepare();
+        return demo;
+    }
+
     /**
      * Start the animation loop
      */
@@ -151,8 +379,182 @@ export class BaseDemo {
         if (this.isRunning) return;
         this.isRunning = true;
         this.lastTime = performance.now();
-        this.init();
-        requestAnimationFrame(this._boundRender);
+        this._clampNextDelta = true;
+        this._initialize();
+        this._requestFrame();
+    }
+
+    /**
+     * Build the scene without starting the loop
+     * For demos driven from outside with step() / draw() (headless renders, thumbnails)
+     */
+    prepare() {
+        this._initialize();
+    }
+
+    /**
+     * Set the drawing size of a headless demo
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @param {number} pixelRatio - Backing store scale
+     */
+    setSize(width, height, pixelRatio = 1) {
+        if (!this.headless) {
+            console.warn('BaseDemo: setSize() only applies to headless demos');
+            return;
+        }
+        this.headlessSize = { width, height, pixelRatio };
+        this._boundResize();
+    }
+
+    /**
+     * Get the backing store pixels per CSS pixel this demo should use
+     * The device ratio (or explicit headless ratio) capped by maxPixelRatio, times the
+     * quality-scaled renderScale
+     * @returns {number}
+     */
+    getPixelRatio() {
+        const { maxPixelRatio } = this.options;
+        const deviceRatio = this.headless
+            ? this.headlessSize.pixelRatio
+            : Math.min(window.devicePixelRatio || 1, maxPixelRatio);
+        return deviceRatio * this.scaled('renderScale');
+    }
+
+    /**
+     * Advance the simulation manually (headless or paused demos)
+     * Honours fixedTimestep, so a large dt is consumed in equal steps
+     * @param {number} deltaTime - Elapsed time in ms
+     */
+    step(deltaTime = this.options.fixedTimestep || 1000 / 60) {
+        setActiveRandom(this.rng);
+        this.deltaTime = deltaTime;
+        this.time += deltaTime;
+        this.frameCount++;
+        this._simulate(deltaTime);
+    }
+
+    /**
+     * Render the current state on demand
+     */
+    draw() {
+        setActiveRandom(this.rng);
+        this.render(this.alpha);
+    }
+
+    /**
+     * Render the current state into a new canvas at a multiple of the display size
+     * Vector drawing is re-rendered crisply; per-pixel demos see a raised pixelScale
+     * @param {number} scale - Output size as a multiple of the CSS display size
+     * @param {function(CanvasRenderingContext2D): CanvasRenderingContext2D} wrapContext -
+     *   Optional wrapper the demo draws through (e.g. DrawRecording.wrap)
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    renderToBuffer(scale = 1, wrapContext = null) {
+        const width = Math.round(this.displayWidth * scale);
+        const height = Math.round(this.displayHeight * scale);
+        const buffer = this.createBuffer(width, height);
+        const ctx = buffer.getContext('2d');
+
+        // Start from the on-screen frame so demos that fade over previous frames keep their trails
+        if (this.canvas && this.canvas.width > 0 && this.canvas.height > 0) {
+            ctx.drawImage(this.canvas, 0, 0, width, height);
+        }
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        const liveCtx = this.ctx;
+        const livePixelScale = this.pixelScale;
+        const liveVector = this.vector;
+        this.ctx = wrapContext ? wrapContext(ctx) : ctx;
+        this.pixelScale = scale;
+        this.isExporting = true;
+        // The export frame repeats the on-screen one; keep it out of a vector recording
+        this.vector = null;
+
+        try {
+            this.draw();
+        } finally {
+            this.ctx = liveCtx;
+            this.pixelScale = livePixelScale;
+            this.isExporting = false;
+            this.vector = liveVector;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Record the 2D context calls that draw the current state
+     * Drawn into a scratch buffer like renderToBuffer, so the screen is untouched
+     * @param {number} scale - Canvas pixels per CSS pixel to draw at
+     * @returns {DrawRecording} For replay(), stringify() or toSVG()
+     */
+    recordFrame(scale = 1) {
+        const recording = new DrawRecording(this.displayWidth, this.displayHeight, {
+            pixelRatio: scale,
+            createBuffer: (width, height) => this.createBuffer(width, height)
+        });
+        this.renderToBuffer(scale, ctx => recording.wrap(ctx));
+        return recording;
+    }
+
+    /**
+     * Start collecting the lines this demo draws as vector geometry
+     * Demos that redraw every frame clear it as they repaint, so it holds the
+     * latest frame; demos that build up trails keep adding to it
+     * @returns {SVGBuilder}
+     */
+    startVectorRecording() {
+        this.vector = new SVGBuilder(this.displayWidth, this.displayHeight);
+        this.onVectorStart(this.vector);
+        return this.vector;
+    }
+
+    /**
+     * Stop vector recording
+     * @returns {SVGBuilder|null} The geometry collected, for toSVG()/toBlob()
+     */
+    stopVectorRecording() {
+        const vector = this.vector;
+        this.vector = null;
+        return vector;
+    }
+
+    /**
+     * Draw per-pixel image data so it covers the display area
+     * Data matching the backing store is put directly; anything else
+     * (CSS-pixel sized data on a HiDPI canvas, an export buffer) is stretched
+     * @param {ImageData} imageData
+     */
+    putPixels(imageData) {
+        const canvas = this.ctx.canvas;
+        if (canvas && imageData.width === canvas.width && imageData.height === canvas.height) {
+            this.ctx.putImageData(imageData, 0, 0);
+            return;
+        }
+
+        const buffer = this._pixelBuffer;
+        if (!buffer || buffer.width !== imageData.width || buffer.height !== imageData.height) {
+            this._pixelBuffer = this.createBuffer(imageData.width, imageData.height);
+        }
+        this._pixelBuffer.getContext('2d').putImageData(imageData, 0, 0);
+        this.ctx.drawImage(this._pixelBuffer, 0, 0, this.displayWidth, this.displayHeight);
+    }
+
+    /**
+     * Create a scratch canvas, offscreen where supported
+     * @param {number} width
+     * @param {number} height
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    createBuffer(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const buffer = document.createElement('canvas');
+        buffer.width = width;
+        buffer.height = height;
+        return buffer;
     }
 
     /**
@@ -160,6 +562,49 @@ export class BaseDemo {
      */
     stop() {
         this.isRunning = false;
+        this._cancelFrame();
+    }
+
+    /**
+     * Restart the animation loop without rebuilding the scene
+     */
+    resume() {
+        if (this.isRunning || this.isDestroyed) return;
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        this._clampNextDelta = true;
+        this._requestFrame();
+    }
+
+    /**
+     * Hold the animation loop without stopping the demo
+     * The loop stays held until every reason has been released
+     * @param {string} reason - e.g. 'hidden', 'offscreen'
+     */
+    suspend(reason) {
+        this._suspendReasons.add(reason);
+        this._cancelFrame();
+    }
+
+    /**
+     * Release a hold placed by suspend(); the loop continues once none remain
+     * @param {string} reason
+     */
+    release(reason) {
+        if (!this._suspendReasons.delete(reason)) return;
+        if (this._suspendReasons.size > 0 || !this.isRunning) return;
+
+        this.lastTime = performance.now();
+        this._clampNextDelta = true;
+        this._requestFrame();
+    }
+
+    /**
+     * Check whether the loop is held by suspend()
+     * @returns {boolean}
+     */
+    isSuspended() {
+        return this._suspendReasons.size > 0;
     }
 
     /**
@@ -168,10 +613,84 @@ export class BaseDemo {
      * @param {*} value
      */
     setOption(name, value) {
+        setActiveRandom(this.rng);
         this.options[name] = value;
+        if (name === 'seed') {
+            this.reseed(value);
+        }
+        if (RESOLUTION_OPTIONS.includes(name)) {
+            this._resize();
+        }
         this.onOptionChange(name, value);
     }
 
+    /**
+     * Get an option's value adjusted for the current quality level
+     * Options without quality scaling are returned unchanged; options whose
+     * slider moves in whole steps stay whole (and at least 1)
+     * @param {string} name
+     * @returns {*}
+     */
+    scaled(name) {
+        const value = this.options[name];
+        const minFactor = this.constructor.getQualityScaling()[name];
+        if (minFactor === undefined) return value;
+
+        const result = value * (minFactor + (1 - minFactor) * this.quality);
+        const control = this.constructor.getControls().find(c => c.name === name);
+        const isWhole = control?.type === 'slider' && Number.isInteger(control.step ?? 1);
+        return isWhole ? Math.max(1, Math.round(result)) : result;
+    }
+
+    /**
+     * Change the quality level
+     * @param {number} quality - 0 (lowest) to 1 (full)
+     */
+    setQuality(quality) {
+        if (quality === this.quality) return;
+        this.quality = quality;
+
+        setActiveRandom(this.rng);
+        if ('renderScale' in this.constructor.getQualityScaling()) {
+            this._resize();
+        }
+        this.onQualityChange(quality);
+    }
+
+    /**
+     * Called when the quality level changes
+     * By default every scaled option is reported through onOptionChange(),
+     * so demos that rebuild on an option change rebuild at the new size
+     * Override in subclass if needed
+     * @param {number} quality
+     */
+    onQualityChange(quality) {
+        Object.keys(this.constructor.getQualityScaling())
+            .filter(name => name !== 'renderScale')
+            .forEach(name => this.onOptionChange(name, this.scaled(name)));
+    }
+
+    /**
+     * Run an action method (e.g. from a button control) with this demo's generator active
+     * @param {string} action - Method name
+     * @returns {*} The action's result; the gallery offers {blob, filename} as a download
+     */
+    runAction(action) {
+        setActiveRandom(this.rng);
+        return this[action]();
+    }
+
+    /**
+     * Restart the demo's random sequence and rebuild its scene
+     * @param {number|string} seed - Defaults to a fresh random seed
+     */
+    reseed(seed = randomSeed()) {
+        this.options.seed = seed;
+        this.rng.reset(seed);
+        setActiveRandom(this.rng);
+        this.init();
+    }
+
     /**
      * Called when an option changes
      * Override in subclass if needed
@@ -184,6 +703,7 @@ export class BaseDemo {
      * Clean up resources
      */
     destroy() {
+        this.isDestroyed = true;
         this.stop();
         this._removeEventListeners();
     }
@@ -203,43 +723,148 @@ export class BaseDemo {
 
     // ============ Private Methods ============
 
+    /**
+     * Reset timing and random state, then build the scene
+     * @private
+     */
+    _initialize() {
+        this.accumulator = 0;
+        this.alpha = 1;
+
+        // Restart the sequence so the same seed always builds the same scene
+        this.rng.reset();
+        setActiveRandom(this.rng);
+        this.init();
+    }
+
+    /**
+     * Bind a handler so it runs with this demo's generator active
+     * Shared utils (MathUtils.random etc.) then draw from the seeded sequence
+     * @param {Function} fn
+     * @returns {Function}
+     * @private
+     */
+    _bindWithRandom(fn) {
+        return (...args) => {
+            setActiveRandom(this.rng);
+            return fn.apply(this, args);
+        };
+    }
+
     /**
      * Internal render loop
      * @param {number} time
      * @private
      */
     _render(time) {
+        this._frameId = null;
         if (!this.isRunning) return;
 
-        this.deltaTime = time - this.lastTime;
+        let deltaTime = Math.max(0, time - this.lastTime);
+        if (this._clampNextDelta) {
+            deltaTime = Math.min(deltaTime, RESUME_DELTA);
+            this._clampNextDelta = false;
+        }
+
+        this.deltaTime = deltaTime;
         this.lastTime = time;
-        this.time = time;
+        this.time += deltaTime;
         this.frameCount++;
 
-        this.update(this.deltaTime);
-        this.render();
+        const updateStart = performance.now();
+        this._simulate(this.deltaTime);
+        const renderStart = performance.now();
+        this.render(this.alpha);
+        this.stats.record(deltaTime, renderStart - updateStart, performance.now() - renderStart);
 
-        requestAnimationFrame(this._boundRender);
+        this._requestFrame();
+    }
+
+    /**
+     * Schedule the next frame unless one is pending or the loop is stopped or held
+     * @private
+     */
+    _requestFrame() {
+        if (this._frameId !== null || !this.isRunning || this._suspendReasons.size > 0) return;
+        this._frameId = requestAnimationFrame(this._boundRender);
+    }
+
+    /**
+     * Drop the pending frame, if any
+     * @private
+     */
+    _cancelFrame() {
+        if (this._frameId === null) return;
+        cancelAnimationFrame(this._frameId);
+        this._frameId = null;
     }
 
     /**
-     * Handle canvas resize with device pixel ratio
+     * Advance the simulation by a frame's worth of time
+     * In fixed-timestep mode, elapsed time is accumulated and consumed in
+     * equal steps so the simulation runs at the same rate on any display
+     * @param {number} deltaTime - Elapsed time in ms
+     * @private
+     */
+    _simulate(deltaTime) {
+        const { fixedTimestep, maxSubsteps } = this.options;
+
+        if (!fixedTimestep) {
+            this.alpha = 1;
+            this.update(deltaTime);
+            return;
+        }
+
+        this.accumulator += Math.max(0, deltaTime);
+
+        let steps = 0;
+        while (this.accumulator >= fixedTimestep && steps < maxSubsteps) {
+            this.update(fixedTimestep);
+            this.accumulator -= fixedTimestep;
+            steps++;
+        }
+
+        // Drop any backlog we couldn't catch up on rather than spiralling
+        if (this.accumulator >= fixedTimestep) {
+            this.accumulator %= fixedTimestep;
+        }
+
+        this.alpha = this.accumulator / fixedTimestep;
+    }
+
+    /**
+     * Size the backing store for the current layout and pixel ratio
+     * Does nothing if neither the display size nor the ratio changed, so
+     * redundant notifications don't clear the canvas or rebuild demo state
      * @private
      */
     _resize() {
-        const dpr = window.devicePixelRatio || 1;
-        const rect = this.canvas.getBoundingClientRect();
+        let width, height;
+        if (this.headless) {
+            ({ width, height } = this.headlessSize);
+        } else {
+            ({ width, height } = this.canvas.getBoundingClientRect());
+        }
+        const ratio = this.getPixelRatio();
+
+        if (width === this.displayWidth && height === this.displayHeight && ratio === this.pixelRatio) {
+            return;
+        }
 
-        // Set display size
-        this.displayWidth = rect.width;
-        this.displayHeight = rect.height;
+        this.displayWidth = width;
+        this.displayHeight = height;
+        this.pixelRatio = ratio;
+        this.pixelScale = this.scaled('renderScale');
 
-        // Set actual size in memory (scaled for retina)
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
+        // Set actual size in memory (resizing a canvas also resets its context state)
+        if (this.canvas) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
 
-        // Scale context to match CSS pixels
-        this.ctx.scale(dpr, dpr);
+        // Map CSS pixels to backing store pixels; set outright rather than
+        // scaling, since a bare headless context has no canvas to reset it
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
 
         this.onResize();
     }
@@ -249,7 +874,26 @@ export class BaseDemo {
      * @private
      */
     _setupEventListeners() {
-        window.addEventListener('resize', this._boundResize);
+        if (this.headless) return;
+
+        // Observe the canvas itself so layout changes (e.g. the sidebar) resize it too
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this._boundResize);
+            this._resizeObserver.observe(this.canvas);
+        } else {
+            window.addEventListener('resize', this._boundResize);
+        }
+        this._watchPixelRatio();
+
+        // Hold the loop while the tab is hidden or the canvas is scrolled out of view
+        document.addEventListener('visibilitychange', this._boundVisibilityChange);
+        if (document.hidden) {
+            this.suspend('hidden');
+        }
+        if (typeof IntersectionObserver !== 'undefined') {
+            this._intersectionObserver = new IntersectionObserver(this._boundIntersection);
+            this._intersectionObserver.observe(this.canvas);
+        }
 
         this.canvas.addEventListener('mousemove', this._boundMouseMove);
         this.canvas.addEventListener('mousedown', this._boundMouseDown);
@@ -260,6 +904,9 @@ export class BaseDemo {
         this.canvas.addEventListener('touchstart', this._boundTouchStart, { passive: false });
         this.canvas.addEventListener('touchmove', this._boundTouchMove, { passive: false });
         this.canvas.addEventListener('touchend', this._boundTouchEnd);
+        this.canvas.addEventListener('wheel', this._boundWheel, { passive: false });
+        this.canvas.addEventListener('dragover', this._boundDragOver);
+        this.canvas.addEventListener('drop', this._boundDrop);
     }
 
     /**
@@ -267,7 +914,22 @@ export class BaseDemo {
      * @private
      */
     _removeEventListeners() {
-        window.removeEventListener('resize', this._boundResize);
+        if (this.headless) return;
+
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        } else {
+            window.removeEventListener('resize', this._boundResize);
+        }
+        this._pixelRatioQuery?.removeEventListener('change', this._boundPixelRatioChange);
+        this._pixelRatioQuery = null;
+
+        document.removeEventListener('visibilitychange', this._boundVisibilityChange);
+        if (this._intersectionObserver) {
+            this._intersectionObserver.disconnect();
+            this._intersectionObserver = null;
+        }
 
         this.canvas.removeEventListener('mousemove', this._boundMouseMove);
         this.canvas.removeEventListener('mousedown', this._boundMouseDown);
@@ -278,6 +940,56 @@ export class BaseDemo {
         this.canvas.removeEventListener('touchstart', this._boundTouchStart);
         this.canvas.removeEventListener('touchmove', this._boundTouchMove);
         this.canvas.removeEventListener('touchend', this._boundTouchEnd);
+        this.canvas.removeEventListener('wheel', this._boundWheel);
+        this.canvas.removeEventListener('dragover', this._boundDragOver);
+        this.canvas.removeEventListener('drop', this._boundDrop);
+    }
+
+    /**
+     * Listen for the device pixel ratio changing (browser zoom, moving between monitors)
+     * The element's CSS size may stay the same, so the ResizeObserver wouldn't fire
+     * @private
+     */
+    _watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+
+        this._pixelRatioQuery?.removeEventListener('change', this._boundPixelRatioChange);
+        this._pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this._pixelRatioQuery.addEventListener('change', this._boundPixelRatioChange);
+    }
+
+    /**
+     * @private
+     */
+    _onPixelRatioChange() {
+        // The query only matches the old ratio, so re-register for the new one
+        this._watchPixelRatio();
+        this._resize();
+    }
+
+    /**
+     * @private
+     */
+    _onVisibilityChange() {
+        if (document.hidden) {
+            this.suspend('hidden');
+        } else {
+            this.release('hidden');
+        }
+    }
+
+    /**
+     * @param {IntersectionObserverEntry[]} entries
+     * @private
+     */
+    _onIntersection(entries) {
+        // Only the canvas is observed; the last entry is its current state
+        const entry = entries[entries.length - 1];
+        if (entry.isIntersecting) {
+            this.release('offscreen');
+        } else {
+            this.suspend('offscreen');
+        }
     }
 
     /**
@@ -336,6 +1048,15 @@ export class BaseDemo {
      */
     _onTouchStart(e) {
         e.preventDefault();
+        if (e.touches.length >= 2 && this.interactive) {
+            // A second finger turns the gesture into a pinch and ends the drag
+            if (!this._pinch && this.mouse.isDown) {
+                this.mouse.isDown = false;
+                this.onMouseUp(this.mouse.x, this.mouse.y);
+            }
+            this._pinch = this._getPinch(e.touches);
+            return;
+        }
         if (e.touches.length > 0) {
             const coords = this._getEventCoords(e.touches[0]);
             this.mouse.x = coords.x;
@@ -350,6 +1071,15 @@ export class BaseDemo {
      */
     _onTouchMove(e) {
         e.preventDefault();
+        if (this._pinch) {
+            if (e.touches.length < 2) return;
+
+            const pinch = this._getPinch(e.touches);
+            const last = this._pinch;
+            this._pinch = pinch;
+            this.onPinch(pinch.x, pinch.y, pinch.distance / last.distance, pinch.x - last.x, pinch.y - last.y);
+            return;
+        }
         if (e.touches.length > 0) {
             const coords = this._getEventCoords(e.touches[0]);
             this.mouse.x = coords.x;
@@ -362,9 +1092,82 @@ export class BaseDemo {
      * @private
      */
     _onTouchEnd(e) {
+        // Fingers lifting after a pinch neither drag nor tap
+        if (this._pinch) {
+            if (e.touches.length === 0) {
+                this._pinch = null;
+            }
+            return;
+        }
+
         this.mouse.isDown = false;
         this.onMouseUp(this.mouse.x, this.mouse.y);
         // Trigger click on touch end
         this.onClick(this.mouse.x, this.mouse.y);
     }
+
+    /**
+     * Midpoint and spread of the first two touches
+     * @param {TouchList} touches
+     * @returns {{x: number, y: number, distance: number}}
+     * @private
+     */
+    _getPinch(touches) {
+        const a = this._getEventCoords(touches[0]);
+        const b = this._getEventCoords(touches[1]);
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+        };
+    }
+
+    /**
+     * @private
+     */
+    _onWheel(e) {
+        if (!this.interactive) return;
+
+        // Line and page deltas to pixels
+        const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.displayHeight : 1;
+        const coords = this._getEventCoords(e);
+        if (this.onWheel(coords.x, coords.y, e.deltaY * unit)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Whether this demo takes dropped images right now
+     * @private
+     */
+    _acceptsDrop() {
+        return this.interactive && !!this.constructor.getMetadata().imageDrop;
+    }
+
+    /**
+     * @private
+     */
+    _onDragOver(e) {
+        if (!this._acceptsDrop()) return;
+
+        // Cancelling dragover is what lets the drop land here instead of the browser opening the file
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * @private
+     */
+    _onDrop(e) {
+        if (!this._acceptsDrop()) return;
+
+        e.preventDefault();
+        const file = [...e.dataTransfer.files].find(f => f.type.startsWith('image/'));
+        if (!file) return;
+
+        const coords = this._getEventCoords(e);
+        createImageBitmap(file)
+            .then(this._bindWithRandom(image => this.onImageDrop(image, coords.x, coords.y)))
+            .catch(err => console.warn('BaseDemo: Could not read dropped image:', err));
+    }
 }
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Video capture of running demos
+ * Records a demo's canvas to WebM through MediaRecorder, either live or
+ * "offline" by stepping the demo at a fixed dt for every recorded frame.
+ * Both go through the browser's real-time encoder, so neither is frame-exact
+ */
+
+/**
+ * Container/codec candidates, best first
+ */
+const MIME_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+];
+
+/**
+ * DemoRecorder - Captures one demo's canvas to a video blob
+ */
+export class DemoRecorder {
+    /**
+     * @param {import('./BaseDemo.js').BaseDemo} demo - Demo to record (must draw to a DOM canvas)
+     */
+    constructor(demo) {
+        this.demo = demo;
+
+        /** @type {MediaRecorder|null} */
+        this.recorder = null;
+
+        this.isRecording = false;
+        this._stopRequested = false;
+    }
+
+    /**
+     * Check whether the browser can record canvas streams
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * Pick the best WebM type this browser can encode
+     * @returns {string}
+     */
+    static getMimeType() {
+        return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Record the demo
+     * @param {Object} config
+     * @param {number} config.fps - Frames per second
+     * @param {number} config.duration - Length in seconds
+     * @param {boolean} config.offline - Step the demo at 1/fps per frame instead of recording it live
+     *   (still encoded in real time; see _recordOffline)
+     * @param {function(number): void} config.onProgress - Called with progress (0-1)
+     * @returns {Promise<Blob>} WebM video
+     */
+    async record({ fps = 30, duration = 5, offline = false, onProgress = () => {} } = {}) {
+        if (this.isRecording) {
+            throw new Error('DemoRecorder: Already recording');
+        }
+
+        const canvas = this.demo.canvas;
+        const mimeType = DemoRecorder.getMimeType();
+
+        // Offline frames are pushed by hand, so the stream doesn't sample on its own
+        const stream = canvas.captureStream(offline ? 0 : fps);
+        const chunks = [];
+
+        this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        const finished = new Promise(resolve => {
+            this.recorder.addEventListener('stop', resolve, { once: true });
+        });
+
+        this.isRecording = true;
+        this._stopRequested = false;
+        this.recorder.start();
+
+        try {
+            if (offline) {
+                await this._recordOffline(stream, fps, duration, onProgress);
+            } else {
+                await this._recordLive(duration, onProgress);
+            }
+        } finally {
+            this.recorder.stop();
+            stream.getTracks().forEach(track => track.stop());
+            await finished;
+            this.isRecording = false;
+            this.recorder = null;
+        }
+
+        return new Blob(chunks, { type: mimeType || 'video/webm' });
+    }
+
+    /**
+     * End the current recording early; record() resolves with what was captured
+     */
+    stop() {
+        this._stopRequested = true;
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Let the demo's own loop run and stop after the duration
+     * @param {number} duration - Seconds
+     * @param {function(number): void} onProgress
+     * @returns {Promise<void>}
+     * @private
+     */
+    _recordLive(duration, onProgress) {
+        const startTime = performance.now();
+        const totalMs = duration * 1000;
+
+        return new Promise(resolve => {
+            const tick = () => {
+                const elapsed = performance.now() - startTime;
+                onProgress(Math.min(1, elapsed / totalMs));
+
+                if (this._stopRequested || elapsed >= totalMs) {
+                    resolve();
+                    return;
+                }
+                setTimeout(tick, 100);
+            };
+            tick();
+        });
+    }
+
+    /**
+     * Pause the demo's loop and advance it by exactly 1/fps per recorded frame
+     * The simulation never sees a dropped frame, but this is not deterministic:
+     * MediaRecorder timestamps each requestFrame() with the wall clock, so
+     * frames slower than 1/fps stretch the video and timing varies between runs.
+     * Frame-exact output would need WebCodecs and a WebM muxer
+     * @param {MediaStream} stream
+     * @param {number} fps
+     * @param {number} duration - Seconds
+     * @param {function(number): void} onProgress
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _recordOffline(stream, fps, duration, onProgress) {
+        const demo = this.demo;
+        const track = stream.getVideoTracks()[0];
+        const frameMs = 1000 / fps;
+        const totalFrames = Math.round(duration * fps);
+        const wasRunning = demo.isRunning;
+
+        demo.stop();
+
+        try {
+            const startTime = performance.now();
+
+            for (let frame = 0; frame < totalFrames && !this._stopRequested; frame++) {
+                demo.step(frameMs);
+                demo.draw();
+                track.requestFrame();
+                onProgress((frame + 1) / totalFrames);
+
+                // Wait for this frame's slot so the video plays back at the right speed
+                const wait = startTime + (frame + 1) * frameMs - performance.now();
+                await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+            }
+        } finally {
+            if (wasRunning) {
+                demo.resume();
+            }
+        }
+    }
+}
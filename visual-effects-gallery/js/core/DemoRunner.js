@@ -3,6 +3,9 @@
  * Handles loading, starting, stopping, and switching between demos
  */
 
+import { ThumbnailScheduler } from './ThumbnailScheduler.js';
+import { QualityController } from './QualityController.js';
+
 /**
  * DemoRunner - Manages demo instances and lifecycle
  */
@@ -19,6 +22,12 @@ export class DemoRunner {
 
         /** @type {Object} */
         this.currentOptions = {};
+
+        /** Shared low-FPS loop for gallery previews */
+        this.thumbnails = new ThumbnailScheduler();
+
+        /** Adaptive quality for the current demo */
+        this.quality = new QualityController();
     }
 
     /**
@@ -85,6 +94,17 @@ export class DemoRunner {
         return DemoClass.getControls();
     }
 
+    /**
+     * Get built-in presets for a specific demo
+     * @param {string} id
+     * @returns {Array<{name: string, options: Object}>}
+     */
+    getPresets(id) {
+        const DemoClass = this.registry.get(id);
+        if (!DemoClass) return [];
+        return DemoClass.getPresets();
+    }
+
     /**
      * Load and start a demo
      * @param {string} id - Demo identifier
@@ -110,15 +130,91 @@ export class DemoRunner {
         this.currentOptions = options;
         this.currentDemo = new DemoClass(this.canvas, options);
         this.currentDemo.start();
+        this.quality.attach(this.currentDemo);
 
         return true;
     }
 
+    /**
+     * Render a single frame of a demo without touching the page
+     * Useful for thumbnails, batch renders and snapshot comparisons
+     * @param {string} id - Demo identifier
+     * @param {Object} config
+     * @param {number} config.width - Width in CSS pixels
+     * @param {number} config.height - Height in CSS pixels
+     * @param {number} config.pixelRatio - Backing store scale
+     * @param {number} config.steps - Simulation steps to run before drawing
+     * @param {number} config.dt - Time per step in ms
+     * @param {Object} config.options - Demo options
+     * @param {OffscreenCanvas|CanvasRenderingContext2D} config.target - Draw here instead of a new canvas
+     * @returns {OffscreenCanvas|HTMLCanvasElement|CanvasRenderingContext2D|null} The drawn target
+     */
+    renderStill(id, { width = 640, height = 360, pixelRatio = 1, steps = 1, dt = 1000 / 60, options = {}, target = null } = {}) {
+        const DemoClass = this.registry.get(id);
+        if (!DemoClass) {
+            console.error(`DemoRunner: Demo "${id}" not found`);
+            return null;
+        }
+
+        if (!target) {
+            target = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(1, 1)
+                : document.createElement('canvas');
+        }
+
+        const demo = DemoClass.createHeadless(target, { width, height, pixelRatio, options });
+        for (let i = 0; i < steps; i++) {
+            demo.step(dt);
+        }
+        demo.draw();
+        demo.destroy();
+
+        return target;
+    }
+
+    /**
+     * Start previews on gallery thumbnail canvases, replacing any running ones
+     * Each canvas names its demo in data-demo-id; all previews share one capped-rate loop
+     * @param {Iterable<HTMLCanvasElement>} canvases
+     */
+    startThumbnails(canvases) {
+        this.stopThumbnails();
+
+        for (const canvas of canvases) {
+            const id = canvas.dataset.demoId;
+            const DemoClass = this.registry.get(id);
+            if (!DemoClass) continue;
+
+            try {
+                const demo = new DemoClass(canvas, {});
+                this.thumbnails.add(id, demo, { expensive: !!DemoClass.getMetadata().expensive });
+            } catch (e) {
+                console.warn(`DemoRunner: Failed to start thumbnail for ${id}:`, e);
+            }
+        }
+    }
+
+    /**
+     * Stop all thumbnail previews
+     */
+    stopThumbnails() {
+        this.thumbnails.clear();
+    }
+
+    /**
+     * Set the frame rate cap for thumbnail previews
+     * @param {number} fps
+     */
+    setThumbnailFps(fps) {
+        this.thumbnails.fps = fps;
+    }
+
     /**
      * Stop the current demo
      */
     stop() {
         if (this.currentDemo) {
+            this.quality.attach(null);
             this.currentDemo.destroy();
             this.currentDemo = null;
         }
@@ -138,7 +234,7 @@ export class DemoRunner {
      */
     resume() {
         if (this.currentDemo && !this.currentDemo.isRunning) {
-            this.currentDemo.start();
+            this.currentDemo.resume();
         }
     }
 
@@ -154,6 +250,57 @@ export class DemoRunner {
         }
     }
 
+    /**
+     * Choose automatic quality or pin a level
+     * @param {string} mode - 'auto' or a level name ('high', 'medium', 'low')
+     */
+    setQualityMode(mode) {
+        this.quality.setMode(mode);
+    }
+
+    /**
+     * Call an action method on the current demo (for button controls)
+     * @param {string} action - Method name
+     * @returns {*} The action's result
+     */
+    runAction(action) {
+        const demo = this.currentDemo;
+        if (!demo) return undefined;
+
+        if (typeof demo[action] !== 'function') {
+            console.error(`DemoRunner: Demo has no action "${action}"`);
+            return undefined;
+        }
+        const result = demo.runAction(action);
+
+        // Actions may change options (e.g. a saved view with its own settings)
+        this.syncOptions();
+
+        return result;
+    }
+
+    /**
+     * Pick up options the current demo changed itself (from an action or a
+     * canvas interaction), so links and presets stay in step
+     * @returns {Array<string>} Names of the options that changed
+     */
+    syncOptions() {
+        const demo = this.currentDemo;
+        if (!demo) return [];
+
+        return demo.constructor.getControls()
+            .filter(control => control.name && control.name in demo.options)
+            .filter(control => {
+                const value = demo.options[control.name];
+                const known = this.currentOptions[control.name] ?? control.default;
+                if (JSON.stringify(value) === JSON.stringify(known)) return false;
+
+                this.currentOptions[control.name] = value;
+                return true;
+            })
+            .map(control => control.name);
+    }
+
     /**
      * Get current demo options
      * @returns {Object}
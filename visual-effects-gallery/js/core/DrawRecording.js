@@ -0,0 +1,622 @@
+/**
+ * @fileoverview Recording 2D context
+ * Wraps a CanvasRenderingContext2D so every drawing call and style change
+ * still reaches the canvas but is also written to a list. The recording can
+ * be replayed onto another context at any scale, serialized to JSON for
+ * diffing, or translated to SVG where the calls have vector equivalents
+ */
+
+/**
+ * Version tag written into serialized recordings
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Methods that only read state; they're passed through without being recorded
+ */
+const QUERY_METHODS = new Set([
+    'getImageData', 'measureText', 'isPointInPath', 'isPointInStroke',
+    'getTransform', 'getLineDash', 'getContextAttributes', 'createImageData'
+]);
+
+/**
+ * Methods that create a paint (gradient or pattern) used later as a fill or stroke style
+ */
+const PAINT_METHODS = new Set([
+    'createLinearGradient', 'createRadialGradient', 'createConicGradient', 'createPattern'
+]);
+
+/**
+ * Round a number for SVG output
+ * @param {number} v
+ * @returns {number}
+ */
+function fmt(v) {
+    return Math.round(v * 100) / 100;
+}
+
+/**
+ * Escape text for SVG attributes and content
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Angle an arc covers, as the canvas normalizes it
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} anticlockwise
+ * @returns {number} 0 to 2π
+ */
+function arcSweep(start, end, anticlockwise) {
+    const full = Math.PI * 2;
+    const sweep = anticlockwise ? start - end : end - start;
+    return sweep >= full ? full : ((sweep % full) + full) % full;
+}
+
+/**
+ * Multiply two affine matrices [a, b, c, d, e, f] (m applied after n)
+ * @param {Array<number>} m
+ * @param {Array<number>} n
+ * @returns {Array<number>}
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * Default scratch canvas factory (as BaseDemo.createBuffer)
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+function defaultBuffer(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const buffer = document.createElement('canvas');
+    buffer.width = width;
+    buffer.height = height;
+    return buffer;
+}
+
+/**
+ * DrawRecording - The 2D context calls of one frame
+ * Calls are {op, args} or {set, value}; gradients, patterns and images in
+ * them are references ({paint: i}, {image: i}) into this.paints / this.images
+ */
+export class DrawRecording {
+    /**
+     * @param {number} width - Drawing size in CSS pixels
+     * @param {number} height
+     * @param {Object} options
+     * @param {number} options.pixelRatio - Canvas pixels per CSS pixel while recording
+     *   (the scale putImageData coordinates are in)
+     * @param {function(number, number): (OffscreenCanvas|HTMLCanvasElement)} options.createBuffer -
+     *   Used to snapshot canvases drawn with drawImage
+     */
+    constructor(width, height, { pixelRatio = 1, createBuffer = defaultBuffer } = {}) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.createBuffer = createBuffer;
+
+        /** @type {Array<Object>} */
+        this.calls = [];
+        /** @type {Array<{type: string, args: Array, stops: Array}>} Gradients and patterns */
+        this.paints = [];
+        /** @type {Array<Object|null>} Snapshotted ImageData and image sources (null once loaded from JSON) */
+        this.images = [];
+    }
+
+    /**
+     * Wrap a context; drawing through the wrapper draws on ctx and records the call
+     * @param {CanvasRenderingContext2D} ctx
+     * @returns {CanvasRenderingContext2D}
+     */
+    wrap(ctx) {
+        const recording = this;
+        // Paint wrappers handed to the demo, mapped to their index and the real paint
+        const paints = new WeakMap();
+
+        return new Proxy(ctx, {
+            get(target, prop) {
+                const value = target[prop];
+                if (typeof value !== 'function') return value;
+                if (QUERY_METHODS.has(prop)) return value.bind(target);
+
+                return (...args) => {
+                    const real = value.apply(target, args.map(arg => paints.get(arg)?.real ?? arg));
+
+                    if (PAINT_METHODS.has(prop)) {
+                        const paint = { type: prop, args: args.map(arg => recording._reference(arg)), stops: [] };
+                        const index = recording.paints.push(paint) - 1;
+                        // Record color stops as they're added
+                        const wrapper = {
+                            addColorStop(offset, color) {
+                                real.addColorStop(offset, color);
+                                paint.stops.push([offset, color]);
+                            },
+                            setTransform(matrix) {
+                                real.setTransform?.(matrix);
+                            }
+                        };
+                        paints.set(wrapper, { index, real });
+                        return wrapper;
+                    }
+
+                    recording.calls.push({ op: prop, args: recording._recordArgs(prop, args, paints) });
+                    return real;
+                };
+            },
+
+            set(target, prop, value) {
+                const paint = paints.get(value);
+                target[prop] = paint ? paint.real : value;
+                recording.calls.push({ set: prop, value: paint ? { paint: paint.index } : value });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Draw the recorded calls onto a context
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} options
+     * @param {number} options.scale - Output canvas pixels per recorded CSS pixel
+     * @param {function(number, number): (OffscreenCanvas|HTMLCanvasElement)} options.createBuffer -
+     *   Scratch canvas for scaling pixel data
+     */
+    replay(ctx, { scale = 1, createBuffer = this.createBuffer } = {}) {
+        const paints = this.paints.map(paint => this._createPaint(ctx, paint));
+        const resolve = value => {
+            if (value && typeof value === 'object') {
+                if ('paint' in value) return paints[value.paint];
+                if ('image' in value) return this.images[value.image];
+            }
+            return value;
+        };
+
+        // Recorded transforms are in recorded canvas pixels, like putImageData
+        const factor = scale / this.pixelRatio;
+
+        ctx.save();
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        for (const call of this.calls) {
+            if ('set' in call) {
+                const value = resolve(call.value);
+                if (value !== null && value !== undefined) ctx[call.set] = value;
+                continue;
+            }
+
+            const args = call.args.map(resolve);
+            // Calls whose image wasn't kept (e.g. loaded from JSON) are skipped
+            if (args.some(arg => arg === null)) continue;
+
+            switch (call.op) {
+                case 'setTransform':
+                    ctx.setTransform(...args.map(v => v * factor));
+                    break;
+                case 'resetTransform':
+                    ctx.setTransform(factor, 0, 0, factor, 0, 0);
+                    break;
+                case 'putImageData':
+                    this._replayPixels(ctx, args, scale, createBuffer);
+                    break;
+                default:
+                    ctx[call.op](...args);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Plain data for JSON.stringify; pixel data is left out (images keep only their size)
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            width: this.width,
+            height: this.height,
+            pixelRatio: this.pixelRatio,
+            paints: this.paints,
+            images: this.images.map(image => (image ? { width: image.width, height: image.height } : null)),
+            calls: this.calls
+        };
+    }
+
+    /**
+     * JSON text with one call per line, so two recordings diff call by call
+     * @returns {string}
+     */
+    stringify() {
+        const { calls, ...header } = this.toJSON();
+        const lines = Object.entries(header).map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+        lines.push(`  "calls": [\n${calls.map(call => `    ${JSON.stringify(call)}`).join(',\n')}\n  ]`);
+        return `{\n${lines.join(',\n')}\n}\n`;
+    }
+
+    /**
+     * Load a recording from its JSON data
+     * @param {Object|string} data
+     * @returns {DrawRecording}
+     * @throws {Error} If the data is not a recording
+     */
+    static fromJSON(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (parsed?.version !== FORMAT_VERSION || !Array.isArray(parsed.calls)) {
+            throw new Error('DrawRecording: Not a draw recording');
+        }
+
+        const recording = new DrawRecording(parsed.width, parsed.height, { pixelRatio: parsed.pixelRatio });
+        recording.calls = parsed.calls;
+        recording.paints = parsed.paints ?? [];
+        // Pixels aren't serialized; calls that need them are skipped on replay
+        recording.images = (parsed.images ?? []).map(() => null);
+        return recording;
+    }
+
+    /**
+     * Translate the calls to SVG
+     * Paths, rectangles, text and gradients carry over; pixel data, images,
+     * patterns and clipping have no vector equivalent and are left out
+     * @returns {string}
+     */
+    toSVG() {
+        const defs = [];
+        const gradientIds = new Map();
+        let elements = [];
+        const skipped = new Set();
+
+        const state = {
+            matrix: [1, 0, 0, 1, 0, 0],
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            lineDash: [],
+            globalAlpha: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic'
+        };
+        const stack = [];
+        let path = '';
+        let current = null;
+
+        const point = (x, y) => {
+            const m = state.matrix;
+            return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+        };
+        const moveTo = (x, y) => {
+            const [px, py] = point(x, y);
+            path += `M${fmt(px)} ${fmt(py)}`;
+            current = [px, py];
+        };
+        const lineTo = (x, y) => {
+            if (!current) return moveTo(x, y);
+            const [px, py] = point(x, y);
+            path += `L${fmt(px)} ${fmt(py)}`;
+            current = [px, py];
+        };
+
+        // Transform attribute for elements placed in the current coordinate space
+        const matrixAttr = name => {
+            const m = state.matrix;
+            const identity = m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0;
+            return identity ? '' : ` ${name}="matrix(${m.map(fmt).join(' ')})"`;
+        };
+
+        // Paint for a style value: a color, or a gradient defined for the current transform
+        const paintOf = value => {
+            if (typeof value === 'string') return value;
+            const paint = value && 'paint' in value ? this.paints[value.paint] : null;
+            if (!paint || paint.type === 'createPattern') return 'none';
+
+            if (paint.type === 'createConicGradient') {
+                // No SVG equivalent; use the first color
+                return paint.stops[0]?.[1] ?? 'none';
+            }
+
+            const key = `${value.paint}|${state.matrix.join(',')}`;
+            if (!gradientIds.has(key)) {
+                const id = `g${gradientIds.size}`;
+                gradientIds.set(key, id);
+                const a = paint.args;
+                const stops = paint.stops
+                    .map(([offset, color]) => `<stop offset="${fmt(offset)}" stop-color="${escapeXML(color)}"/>`)
+                    .join('');
+                const transform = `gradientUnits="userSpaceOnUse"${matrixAttr('gradientTransform')}`;
+                defs.push(paint.type === 'createLinearGradient'
+                    ? `<linearGradient id="${id}" x1="${fmt(a[0])}" y1="${fmt(a[1])}" x2="${fmt(a[2])}" y2="${fmt(a[3])}" ${transform}>${stops}</linearGradient>`
+                    : `<radialGradient id="${id}" fx="${fmt(a[0])}" fy="${fmt(a[1])}" fr="${fmt(a[2])}" cx="${fmt(a[3])}" cy="${fmt(a[4])}" r="${fmt(a[5])}" ${transform}>${stops}</radialGradient>`);
+            }
+            return `url(#${gradientIds.get(key)})`;
+        };
+
+        const opacity = () => (state.globalAlpha < 1 ? ` opacity="${fmt(state.globalAlpha)}"` : '');
+        const strokeAttrs = () => {
+            const m = state.matrix;
+            const width = state.lineWidth * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+            const dash = state.lineDash.length > 0 ? ` stroke-dasharray="${state.lineDash.map(fmt).join(' ')}"` : '';
+            return `stroke="${escapeXML(paintOf(state.strokeStyle))}" stroke-width="${fmt(width)}" stroke-linecap="${state.lineCap}" stroke-linejoin="${state.lineJoin}"${dash}`;
+        };
+
+        // Arc as SVG arc commands when the transform keeps circles round, else as line segments
+        const arc = (x, y, radius, start, end, anticlockwise) => {
+            const sweep = arcSweep(start, end, anticlockwise);
+            const direction = anticlockwise ? -1 : 1;
+            const m = state.matrix;
+            const similar = Math.abs(m[0] - m[3]) < 1e-9 && Math.abs(m[1] + m[2]) < 1e-9;
+            const scaledRadius = fmt(radius * Math.hypot(m[0], m[1]));
+            const pieces = Math.max(1, Math.ceil(sweep / (Math.PI / 2)));
+
+            lineTo(x + Math.cos(start) * radius, y + Math.sin(start) * radius);
+            for (let i = 1; i <= pieces; i++) {
+                const angle = start + direction * sweep * (i / pieces);
+                if (similar) {
+                    const [px, py] = point(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+                    path += `A${scaledRadius} ${scaledRadius} 0 0 ${direction > 0 ? 1 : 0} ${fmt(px)} ${fmt(py)}`;
+                    current = [px, py];
+                } else {
+                    for (let s = 1; s <= 8; s++) {
+                        const a = start + direction * sweep * ((i - 1 + s / 8) / pieces);
+                        lineTo(x + Math.cos(a) * radius, y + Math.sin(a) * radius);
+                    }
+                }
+            }
+        };
+
+        const rectPath = (x, y, w, h) => {
+            moveTo(x, y);
+            lineTo(x + w, y);
+            lineTo(x + w, y + h);
+            lineTo(x, y + h);
+            path += 'Z';
+        };
+
+        for (const call of this.calls) {
+            if ('set' in call) {
+                if (call.set in state) state[call.set] = call.value;
+                continue;
+            }
+
+            const a = call.args;
+            switch (call.op) {
+                case 'save':
+                    stack.push({ ...state, matrix: state.matrix.slice(), lineDash: state.lineDash.slice() });
+                    break;
+                case 'restore':
+                    if (stack.length > 0) Object.assign(state, stack.pop());
+                    break;
+                case 'translate':
+                    state.matrix = multiply(state.matrix, [1, 0, 0, 1, a[0], a[1]]);
+                    break;
+                case 'rotate': {
+                    const cos = Math.cos(a[0]), sin = Math.sin(a[0]);
+                    state.matrix = multiply(state.matrix, [cos, sin, -sin, cos, 0, 0]);
+                    break;
+                }
+                case 'scale':
+                    state.matrix = multiply(state.matrix, [a[0], 0, 0, a[1], 0, 0]);
+                    break;
+                case 'transform':
+                    state.matrix = multiply(state.matrix, a);
+                    break;
+                case 'setTransform':
+                    state.matrix = a.slice(0, 6);
+                    break;
+                case 'resetTransform':
+                    state.matrix = [1, 0, 0, 1, 0, 0];
+                    break;
+
+                case 'beginPath':
+                    path = '';
+                    current = null;
+                    break;
+                case 'moveTo':
+                    moveTo(a[0], a[1]);
+                    break;
+                case 'lineTo':
+                    lineTo(a[0], a[1]);
+                    break;
+                case 'arcTo':
+                    // Approximated by its corner
+                    lineTo(a[0], a[1]);
+                    break;
+                case 'quadraticCurveTo': {
+                    if (!current) moveTo(a[0], a[1]);
+                    const [cx, cy] = point(a[0], a[1]);
+                    const [px, py] = point(a[2], a[3]);
+                    path += `Q${fmt(cx)} ${fmt(cy)} ${fmt(px)} ${fmt(py)}`;
+                    current = [px, py];
+                    break;
+                }
+                case 'bezierCurveTo': {
+                    if (!current) moveTo(a[0], a[1]);
+                    const [c1x, c1y] = point(a[0], a[1]);
+                    const [c2x, c2y] = point(a[2], a[3]);
+                    const [px, py] = point(a[4], a[5]);
+                    path += `C${fmt(c1x)} ${fmt(c1y)} ${fmt(c2x)} ${fmt(c2y)} ${fmt(px)} ${fmt(py)}`;
+                    current = [px, py];
+                    break;
+                }
+                case 'arc':
+                    arc(a[0], a[1], a[2], a[3], a[4], a[5]);
+                    break;
+                case 'ellipse': {
+                    // As line segments
+                    const [x, y, rx, ry, rotation, start, end, anticlockwise] = a;
+                    const sweep = arcSweep(start, end, anticlockwise);
+                    const steps = Math.max(8, Math.ceil((sweep / (Math.PI * 2)) * 64));
+                    const cos = Math.cos(rotation), sin = Math.sin(rotation);
+                    for (let i = 0; i <= steps; i++) {
+                        const angle = start + (anticlockwise ? -1 : 1) * sweep * (i / steps);
+                        const ex = rx * Math.cos(angle), ey = ry * Math.sin(angle);
+                        lineTo(x + ex * cos - ey * sin, y + ex * sin + ey * cos);
+                    }
+                    break;
+                }
+                case 'rect':
+                    rectPath(a[0], a[1], a[2], a[3]);
+                    break;
+                case 'closePath':
+                    if (current) path += 'Z';
+                    break;
+
+                case 'fill':
+                    if (path) {
+                        const rule = a.includes('evenodd') ? ' fill-rule="evenodd"' : '';
+                        elements.push(`<path d="${path}" fill="${escapeXML(paintOf(state.fillStyle))}"${rule}${opacity()}/>`);
+                    }
+                    break;
+                case 'stroke':
+                    if (path) elements.push(`<path d="${path}" fill="none" ${strokeAttrs()}${opacity()}/>`);
+                    break;
+
+                case 'fillRect':
+                case 'strokeRect': {
+                    const saved = { path, current };
+                    path = '';
+                    rectPath(a[0], a[1], a[2], a[3]);
+                    elements.push(call.op === 'fillRect'
+                        ? `<path d="${path}" fill="${escapeXML(paintOf(state.fillStyle))}"${opacity()}/>`
+                        : `<path d="${path}" fill="none" ${strokeAttrs()}${opacity()}/>`);
+                    ({ path, current } = saved);
+                    break;
+                }
+                case 'clearRect':
+                    // Clearing the whole canvas drops what's below; partial clears aren't represented
+                    if (a[0] <= 0 && a[1] <= 0 && a[0] + a[2] >= this.width && a[1] + a[3] >= this.height) {
+                        elements = [];
+                    }
+                    break;
+
+                case 'fillText':
+                case 'strokeText': {
+                    const anchor = { center: 'middle', right: 'end', end: 'end' }[state.textAlign] ?? 'start';
+                    const baseline = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' }[state.textBaseline];
+                    const paint = call.op === 'fillText'
+                        ? `fill="${escapeXML(paintOf(state.fillStyle))}"`
+                        : `fill="none" ${strokeAttrs()}`;
+                    elements.push(
+                        `<text x="${fmt(a[1])}" y="${fmt(a[2])}"${matrixAttr('transform')} ` +
+                        `style="font: ${escapeXML(state.font)}" text-anchor="${anchor}"` +
+                        `${baseline ? ` dominant-baseline="${baseline}"` : ''} ${paint}${opacity()}>${escapeXML(a[0])}</text>`
+                    );
+                    break;
+                }
+
+                case 'setLineDash':
+                    state.lineDash = a[0];
+                    break;
+
+                case 'drawImage':
+                case 'putImageData':
+                case 'clip':
+                    skipped.add(call.op);
+                    break;
+            }
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(this.width)}" height="${fmt(this.height)}" viewBox="0 0 ${fmt(this.width)} ${fmt(this.height)}">`,
+            ...(skipped.size > 0 ? [`<!-- Left out (no vector equivalent): ${[...skipped].join(', ')} -->`] : []),
+            ...(defs.length > 0 ? ['<defs>', ...defs, '</defs>'] : []),
+            ...elements,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Record call arguments, snapshotting pixel data and canvases so later
+     * frames can't change them
+     * @private
+     */
+    _recordArgs(op, args, paints) {
+        if (op === 'setTransform' && args.length === 1) {
+            const m = args[0];
+            return [m.a, m.b, m.c, m.d, m.e, m.f];
+        }
+        if (op === 'putImageData') {
+            const [imageData, ...rest] = args;
+            const copy = { width: imageData.width, height: imageData.height, data: imageData.data.slice() };
+            return [{ image: this.images.push(copy) - 1 }, ...rest];
+        }
+        return args.map(arg => {
+            const paint = paints.get(arg);
+            return paint ? { paint: paint.index } : this._reference(arg);
+        });
+    }
+
+    /**
+     * Image sources become references; canvases are copied as they are now
+     * @private
+     */
+    _reference(arg) {
+        if (arg === null || typeof arg !== 'object' || !('width' in arg && 'height' in arg)) return arg;
+
+        let image = arg;
+        if (typeof arg.getContext === 'function') {
+            image = this.createBuffer(arg.width, arg.height);
+            image.getContext('2d').drawImage(arg, 0, 0);
+        }
+        return { image: this.images.push(image) - 1 };
+    }
+
+    /**
+     * Recreate a recorded gradient or pattern on a context
+     * @private
+     */
+    _createPaint(ctx, paint) {
+        const args = paint.args.map(arg => (arg && typeof arg === 'object' && 'image' in arg ? this.images[arg.image] : arg));
+        if (args.some(arg => arg === null || arg === undefined)) return null;
+
+        const created = ctx[paint.type](...args);
+        for (const [offset, color] of paint.stops) {
+            created?.addColorStop(offset, color);
+        }
+        return created;
+    }
+
+    /**
+     * putImageData ignores transforms and is in recorded canvas pixels;
+     * at another scale it's drawn through a scratch canvas instead
+     * @private
+     */
+    _replayPixels(ctx, [pixels, dx = 0, dy = 0], scale, createBuffer) {
+        const imageData = ctx.createImageData(pixels.width, pixels.height);
+        imageData.data.set(pixels.data);
+
+        if (scale === this.pixelRatio) {
+            ctx.putImageData(imageData, dx, dy);
+            return;
+        }
+
+        const buffer = createBuffer(pixels.width, pixels.height);
+        buffer.getContext('2d').putImageData(imageData, 0, 0);
+
+        const factor = scale / this.pixelRatio;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(buffer, dx * factor, dy * factor, pixels.width * factor, pixels.height * factor);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Rolling frame timing for the performance overlay
+ * Keeps a short history of frame, update and render times for one demo
+ */
+
+/**
+ * Frames of history kept (about two seconds at 60fps)
+ */
+const HISTORY_LENGTH = 120;
+
+/**
+ * FrameStats - Ring buffers of per-frame timings
+ */
+export class FrameStats {
+    /**
+     * @param {number} length - Frames of history to keep
+     */
+    constructor(length = HISTORY_LENGTH) {
+        this.length = length;
+
+        // Time between frames, time spent in update() and in render() (ms)
+        this.frameTimes = new Float32Array(length);
+        this.updateTimes = new Float32Array(length);
+        this.renderTimes = new Float32Array(length);
+
+        /** Index the next sample is written to */
+        this.index = 0;
+
+        /** Samples recorded so far, up to length */
+        this.count = 0;
+    }
+
+    /**
+     * Record one frame
+     * @param {number} frameTime - Time since the previous frame (ms)
+     * @param {number} updateTime - Time spent simulating (ms)
+     * @param {number} renderTime - Time spent drawing (ms)
+     */
+    record(frameTime, updateTime, renderTime) {
+        this.frameTimes[this.index] = frameTime;
+        this.updateTimes[this.index] = updateTime;
+        this.renderTimes[this.index] = renderTime;
+
+        this.index = (this.index + 1) % this.length;
+        this.count = Math.min(this.count + 1, this.length);
+    }
+
+    /**
+     * Forget all samples
+     */
+    reset() {
+        this.index = 0;
+        this.count = 0;
+    }
+
+    /**
+     * Get a sample by age
+     * @param {Float32Array} buffer - One of the timing buffers
+     * @param {number} age - 0 is the newest sample
+     * @returns {number}
+     */
+    sample(buffer, age) {
+        return buffer[(this.index - 1 - age + this.length * 2) % this.length];
+    }
+
+    /**
+     * Mean of the most recent samples in a buffer
+     * @param {Float32Array} buffer
+     * @param {number} frames - How many recent samples to average
+     * @returns {number}
+     */
+    average(buffer, frames = 30) {
+        const n = Math.min(frames, this.count);
+        if (n === 0) return 0;
+
+        let total = 0;
+        for (let age = 0; age < n; age++) {
+            total += this.sample(buffer, age);
+        }
+        return total / n;
+    }
+
+    /**
+     * Frames per second over the recent history
+     * @returns {number}
+     */
+    getFps() {
+        const frameTime = this.average(this.frameTimes);
+        return frameTime > 0 ? 1000 / frameTime : 0;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview User option presets per demo
+ * Persists named option sets to localStorage and moves them in and out as JSON
+ */
+
+/**
+ * Prefix for localStorage keys (one key per demo)
+ */
+const STORAGE_PREFIX = 'canvas-gallery:presets:';
+
+/**
+ * Version tag written into exported files
+ */
+const EXPORT_FORMAT = 1;
+
+/**
+ * PresetStore - Saved option presets, keyed by demo id
+ */
+export class PresetStore {
+    /**
+     * @param {Storage|null} storage - Backing store (defaults to localStorage when available)
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Get the saved presets for a demo
+     * @param {string} demoId
+     * @returns {Array<{name: string, options: Object}>}
+     */
+    list(demoId) {
+        if (!this.storage) return [];
+
+        try {
+            const raw = this.storage.getItem(STORAGE_PREFIX + demoId);
+            const presets = raw ? JSON.parse(raw) : [];
+            return Array.isArray(presets) ? presets.filter(PresetStore.isValid) : [];
+        } catch (e) {
+            console.warn(`PresetStore: Ignoring unreadable presets for "${demoId}"`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Save a preset, replacing any existing preset with the same name
+     * @param {string} demoId
+     * @param {string} name
+     * @param {Object} options
+     */
+    save(demoId, name, options) {
+        const presets = this.list(demoId).filter(preset => preset.name !== name);
+        presets.push({ name, options: { ...options } });
+        this._write(demoId, presets);
+    }
+
+    /**
+     * Delete a preset by name
+     * @param {string} demoId
+     * @param {string} name
+     */
+    remove(demoId, name) {
+        this._write(demoId, this.list(demoId).filter(preset => preset.name !== name));
+    }
+
+    /**
+     * Serialize a demo's saved presets for download
+     * @param {string} demoId
+     * @returns {string} JSON
+     */
+    exportJSON(demoId) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            demo: demoId,
+            presets: this.list(demoId)
+        }, null, 2);
+    }
+
+    /**
+     * Merge presets from an exported file into a demo's saved presets
+     * @param {string} demoId
+     * @param {string} json
+     * @returns {number} Number of presets imported
+     * @throws {Error} If the file is not a preset export for this demo
+     */
+    importJSON(demoId, json) {
+        const data = JSON.parse(json);
+
+        if (!data || !Array.isArray(data.presets)) {
+            throw new Error('PresetStore: Not a preset file');
+        }
+        if (data.demo && data.demo !== demoId) {
+            throw new Error(`PresetStore: Presets are for "${data.demo}", not "${demoId}"`);
+        }
+
+        const incoming = data.presets.filter(PresetStore.isValid);
+        const names = new Set(incoming.map(preset => preset.name));
+        const kept = this.list(demoId).filter(preset => !names.has(preset.name));
+
+        this._write(demoId, [...kept, ...incoming]);
+        return incoming.length;
+    }
+
+    /**
+     * Check that a value has the shape of a preset
+     * @param {*} preset
+     * @returns {boolean}
+     */
+    static isValid(preset) {
+        return !!preset &&
+            typeof preset.name === 'string' &&
+            !!preset.options &&
+            typeof preset.options === 'object';
+    }
+
+    /**
+     * @param {string} demoId
+     * @param {Array<{name: string, options: Object}>} presets
+     * @private
+     */
+    _write(demoId, presets) {
+        if (!this.storage) return;
+        this.storage.setItem(STORAGE_PREFIX + demoId, JSON.stringify(presets));
+    }
+}
+
+// Export singleton instance
+export const presetStore = new PresetStore();
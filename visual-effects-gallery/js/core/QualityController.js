@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Adaptive quality for the running demo
+ * Watches measured frame times and steps the demo's quality level down when
+ * it misses the target frame rate, and back up when there is headroom
+ */
+
+/**
+ * Quality levels, best first
+ */
+export const QUALITY_LEVELS = [
+    { name: 'high', label: 'High', value: 1 },
+    { name: 'medium', label: 'Medium', value: 0.5 },
+    { name: 'low', label: 'Low', value: 0 }
+];
+
+/**
+ * How often frame times are checked (ms)
+ */
+const CHECK_INTERVAL = 500;
+
+/**
+ * Minimum time between level changes (ms), so each change can settle
+ * before the next decision
+ */
+const COOLDOWN = 2000;
+
+/**
+ * After stepping down, how long (ms) before stepping back up is considered,
+ * so a demo on the edge doesn't flip between two levels
+ */
+const RAISE_HOLD = 15000;
+
+/**
+ * QualityController - Picks a quality level for one demo at a time
+ */
+export class QualityController {
+    /**
+     * @param {Object} config
+     * @param {number} config.targetFps - Frame rate to hold
+     * @param {function(Object): void} config.onChange - Called with getState() whenever the level or mode changes
+     */
+    constructor({ targetFps = 60, onChange = () => {} } = {}) {
+        this.targetFps = targetFps;
+        this.onChange = onChange;
+
+        /** 'auto' or the name of a fixed level */
+        this.mode = 'auto';
+
+        /** Index into QUALITY_LEVELS */
+        this.level = 0;
+
+        /** @type {import('./BaseDemo.js').BaseDemo|null} */
+        this.demo = null;
+
+        this._lastChange = 0;
+        this._noRaiseUntil = 0;
+        this._timer = null;
+    }
+
+    /**
+     * Control a demo (null to detach); auto mode starts each demo at full quality
+     * @param {import('./BaseDemo.js').BaseDemo|null} demo
+     */
+    attach(demo) {
+        clearInterval(this._timer);
+        this._timer = null;
+        this.demo = demo;
+        if (!demo) return;
+
+        if (this.mode === 'auto') {
+            this.level = 0;
+            this._noRaiseUntil = 0;
+            this._timer = setInterval(() => this._check(), CHECK_INTERVAL);
+        }
+        this._apply();
+    }
+
+    /**
+     * Switch between automatic and a fixed level
+     * @param {string} mode - 'auto' or a level name from QUALITY_LEVELS
+     */
+    setMode(mode) {
+        const fixed = QUALITY_LEVELS.findIndex(level => level.name === mode);
+        if (mode !== 'auto' && fixed === -1) {
+            console.error(`QualityController: Unknown quality mode "${mode}"`);
+            return;
+        }
+
+        this.mode = mode;
+        if (fixed !== -1) {
+            this.level = fixed;
+        }
+        this.attach(this.demo);
+    }
+
+    /**
+     * Current mode and level, for display
+     * @returns {{mode: string, level: Object, fps: number}}
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            level: QUALITY_LEVELS[this.level],
+            fps: this.demo ? this.demo.stats.getFps() : 0
+        };
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Push the current level to the demo and report it
+     * @private
+     */
+    _apply() {
+        this._lastChange = performance.now();
+        this.demo.stats.reset();
+        this.demo.setQuality(QUALITY_LEVELS[this.level].value);
+        this.onChange(this.getState());
+    }
+
+    /**
+     * Compare recent frame times against the budget and step the level if needed
+     * @private
+     */
+    _check() {
+        const demo = this.demo;
+        if (!demo || !demo.isRunning || demo.isSuspended()) return;
+
+        const { stats } = demo;
+        const budget = 1000 / this.targetFps;
+
+        // Wait for enough frames measured at the current level
+        if (stats.count < stats.length / 2 || performance.now() - this._lastChange < COOLDOWN) {
+            this.onChange(this.getState());
+            return;
+        }
+
+        const frameTime = stats.average(stats.frameTimes, stats.count);
+        const workTime = stats.average(stats.updateTimes, stats.count) +
+            stats.average(stats.renderTimes, stats.count);
+
+        // A slow frame rate alone could just be a slower display; only
+        // step down when the demo's own work is a real share of the budget
+        if (frameTime > budget * 1.15 && workTime > budget * 0.5 && this.level < QUALITY_LEVELS.length - 1) {
+            this.level++;
+            this._noRaiseUntil = performance.now() + RAISE_HOLD;
+            this._apply();
+        } else if (workTime < budget * 0.3 && this.level > 0 && performance.now() >= this._noRaiseUntil) {
+            this.level--;
+            this._apply();
+        } else {
+            this.onChange(this.getState());
+        }
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Performance overlay for the demo viewer
+ * Shows FPS, a frame-time graph split into update and render time,
+ * and any workload counters the demo reports
+ */
+
+/**
+ * Graph size in CSS pixels
+ */
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 60;
+
+/**
+ * Frame time (ms) at the top of the graph
+ */
+const GRAPH_MAX_MS = 50;
+
+/**
+ * How often the text readout refreshes (ms)
+ */
+const TEXT_INTERVAL = 250;
+
+/**
+ * Graph colors
+ */
+const COLORS = {
+    update: '#4ecdc4',
+    render: '#ff6b9d',
+    idle: 'rgba(255, 255, 255, 0.15)',
+    guide: 'rgba(255, 255, 255, 0.35)'
+};
+
+/**
+ * StatsOverlay - Live timing readout drawn over the demo canvas
+ */
+export class StatsOverlay {
+    /**
+     * @param {HTMLElement} container - Element the overlay is positioned in
+     */
+    constructor(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'stats-overlay hidden';
+        this.element.innerHTML = `
+            <div class="stats-text"></div>
+            <canvas class="stats-graph"></canvas>
+            <div class="stats-legend">
+                <span style="color: ${COLORS.update}">update</span>
+                <span style="color: ${COLORS.render}">render</span>
+                <span>16.7 / 33.3 ms</span>
+            </div>
+        `;
+        container.appendChild(this.element);
+
+        this.text = this.element.querySelector('.stats-text');
+        this.graph = this.element.querySelector('.stats-graph');
+        this.graphCtx = this.graph.getContext('2d');
+
+        const dpr = window.devicePixelRatio || 1;
+        this.graph.width = GRAPH_WIDTH * dpr;
+        this.graph.height = GRAPH_HEIGHT * dpr;
+        this.graph.style.width = `${GRAPH_WIDTH}px`;
+        this.graph.style.height = `${GRAPH_HEIGHT}px`;
+        this.graphCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        /** @type {import('./BaseDemo.js').BaseDemo|null} */
+        this.demo = null;
+
+        this.isVisible = false;
+        this._lastText = 0;
+        this._frameId = null;
+        this._boundTick = this._tick.bind(this);
+    }
+
+    /**
+     * Follow a demo (null to detach)
+     * @param {import('./BaseDemo.js').BaseDemo|null} demo
+     */
+    attach(demo) {
+        this.demo = demo;
+        this._lastText = 0;
+        this._start();
+    }
+
+    /**
+     * Show or hide the overlay
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.element.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            this._start();
+        } else {
+            this._stop();
+        }
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * @private
+     */
+    _start() {
+        if (this._frameId !== null || !this.isVisible || !this.demo) return;
+        this._frameId = requestAnimationFrame(this._boundTick);
+    }
+
+    /**
+     * @private
+     */
+    _stop() {
+        if (this._frameId === null) return;
+        cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+    }
+
+    /**
+     * @param {number} time
+     * @private
+     */
+    _tick(time) {
+        this._frameId = null;
+        if (!this.isVisible || !this.demo) return;
+
+        this._drawGraph();
+        if (time - this._lastText >= TEXT_INTERVAL) {
+            this._lastText = time;
+            this._updateText();
+        }
+
+        this._frameId = requestAnimationFrame(this._boundTick);
+    }
+
+    /**
+     * Refresh the numeric readout
+     * @private
+     */
+    _updateText() {
+        const { stats } = this.demo;
+        const lines = [
+            `${stats.getFps().toFixed(0)} fps  ${stats.average(stats.frameTimes).toFixed(1)} ms`,
+            `update ${stats.average(stats.updateTimes).toFixed(2)} ms`,
+            `render ${stats.average(stats.renderTimes).toFixed(2)} ms`
+        ];
+
+        Object.entries(this.demo.getCounters()).forEach(([name, value]) => {
+            lines.push(`${name} ${value}`);
+        });
+
+        this.text.textContent = lines.join('\n');
+    }
+
+    /**
+     * Draw one bar per frame, newest on the right, stacked as update/render/other
+     * @private
+     */
+    _drawGraph() {
+        const ctx = this.graphCtx;
+        const { stats } = this.demo;
+        const barWidth = GRAPH_WIDTH / stats.length;
+        const scale = GRAPH_HEIGHT / GRAPH_MAX_MS;
+
+        ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+
+        for (let age = 0; age < stats.count; age++) {
+            const x = GRAPH_WIDTH - (age + 1) * barWidth;
+            const frame = Math.min(stats.sample(stats.frameTimes, age), GRAPH_MAX_MS);
+            const update = Math.min(stats.sample(stats.updateTimes, age), frame);
+            const render = Math.min(stats.sample(stats.renderTimes, age), frame - update);
+
+            let y = GRAPH_HEIGHT;
+            ctx.fillStyle = COLORS.update;
+            ctx.fillRect(x, y - update * scale, barWidth, update * scale);
+            y -= update * scale;
+
+            ctx.fillStyle = COLORS.render;
+            ctx.fillRect(x, y - render * scale, barWidth, render * scale);
+            y -= render * scale;
+
+            ctx.fillStyle = COLORS.idle;
+            ctx.fillRect(x, GRAPH_HEIGHT - frame * scale, barWidth, y - (GRAPH_HEIGHT - frame * scale));
+        }
+
+        // 60fps and 30fps budgets
+        ctx.fillStyle = COLORS.guide;
+        [1000 / 60, 1000 / 30].forEach(ms => {
+            ctx.fillRect(0, Math.round(GRAPH_HEIGHT - ms * scale), GRAPH_WIDTH, 1);
+        });
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Shared frame scheduler for gallery thumbnails
+ * Drives every thumbnail demo from one animation loop at a capped frame rate,
+ * instead of each demo running its own full-speed loop
+ */
+
+/**
+ * Longest time step (ms) handed to a thumbnail, so a demo that waited for
+ * its turn or sat offscreen doesn't jump ahead
+ */
+const MAX_THUMBNAIL_DELTA = 250;
+
+/**
+ * ThumbnailScheduler - Steps and draws thumbnail demos at a low frame rate
+ * Demos flagged expensive take turns, a few per tick, and start from a
+ * cached still frame so the grid never waits on them
+ */
+export class ThumbnailScheduler {
+    /**
+     * @param {Object} config
+     * @param {number} config.fps - Frame rate cap shared by all thumbnails
+     * @param {number} config.expensivePerFrame - Expensive demos advanced per tick
+     * @param {boolean} config.animateExpensive - false keeps expensive demos on their still frame
+     */
+    constructor({ fps = 12, expensivePerFrame = 1, animateExpensive = true } = {}) {
+        this.fps = fps;
+        this.expensivePerFrame = expensivePerFrame;
+        this.animateExpensive = animateExpensive;
+
+        /** @type {Array<{id: string, demo: import('./BaseDemo.js').BaseDemo, expensive: boolean, needsStill: boolean, lastTime: number}>} */
+        this.entries = [];
+
+        /**
+         * Still frames of expensive demos, kept across grid rebuilds
+         * @type {Map<string, OffscreenCanvas|HTMLCanvasElement>}
+         */
+        this.stills = new Map();
+
+        this._nextExpensive = 0;
+        this._lastTick = 0;
+        this._frameId = null;
+        this._boundTick = this._tick.bind(this);
+    }
+
+    /**
+     * Add a thumbnail demo; the scheduler builds its scene and drives it from now on
+     * @param {string} id - Demo identifier (key for the still frame cache)
+     * @param {import('./BaseDemo.js').BaseDemo} demo - Demo drawing to the thumbnail canvas
+     * @param {Object} config
+     * @param {boolean} config.expensive - Take turns with other expensive demos
+     */
+    add(id, demo, { expensive = false } = {}) {
+        // Scrolling over the grid must keep scrolling the page
+        demo.interactive = false;
+        demo.prepare();
+
+        const entry = { id, demo, expensive, needsStill: false, lastTime: performance.now() };
+        this.entries.push(entry);
+
+        if (expensive) {
+            this._showStill(entry);
+        } else {
+            demo.draw();
+        }
+
+        this._start();
+    }
+
+    /**
+     * Destroy every thumbnail demo and stop the loop (cached stills are kept)
+     */
+    clear() {
+        this.entries.forEach(entry => entry.demo.destroy());
+        this.entries = [];
+        this._nextExpensive = 0;
+        this._stop();
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Draw the cached still of an expensive demo, or render a first frame
+     * and cache it once the demo reports it complete
+     * @param {Object} entry
+     * @private
+     */
+    _showStill(entry) {
+        const { id, demo } = entry;
+        const canvas = demo.canvas;
+        const still = this.stills.get(id);
+
+        if (still && still.width === canvas.width && still.height === canvas.height) {
+            // Copy backing store pixels one to one, ignoring the demo's CSS-pixel transform
+            demo.ctx.save();
+            demo.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            demo.ctx.drawImage(still, 0, 0);
+            demo.ctx.restore();
+            return;
+        }
+
+        demo.step();
+        demo.draw();
+        entry.needsStill = true;
+        this._cacheStill(entry);
+    }
+
+    /**
+     * Copy the thumbnail into the still cache if its frame is complete
+     * @param {Object} entry
+     * @private
+     */
+    _cacheStill(entry) {
+        const { id, demo } = entry;
+        if (!demo.isReady()) return;
+
+        const copy = demo.createBuffer(demo.canvas.width, demo.canvas.height);
+        copy.getContext('2d').drawImage(demo.canvas, 0, 0);
+        this.stills.set(id, copy);
+        entry.needsStill = false;
+    }
+
+    /**
+     * @private
+     */
+    _start() {
+        if (this._frameId !== null || this.entries.length === 0) return;
+        this._frameId = requestAnimationFrame(this._boundTick);
+    }
+
+    /**
+     * @private
+     */
+    _stop() {
+        if (this._frameId === null) return;
+        cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+    }
+
+    /**
+     * Shared loop: advance thumbnails at most fps times per second
+     * @param {number} time
+     * @private
+     */
+    _tick(time) {
+        this._frameId = requestAnimationFrame(this._boundTick);
+
+        // 1ms slack so a 60Hz display doesn't miss ticks to timestamp jitter
+        if (time - this._lastTick < 1000 / this.fps - 1) return;
+        this._lastTick = time;
+
+        // Demos hold themselves while offscreen or in a hidden tab
+        const visible = this.entries.filter(entry => !entry.demo.isSuspended());
+
+        visible
+            .filter(entry => !entry.expensive)
+            .forEach(entry => this._advance(entry, time));
+
+        // Expensive demos take turns (when not animating, only until their still is cached)
+        const expensive = visible.filter(entry =>
+            entry.expensive && (this.animateExpensive || entry.needsStill));
+        const count = Math.min(this.expensivePerFrame, expensive.length);
+        for (let i = 0; i < count; i++) {
+            this._advance(expensive[(this._nextExpensive + i) % expensive.length], time);
+        }
+        this._nextExpensive = expensive.length > 0
+            ? (this._nextExpensive + count) % expensive.length
+            : 0;
+    }
+
+    /**
+     * Step one demo by the time since its last turn and draw it
+     * @param {Object} entry
+     * @param {number} time
+     * @private
+     */
+    _advance(entry, time) {
+        const deltaTime = Math.min(Math.max(0, time - entry.lastTime), MAX_THUMBNAIL_DELTA);
+        entry.lastTime = time;
+
+        try {
+            entry.demo.step(deltaTime);
+            entry.demo.draw();
+            if (entry.needsStill) {
+                this._cacheStill(entry);
+            }
+        } catch (e) {
+            console.warn(`ThumbnailScheduler: Dropping thumbnail for ${entry.id}:`, e);
+            entry.demo.destroy();
+            this.entries = this.entries.filter(other => other !== entry);
+        }
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Progressive escape-time rendering on a pool of Web Workers
+ * Splits an image into tiles, computes a coarse preview of every tile and
+ * then refines it, dropping work that belongs to a view that has moved on
+ */
+
+import { EscapeTime } from '../utils/EscapeTime.js';
+
+/**
+ * Tile edge length in pixels
+ */
+const TILE_SIZE = 64;
+
+/**
+ * Block size of the coarse preview pass
+ */
+const COARSE_STEP = 4;
+
+/**
+ * Worker script, resolved relative to this module
+ */
+const WORKER_URL = new URL('../workers/escape-time-worker.js', import.meta.url);
+
+/**
+ * Ids for reference orbits, so cache keys and workers can name one without copying it
+ */
+const referenceIds = new WeakMap();
+let nextReferenceId = 0;
+
+/**
+ * Get the id of a reference orbit, assigning one the first time it's seen
+ * @param {Float64Array} reference
+ * @returns {number}
+ */
+function getReferenceId(reference) {
+    if (!referenceIds.has(reference)) {
+        referenceIds.set(reference, nextReferenceId++);
+    }
+    return referenceIds.get(reference);
+}
+
+/**
+ * WorkerPool - Fixed set of workers fed from one FIFO queue
+ * Shared by every TileRenderer so open demos and thumbnails don't each spawn workers
+ * @private
+ */
+class WorkerPool {
+    /**
+     * @param {number} size - Number of workers
+     */
+    constructor(size) {
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+
+        /** @type {Map<number, Object>} In-flight tasks by id */
+        this.running = new Map();
+
+        /** @type {Map<Worker, number>} Id of the reference orbit each worker holds */
+        this.workerReferences = new Map();
+
+        this.broken = false;
+        this._nextId = 0;
+
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(WORKER_URL, { type: 'module' });
+            worker.addEventListener('message', (e) => this._onResult(worker, e.data));
+            worker.addEventListener('error', (e) => this._onError(e));
+            this.workers.push(worker);
+            this.idle.push(worker);
+        }
+    }
+
+    /**
+     * Queue a tile
+     * @param {Object} task
+     * @param {Object} task.owner - Renderer the tile belongs to (for cancel())
+     * @param {Object} task.params - EscapeTime.computeTile() parameters
+     * @param {function(Float32Array): void} task.onDone
+     */
+    submit(task) {
+        if (this.broken) {
+            task.onDone(EscapeTime.computeTile(task.params));
+            return;
+        }
+        this.queue.push({ ...task, id: this._nextId++ });
+        this._drain();
+    }
+
+    /**
+     * Drop an owner's queued tiles (tiles already running still report back)
+     * @param {Object} owner
+     */
+    cancel(owner) {
+        this.queue = this.queue.filter(task => task.owner !== owner);
+    }
+
+    /**
+     * @private
+     */
+    _drain() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            this.running.set(task.id, task);
+
+            // Workers keep the latest reference orbit, so each one crosses over
+            // once per reference rather than with every tile
+            const { reference, ...params } = task.params;
+            const message = { id: task.id, params };
+            if (reference && this.workerReferences.get(worker) !== getReferenceId(reference)) {
+                message.reference = reference;
+                this.workerReferences.set(worker, getReferenceId(reference));
+            }
+            worker.postMessage(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onResult(worker, { id, data }) {
+        const task = this.running.get(id);
+        this.running.delete(id);
+        this.idle.push(worker);
+
+        if (task) task.onDone(data);
+        this._drain();
+    }
+
+    /**
+     * A worker that fails to load (e.g. no module worker support) breaks the
+     * pool; remaining and future tiles are computed on the main thread
+     * @private
+     */
+    _onError(e) {
+        if (this.broken) return;
+        console.error('TileRenderer: Worker failed, computing tiles on the main thread', e);
+
+        this.broken = true;
+        this.workers.forEach(worker => worker.terminate());
+
+        const orphans = [...this.running.values(), ...this.queue];
+        this.running.clear();
+        this.queue = [];
+        orphans.forEach(task => task.onDone(EscapeTime.computeTile(task.params)));
+    }
+}
+
+/** @type {WorkerPool|null} */
+let sharedPool = null;
+
+/**
+ * Get the shared pool, creating it on first use
+ * @returns {WorkerPool}
+ */
+function getPool() {
+    if (!sharedPool) {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+        sharedPool = new WorkerPool(Math.max(1, Math.min(8, cores - 1)));
+    }
+    return sharedPool;
+}
+
+/**
+ * TileRenderer - Keeps one iteration buffer up to date for a demo
+ * Results land in `output` as tiles finish; read it every frame
+ */
+export class TileRenderer {
+    constructor() {
+        /** Smooth iteration counts, width * height */
+        this.output = null;
+        this.width = 0;
+        this.height = 0;
+
+        /** Job whose tiles are being computed */
+        this.active = null;
+
+        /** Latest request, waiting for the active job's preview to finish */
+        this.pending = null;
+
+        this._lastKey = null;
+    }
+
+    /**
+     * Check whether workers are available
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Create a renderer if workers are available
+     * @returns {TileRenderer|null}
+     */
+    static create() {
+        return TileRenderer.isSupported() ? new TileRenderer() : null;
+    }
+
+    /**
+     * Request an image; repeated identical requests are ignored
+     * While a job's coarse preview is still in progress, a new request waits
+     * for it, so a view that changes every frame still shows something
+     * @param {Object} params - EscapeTime.computeTile() parameters for the whole image
+     */
+    render(params) {
+        // The reference orbit is large and unchanged while only the view moves; name it by id
+        const { reference, ...view } = params;
+        const key = JSON.stringify({ ...view, reference: reference ? getReferenceId(reference) : null });
+        if (key === this._lastKey) return;
+        this._lastKey = key;
+
+        const resized = params.width !== this.width || params.height !== this.height;
+        if (resized) {
+            this.width = params.width;
+            this.height = params.height;
+            this.output = new Float32Array(params.width * params.height).fill(params.maxIterations);
+        }
+
+        if (this.active && !this.active.previewDone && !resized) {
+            this.pending = params;
+            return;
+        }
+        this._start(params);
+    }
+
+    /**
+     * Check whether the latest request has been fully refined
+     * @returns {boolean}
+     */
+    isComplete() {
+        return !this.pending && (!this.active || this.active.done);
+    }
+
+    /**
+     * Check whether the output shows the latest request, at least at preview detail
+     * (until then it may still hold a previous view)
+     * @returns {boolean}
+     */
+    isPreviewReady() {
+        return !this.pending && (!this.active || this.active.previewDone);
+    }
+
+    /**
+     * Drop all queued work
+     */
+    cancel() {
+        if (sharedPool) sharedPool.cancel(this);
+        this.active = null;
+        this.pending = null;
+        this._lastKey = null;
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Replace the active job and queue its tiles: a coarse pass, then full detail
+     * @param {Object} params
+     * @private
+     */
+    _start(params) {
+        const pool = getPool();
+        pool.cancel(this);
+
+        const tiles = this._layoutTiles(params.width, params.height);
+        const job = {
+            params,
+            previewLeft: tiles.length,
+            detailLeft: tiles.length,
+            previewDone: false,
+            done: false,
+            refined: new Set()
+        };
+        this.active = job;
+        this.pending = null;
+
+        [COARSE_STEP, 1].forEach(step => {
+            tiles.forEach((tile, index) => {
+                pool.submit({
+                    owner: this,
+                    params: { ...params, ...tile, step },
+                    onDone: data => this._onTile(job, index, tile, step, data)
+                });
+            });
+        });
+    }
+
+    /**
+     * Split the image into tiles, nearest the center first
+     * @param {number} width
+     * @param {number} height
+     * @returns {Array<{x: number, y: number, tileWidth: number, tileHeight: number}>}
+     * @private
+     */
+    _layoutTiles(width, height) {
+        const tiles = [];
+        for (let y = 0; y < height; y += TILE_SIZE) {
+            for (let x = 0; x < width; x += TILE_SIZE) {
+                tiles.push({
+                    x,
+                    y,
+                    tileWidth: Math.min(TILE_SIZE, width - x),
+                    tileHeight: Math.min(TILE_SIZE, height - y)
+                });
+            }
+        }
+
+        const distance = tile => Math.hypot(
+            tile.x + tile.tileWidth / 2 - width / 2,
+            tile.y + tile.tileHeight / 2 - height / 2
+        );
+        return tiles.sort((a, b) => distance(a) - distance(b));
+    }
+
+    /**
+     * Copy a finished tile into the output, unless its job has been replaced
+     * @private
+     */
+    _onTile(job, index, tile, step, data) {
+        if (job !== this.active) return;
+
+        // A preview finishing after the same tile's detail pass must not overwrite it
+        const isPreview = step > 1;
+        if (isPreview && job.refined.has(index)) {
+            this._countTile(job, isPreview);
+            return;
+        }
+        if (!isPreview) job.refined.add(index);
+
+        const { x, y, tileWidth, tileHeight } = tile;
+        for (let row = 0; row < tileHeight; row++) {
+            this.output.set(
+                data.subarray(row * tileWidth, (row + 1) * tileWidth),
+                (y + row) * this.width + x
+            );
+        }
+
+        this._countTile(job, isPreview);
+    }
+
+    /**
+     * Track job progress; once the preview is complete a waiting request can start
+     * @private
+     */
+    _countTile(job, isPreview) {
+        if (isPreview) {
+            job.previewLeft--;
+            if (job.previewLeft === 0) {
+                job.previewDone = true;
+                if (this.pending) this._start(this.pending);
+            }
+        } else {
+            job.detailLeft--;
+            job.done = job.detailLeft === 0;
+        }
+    }
+}
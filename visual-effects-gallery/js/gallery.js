@@ -4,6 +4,9 @@
  */
 
 import { demoRunner } from './core/DemoRunner.js';
+import { DemoRecorder } from './core/DemoRecorder.js';
+import { presetStore } from './core/PresetStore.js';
+import { StatsOverlay } from './core/StatsOverlay.js';
 
 // Import all demos
 import { SimpleParticlesDemo } from '../demos/01-particles/simple-particles.js';
@@ -15,6 +18,7 @@ import { GalaxySpiralDemo } from '../demos/01-particles/galaxy-spiral.js';
 
 import { TreeFractalDemo } from '../demos/02-fractals/tree-fractal.js';
 import { SierpinskiDemo } from '../demos/02-fractals/sierpinski.js';
+import { IFSFractalDemo } from '../demos/02-fractals/ifs-fractal.js';
 import { MandelbrotDemo } from '../demos/02-fractals/mandelbrot.js';
 import { JuliaSetDemo } from '../demos/02-fractals/julia-set.js';
 import { LSystemPlantsDemo } from '../demos/02-fractals/l-system-plants.js';
@@ -61,6 +65,7 @@ demoRunner.registerAll({
     // Fractals
     'tree-fractal': TreeFractalDemo,
     'sierpinski': SierpinskiDemo,
+    'ifs-fractal': IFSFractalDemo,
     'mandelbrot': MandelbrotDemo,
     'julia-set': JuliaSetDemo,
     'l-system-plants': LSystemPlantsDemo,
@@ -110,6 +115,29 @@ const sidebarDifficulty = document.getElementById('sidebar-difficulty');
 const sidebarCategory = document.getElementById('sidebar-category');
 const controlsContainer = document.getElementById('controls-container');
 const codeSnippet = document.getElementById('code-snippet');
+const presetSelect = document.getElementById('preset-select');
+const presetSaveBtn = document.getElementById('preset-save');
+const presetDeleteBtn = document.getElementById('preset-delete');
+const presetExportBtn = document.getElementById('preset-export');
+const presetImportBtn = document.getElementById('preset-import');
+const presetFileInput = document.getElementById('preset-file');
+const presetStatus = document.getElementById('preset-status');
+const saveImageBtn = document.getElementById('save-image');
+const exportScaleSelect = document.getElementById('export-scale');
+const exportHiResBtn = document.getElementById('export-hires');
+const recordFpsSelect = document.getElementById('record-fps');
+const recordDurationSelect = document.getElementById('record-duration');
+const recordOfflineCheckbox = document.getElementById('record-offline');
+const recordToggleBtn = document.getElementById('record-toggle');
+const frameFormatSelect = document.getElementById('frame-format');
+const recordFrameBtn = document.getElementById('record-frame');
+const svgExport = document.getElementById('svg-export');
+const svgToleranceSelect = document.getElementById('svg-tolerance');
+const svgPlotterCheckbox = document.getElementById('svg-plotter');
+const svgToggleBtn = document.getElementById('svg-toggle');
+const statsToggle = document.getElementById('stats-toggle');
+const qualityModeSelect = document.getElementById('quality-mode');
+const qualityIndicator = document.getElementById('quality-indicator');
 const categoryNav = document.querySelector('.category-nav');
 const difficultyFilters = document.querySelector('.difficulty-filters');
 
@@ -118,6 +146,20 @@ let currentCategory = 'all';
 let currentDifficulties = ['beginner', 'intermediate', 'advanced'];
 let currentDemoId = null;
 
+/** @type {DemoRecorder|null} */
+let activeRecorder = null;
+
+/**
+ * Delay before option changes reach the URL, so dragging a slider doesn't run
+ * into the browser's cap on history updates (Safari throws past 100 in 30 s)
+ */
+const HASH_REPLACE_DELAY = 300;
+
+/** Pending URL replace, see updateHash() */
+let hashTimer = null;
+
+const statsOverlay = new StatsOverlay(demoCanvas.parentElement);
+
 // ============ Gallery Functions ============
 
 /**
@@ -145,7 +187,10 @@ function createDemoCard(id, metadata) {
         </div>
     `;
 
-    card.addEventListener('click', () => openDemo(id));
+    card.addEventListener('click', () => {
+        openDemo(id);
+        updateHash({ push: true });
+    });
 
     return card;
 }
@@ -180,49 +225,26 @@ function renderGrid() {
     startThumbnailPreviews();
 }
 
-/**
- * Mini demo instances for thumbnails
- */
-const thumbnailDemos = new Map();
-
 /**
  * Start thumbnail preview animations
  */
 function startThumbnailPreviews() {
-    // Stop existing thumbnails
-    thumbnailDemos.forEach(demo => demo.destroy());
-    thumbnailDemos.clear();
-
-    // Start new thumbnails
-    const canvases = demoGrid.querySelectorAll('.card-preview canvas');
-    canvases.forEach(canvas => {
-        const id = canvas.dataset.demoId;
-        const DemoClass = demoRunner.registry.get(id);
-        if (DemoClass) {
-            try {
-                const demo = new DemoClass(canvas, {});
-                demo.start();
-                thumbnailDemos.set(id, demo);
-            } catch (e) {
-                console.warn(`Failed to start thumbnail for ${id}:`, e);
-            }
-        }
-    });
+    demoRunner.startThumbnails(demoGrid.querySelectorAll('.card-preview canvas'));
 }
 
 /**
  * Stop all thumbnail previews
  */
 function stopThumbnailPreviews() {
-    thumbnailDemos.forEach(demo => demo.destroy());
-    thumbnailDemos.clear();
+    demoRunner.stopThumbnails();
 }
 
 /**
  * Open a demo in full-screen viewer
  * @param {string} id
+ * @param {Object} options - Option overrides (e.g. from a shared link)
  */
-function openDemo(id) {
+function openDemo(id, options = {}) {
     currentDemoId = id;
     const metadata = demoRunner.getMetadata(id);
     const controls = demoRunner.getControls(id);
@@ -234,8 +256,9 @@ function openDemo(id) {
     sidebarDifficulty.className = `card-difficulty ${metadata.difficulty}`;
     sidebarCategory.textContent = metadata.category;
 
-    // Build controls
-    buildControls(controls);
+    // SVG export for demos that emit their lines as vectors
+    svgExport.hidden = !metadata.vector;
+    resetVectorButton();
 
     // Show viewer
     demoViewer.classList.remove('hidden');
@@ -245,7 +268,12 @@ function openDemo(id) {
 
     // Start demo
     demoRunner.setCanvas(demoCanvas);
-    demoRunner.load(id);
+    demoRunner.load(id, options);
+    statsOverlay.attach(demoRunner.getCurrent());
+
+    // Build controls from the demo's actual option values
+    buildControls(controls, demoRunner.getCurrent().options);
+    buildPresets(id);
 
     // Set code snippet
     codeSnippet.textContent = `// ${metadata.name}\n// Category: ${metadata.category}\n// Difficulty: ${metadata.difficulty}\n\n// See demos folder for full source code`;
@@ -255,9 +283,16 @@ function openDemo(id) {
  * Close the demo viewer
  */
 function closeDemo() {
+    if (activeRecorder) {
+        activeRecorder.stop();
+    }
+    demoRunner.getCurrent()?.stopVectorRecording();
+    resetVectorButton();
     demoRunner.stop();
+    statsOverlay.attach(null);
     demoViewer.classList.add('hidden');
     currentDemoId = null;
+    updateHash({ push: true });
 
     // Restart thumbnails
     startThumbnailPreviews();
@@ -266,8 +301,9 @@ function closeDemo() {
 /**
  * Build control elements for current demo
  * @param {Array} controls
+ * @param {Object} values - Current option values (falls back to each control's default)
  */
-function buildControls(controls) {
+function buildControls(controls, values = {}) {
     // Clear existing controls (keep the h3)
     const h3 = controlsContainer.querySelector('h3');
     controlsContainer.innerHTML = '';
@@ -285,19 +321,20 @@ function buildControls(controls) {
     controls.forEach(control => {
         const group = document.createElement('div');
         group.className = 'control-group';
+        const value = values[control.name] ?? control.default;
 
         switch (control.type) {
             case 'slider':
                 group.innerHTML = `
                     <div class="control-label">
                         <span>${control.label}</span>
-                        <span class="control-value">${control.default}</span>
+                        <span class="control-value">${value}</span>
                     </div>
                     <input type="range"
                            data-control="${control.name}"
                            min="${control.min}"
                            max="${control.max}"
-                           value="${control.default}"
+                           value="${value}"
                            step="${control.step || 1}">
                 `;
                 const slider = group.querySelector('input');
@@ -305,7 +342,7 @@ function buildControls(controls) {
                 slider.addEventListener('input', (e) => {
                     const value = parseFloat(e.target.value);
                     valueDisplay.textContent = value;
-                    demoRunner.setOption(control.name, value);
+                    setOption(control.name, value);
                 });
                 break;
 
@@ -314,13 +351,13 @@ function buildControls(controls) {
                     <label class="checkbox-control">
                         <input type="checkbox"
                                data-control="${control.name}"
-                               ${control.default ? 'checked' : ''}>
+                               ${value ? 'checked' : ''}>
                         <span>${control.label}</span>
                     </label>
                 `;
                 const checkbox = group.querySelector('input');
                 checkbox.addEventListener('change', (e) => {
-                    demoRunner.setOption(control.name, e.target.checked);
+                    setOption(control.name, e.target.checked);
                 });
                 break;
 
@@ -331,17 +368,585 @@ function buildControls(controls) {
                     </div>
                     <input type="color"
                            data-control="${control.name}"
-                           value="${control.default}">
+                           value="${value}">
                 `;
                 const colorPicker = group.querySelector('input');
                 colorPicker.addEventListener('input', (e) => {
-                    demoRunner.setOption(control.name, e.target.value);
+                    setOption(control.name, e.target.value);
+                });
+                break;
+
+            case 'select':
+                group.innerHTML = `
+                    <div class="control-label">
+                        <span>${control.label}</span>
+                    </div>
+                    <select class="sidebar-select" data-control="${control.name}">
+                        ${control.options.map((option, i) => `
+                            <option value="${i}" ${option.value === value ? 'selected' : ''}>${option.label}</option>
+                        `).join('')}
+                    </select>
+                `;
+                const select = group.querySelector('select');
+                select.addEventListener('change', (e) => {
+                    setOption(control.name, control.options[e.target.selectedIndex].value);
+                });
+                break;
+
+            case 'text':
+                group.innerHTML = `
+                    <div class="control-label">
+                        <span>${control.label}</span>
+                    </div>
+                    ${control.rows ? `
+                        <textarea class="text-control"
+                                  data-control="${control.name}"
+                                  rows="${control.rows}"
+                                  spellcheck="false"></textarea>
+                    ` : `
+                        <input type="text"
+                               class="text-control"
+                               data-control="${control.name}"
+                               ${control.maxLength ? `maxlength="${control.maxLength}"` : ''}>
+                    `}
+                `;
+                const textInput = group.querySelector('.text-control');
+                // Set as a property so user text never becomes markup
+                textInput.value = value ?? '';
+                textInput.addEventListener('change', (e) => {
+                    setOption(control.name, e.target.value);
+                });
+                break;
+
+            case 'button':
+                group.innerHTML = `
+                    <button class="sidebar-btn" data-action="${control.action}">${control.label}</button>
+                `;
+                group.querySelector('button').addEventListener('click', () => {
+                    const result = demoRunner.runAction(control.action);
+                    if (result?.blob) {
+                        downloadBlob(result.blob, result.filename);
+                    }
+                    // Show any option values the action changed; the controls are read again
+                    // since an action may change them too (e.g. a list of saved entries)
+                    buildControls(demoRunner.getControls(currentDemoId), demoRunner.getCurrent().options);
+                    updateHash();
                 });
                 break;
+
+            case 'xy':
+                buildXYPad(group, control, value);
+                break;
+        }
+
+        if (control.name) {
+            const error = document.createElement('div');
+            error.className = 'control-error';
+            error.dataset.error = control.name;
+            error.hidden = true;
+            group.appendChild(error);
         }
 
         controlsContainer.appendChild(group);
     });
+
+    showOptionErrors();
+}
+
+/**
+ * Show the current demo's option errors (e.g. rules that don't parse) under their controls
+ */
+function showOptionErrors() {
+    const errors = demoRunner.getCurrent()?.getOptionErrors() ?? {};
+    controlsContainer.querySelectorAll('.control-error').forEach(element => {
+        const message = errors[element.dataset.error] ?? '';
+        element.textContent = message;
+        element.hidden = !message;
+    });
+}
+
+/**
+ * Build a 2D pad control whose value is {x, y}
+ * Both axes span control.min..control.max; y increases upwards
+ * @param {HTMLElement} group
+ * @param {Object} control
+ * @param {{x: number, y: number}} value
+ */
+function buildXYPad(group, control, value) {
+    const { min = 0, max = 1, step = 0.01 } = control;
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const round = v => Number((Math.round(v / step) * step).toFixed(decimals));
+    const format = v => `${v.x.toFixed(decimals)}, ${v.y.toFixed(decimals)}`;
+
+    group.innerHTML = `
+        <div class="control-label">
+            <span>${control.label}</span>
+            <span class="control-value">${format(value)}</span>
+        </div>
+        <div class="xy-pad" data-control="${control.name}">
+            <div class="xy-handle"></div>
+        </div>
+    `;
+    const pad = group.querySelector('.xy-pad');
+    const handle = group.querySelector('.xy-handle');
+    const valueDisplay = group.querySelector('.control-value');
+
+    // Values set elsewhere (a link, a pick on the canvas) may lie past the pad's edge
+    const toPercent = v => Math.min(100, Math.max(0, ((v - min) / (max - min)) * 100));
+    const placeHandle = (v) => {
+        handle.style.left = `${toPercent(v.x)}%`;
+        handle.style.top = `${100 - toPercent(v.y)}%`;
+    };
+
+    const onPointer = (e) => {
+        const rect = pad.getBoundingClientRect();
+        const tx = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        const ty = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+        const next = {
+            x: round(min + tx * (max - min)),
+            y: round(max - ty * (max - min))
+        };
+        placeHandle(next);
+        valueDisplay.textContent = format(next);
+        setOption(control.name, next);
+    };
+
+    pad.addEventListener('pointerdown', (e) => {
+        pad.setPointerCapture(e.pointerId);
+        onPointer(e);
+    });
+    pad.addEventListener('pointermove', (e) => {
+        if (pad.hasPointerCapture(e.pointerId)) onPointer(e);
+    });
+
+    placeHandle(value);
+}
+
+/**
+ * Apply an option change from the control panel and keep the URL in sync
+ * @param {string} name
+ * @param {*} value
+ */
+function setOption(name, value) {
+    demoRunner.setOption(name, value);
+    showOptionErrors();
+    updateHash();
+}
+
+// ============ Presets ============
+
+/**
+ * Fill the preset dropdown with built-in and saved presets
+ * Option values are "builtin:<index>" or "saved:<name>"
+ * @param {string} id - Demo id
+ * @param {string} selected - Value to select
+ */
+function buildPresets(id, selected = '') {
+    const builtIn = demoRunner.getPresets(id);
+    const saved = presetStore.list(id);
+
+    presetSelect.innerHTML = '<option value="">Choose a preset…</option>';
+
+    const addGroup = (label, presets, prefix) => {
+        if (presets.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach((preset, index) => {
+            const option = document.createElement('option');
+            option.value = `${prefix}:${prefix === 'builtin' ? index : preset.name}`;
+            option.textContent = preset.name;
+            group.appendChild(option);
+        });
+        presetSelect.appendChild(group);
+    };
+
+    addGroup('Built-in', builtIn, 'builtin');
+    addGroup('Saved', saved, 'saved');
+
+    presetSelect.value = selected;
+    presetDeleteBtn.disabled = !presetSelect.value.startsWith('saved:');
+    presetExportBtn.disabled = saved.length === 0;
+    showPresetStatus('');
+}
+
+/**
+ * Show a short note under the preset buttons (empty text hides it)
+ * @param {string} text
+ * @param {boolean} isError
+ */
+function showPresetStatus(text, isError = false) {
+    presetStatus.textContent = text;
+    presetStatus.classList.toggle('error', isError);
+    presetStatus.hidden = !text;
+}
+
+/**
+ * Look up a preset from its dropdown value
+ * @param {string} value
+ * @returns {{name: string, options: Object}|null}
+ */
+function findPreset(value) {
+    const separator = value.indexOf(':');
+    const source = value.slice(0, separator);
+    const key = value.slice(separator + 1);
+
+    if (source === 'builtin') {
+        return demoRunner.getPresets(currentDemoId)[parseInt(key, 10)] || null;
+    }
+    if (source === 'saved') {
+        return presetStore.list(currentDemoId).find(preset => preset.name === key) || null;
+    }
+    return null;
+}
+
+/**
+ * Reload the current demo with a preset's options
+ * @param {string} value - Dropdown value
+ */
+function applyPreset(value) {
+    const preset = findPreset(value);
+    if (!preset) return;
+
+    openDemo(currentDemoId, { ...preset.options });
+    buildPresets(currentDemoId, value);
+    updateHash();
+}
+
+/**
+ * Save the current options (and seed) as a named preset
+ */
+function savePreset() {
+    const demo = demoRunner.getCurrent();
+    if (!demo) return;
+
+    const name = prompt('Preset name:')?.trim();
+    if (!name) return;
+
+    presetStore.save(currentDemoId, name, { ...demoRunner.getOptions(), seed: demo.options.seed });
+    buildPresets(currentDemoId, `saved:${name}`);
+}
+
+/**
+ * Delete the selected saved preset
+ */
+function deletePreset() {
+    const value = presetSelect.value;
+    if (!value.startsWith('saved:')) return;
+
+    presetStore.remove(currentDemoId, value.slice('saved:'.length));
+    buildPresets(currentDemoId);
+}
+
+/**
+ * Download this demo's saved presets as JSON
+ */
+function exportPresets() {
+    const json = presetStore.exportJSON(currentDemoId);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${currentDemoId}-presets.json`);
+}
+
+/**
+ * Import presets from a JSON file picked by the user
+ * @param {File} file
+ */
+async function importPresets(file) {
+    try {
+        const count = presetStore.importJSON(currentDemoId, await file.text());
+        buildPresets(currentDemoId);
+        showPresetStatus(`Imported ${count} preset${count === 1 ? '' : 's'} from ${file.name}`);
+    } catch (e) {
+        const reason = e instanceof SyntaxError ? 'Not a preset file' : e.message.replace(/^PresetStore: /, '');
+        showPresetStatus(`Couldn't import ${file.name}: ${reason}`, true);
+    }
+}
+
+// ============ Deep Links ============
+
+/**
+ * Build the location hash for a demo and its options
+ * @param {string|null} id
+ * @param {Object} options
+ * @returns {string} e.g. "#/demo/mandelbrot?maxIterations=300&seed=42"
+ */
+function buildHash(id, options = {}) {
+    if (!id) return '#/';
+
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([name, value]) => {
+        // XY pad values are written as "x,y"
+        const isPoint = value && typeof value === 'object';
+        params.set(name, isPoint ? `${value.x},${value.y}` : value);
+    });
+
+    const query = params.toString();
+    return `#/demo/${encodeURIComponent(id)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Convert a URL parameter back to the type its control expects
+ * @param {string} raw
+ * @param {Object|undefined} control
+ * @returns {*}
+ */
+function parseOptionValue(raw, control) {
+    switch (control?.type) {
+        case 'slider':
+            return parseFloat(raw);
+        case 'checkbox':
+            return raw === 'true';
+        case 'color':
+        case 'text':
+            return raw;
+        case 'select': {
+            const option = control.options.find(o => String(o.value) === raw);
+            return option ? option.value : control.default;
+        }
+        case 'xy': {
+            const [x, y] = raw.split(',').map(parseFloat);
+            return { x, y };
+        }
+    }
+
+    // Options without a control (seed, engine settings): infer the type
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    if (raw.trim() !== '' && !isNaN(Number(raw))) return Number(raw);
+    return raw;
+}
+
+/**
+ * Parse a location hash into a demo id and options
+ * @param {string} hash
+ * @returns {{id: string, options: Object}|null}
+ */
+function parseHash(hash) {
+    const match = hash.match(/^#\/demo\/([^?]+)(?:\?(.*))?$/);
+    if (!match) return null;
+
+    const id = decodeURIComponent(match[1]);
+    const controls = demoRunner.getControls(id);
+    const options = {};
+
+    new URLSearchParams(match[2] || '').forEach((raw, name) => {
+        const control = controls.find(c => c.name === name);
+        options[name] = parseOptionValue(raw, control);
+    });
+
+    return { id, options };
+}
+
+/**
+ * Write the open demo, its changed options and its seed to the URL
+ * New entries are written at once; replacements wait for changes to settle
+ * @param {Object} config
+ * @param {boolean} config.push - Add a history entry instead of replacing the current one
+ */
+function updateHash({ push = false } = {}) {
+    clearTimeout(hashTimer);
+    hashTimer = null;
+
+    if (push) {
+        writeHash({ push });
+    } else {
+        hashTimer = setTimeout(() => {
+            hashTimer = null;
+            writeHash({ push });
+        }, HASH_REPLACE_DELAY);
+    }
+}
+
+/**
+ * Write the current state to the URL now
+ * @param {Object} config
+ * @param {boolean} config.push - Add a history entry instead of replacing the current one
+ */
+function writeHash({ push }) {
+    const demo = demoRunner.getCurrent();
+    const options = currentDemoId && demo
+        ? { ...demoRunner.getOptions(), seed: demo.options.seed }
+        : {};
+    const hash = buildHash(currentDemoId, options);
+
+    // Already there (an empty hash counts as the gallery)
+    if (hash === location.hash) return;
+    if (!currentDemoId && !parseHash(location.hash)) return;
+
+    if (push) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Open or close the viewer to match the URL
+ */
+function applyRoute() {
+    const route = parseHash(location.hash);
+
+    if (route && demoRunner.registry.has(route.id)) {
+        openDemo(route.id, route.options);
+        updateHash();
+    } else if (currentDemoId) {
+        closeDemo();
+    }
+}
+
+// ============ Export ============
+
+/**
+ * Encode a canvas (DOM or offscreen) as a PNG blob
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Trigger a browser download of a blob
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Save the frame currently on screen as PNG
+ */
+async function saveImage() {
+    if (!currentDemoId) return;
+    const blob = await canvasToBlob(demoCanvas);
+    downloadBlob(blob, `${currentDemoId}.png`);
+}
+
+/**
+ * Re-render the current state at a multiple of screen size and save it as PNG
+ */
+async function exportHighRes() {
+    const demo = demoRunner.getCurrent();
+    if (!demo) return;
+
+    const scale = parseInt(exportScaleSelect.value, 10);
+    exportHiResBtn.disabled = true;
+
+    // Let the button state paint before a potentially long render
+    await new Promise(resolve => requestAnimationFrame(resolve));
+
+    try {
+        const buffer = demo.renderToBuffer(scale);
+        const blob = await canvasToBlob(buffer);
+        downloadBlob(blob, `${currentDemoId}@${scale}x.png`);
+    } catch (e) {
+        console.error(`Failed to export ${currentDemoId} at ${scale}x:`, e);
+    } finally {
+        exportHiResBtn.disabled = false;
+    }
+}
+
+/**
+ * Start recording the current demo, or stop the recording in progress
+ */
+async function toggleRecording() {
+    if (activeRecorder) {
+        activeRecorder.stop();
+        return;
+    }
+
+    const demo = demoRunner.getCurrent();
+    if (!demo) return;
+
+    const demoId = currentDemoId;
+    const recorder = new DemoRecorder(demo);
+    activeRecorder = recorder;
+    recordToggleBtn.classList.add('recording');
+
+    try {
+        const blob = await recorder.record({
+            fps: parseInt(recordFpsSelect.value, 10),
+            duration: parseInt(recordDurationSelect.value, 10),
+            offline: recordOfflineCheckbox.checked,
+            onProgress: (progress) => {
+                recordToggleBtn.textContent = `Stop (${Math.round(progress * 100)}%)`;
+            }
+        });
+        downloadBlob(blob, `${demoId}.webm`);
+    } catch (e) {
+        console.error(`Failed to record ${demoId}:`, e);
+    } finally {
+        activeRecorder = null;
+        recordToggleBtn.classList.remove('recording');
+        recordToggleBtn.textContent = 'Record';
+    }
+}
+
+/**
+ * Record the 2D context calls of the current frame and save them as JSON or SVG
+ */
+function saveFrameRecording() {
+    const demo = demoRunner.getCurrent();
+    if (!demo) return;
+
+    try {
+        const recording = demo.recordFrame();
+        if (frameFormatSelect.value === 'svg') {
+            downloadBlob(new Blob([recording.toSVG()], { type: 'image/svg+xml' }), `${currentDemoId}-frame.svg`);
+        } else {
+            downloadBlob(new Blob([recording.stringify()], { type: 'application/json' }), `${currentDemoId}-frame.json`);
+        }
+    } catch (e) {
+        console.error(`Failed to record a frame of ${currentDemoId}:`, e);
+    }
+}
+
+/**
+ * Start recording the current demo's lines as vectors, or stop and save them as SVG
+ */
+function toggleVectorRecording() {
+    const demo = demoRunner.getCurrent();
+    if (!demo) return;
+
+    if (!demo.vector) {
+        demo.startVectorRecording();
+        svgToggleBtn.classList.add('recording');
+        svgToggleBtn.textContent = 'Save SVG';
+        return;
+    }
+
+    const vector = demo.stopVectorRecording();
+    resetVectorButton();
+
+    const plotter = svgPlotterCheckbox.checked;
+    const blob = vector.toBlob({ plotter, tolerance: parseFloat(svgToleranceSelect.value) });
+    downloadBlob(blob, plotter ? `${currentDemoId}-plotter.svg` : `${currentDemoId}.svg`);
+}
+
+/**
+ * Show the SVG button as idle
+ */
+function resetVectorButton() {
+    svgToggleBtn.classList.remove('recording');
+    svgToggleBtn.textContent = 'Record SVG';
+}
+
+// ============ Performance ============
+
+/**
+ * Show the quality level the demo is running at
+ * @param {{mode: string, level: Object, fps: number}} state
+ */
+function updateQualityIndicator({ mode, level, fps }) {
+    const prefix = mode === 'auto' ? `${level.label}` : 'Fixed';
+    qualityIndicator.textContent = fps > 0 ? `${prefix} · ${Math.round(fps)} fps` : prefix;
+    qualityIndicator.classList.toggle('reduced', level.value < 1);
 }
 
 // ============ Event Listeners ============
@@ -371,6 +976,56 @@ difficultyFilters.addEventListener('change', (e) => {
 // Close demo
 closeBtn.addEventListener('click', closeDemo);
 
+// Deep links: back/forward and edited URLs
+window.addEventListener('hashchange', applyRoute);
+
+// Demos may reseed or pick option values on click (e.g. "click to regenerate",
+// c on the Julia map), so refresh the controls and the link
+demoCanvas.addEventListener('click', () => {
+    if (!currentDemoId) return;
+
+    if (demoRunner.syncOptions().length > 0) {
+        buildControls(demoRunner.getControls(currentDemoId), demoRunner.getCurrent().options);
+    }
+    updateHash();
+});
+
+// Presets
+presetSelect.addEventListener('change', () => applyPreset(presetSelect.value));
+presetSaveBtn.addEventListener('click', savePreset);
+presetDeleteBtn.addEventListener('click', deletePreset);
+presetExportBtn.addEventListener('click', exportPresets);
+presetImportBtn.addEventListener('click', () => presetFileInput.click());
+presetFileInput.addEventListener('change', () => {
+    if (presetFileInput.files.length > 0) {
+        importPresets(presetFileInput.files[0]);
+    }
+    presetFileInput.value = '';
+});
+
+// Export
+saveImageBtn.addEventListener('click', saveImage);
+exportHiResBtn.addEventListener('click', exportHighRes);
+recordToggleBtn.addEventListener('click', toggleRecording);
+recordFrameBtn.addEventListener('click', saveFrameRecording);
+svgToggleBtn.addEventListener('click', toggleVectorRecording);
+
+// Performance
+statsToggle.addEventListener('change', (e) => {
+    statsOverlay.setVisible(e.target.checked);
+});
+
+qualityModeSelect.addEventListener('change', (e) => {
+    demoRunner.setQualityMode(e.target.value);
+});
+
+demoRunner.quality.onChange = updateQualityIndicator;
+
+if (!DemoRecorder.isSupported()) {
+    recordToggleBtn.disabled = true;
+    recordToggleBtn.title = 'Recording is not supported in this browser';
+}
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && currentDemoId) {
@@ -378,12 +1033,6 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
-// Handle window resize for demo canvas
-window.addEventListener('resize', () => {
-    if (currentDemoId && demoRunner.currentDemo) {
-        demoRunner.currentDemo._resize();
-    }
-});
-
 // ============ Initialize ============
 renderGrid();
+applyRoute();
@@ -3,6 +3,8 @@
  * Provides color conversion, interpolation, and pre-defined palettes
  */
 
+import { random } from './Random.js';
+
 /**
  * Color utilities object
  */
@@ -186,7 +188,7 @@ export const ColorUtils = {
      * @returns {string} Hex color
      */
     random: () => {
-        return '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0');
+        return '#' + Math.floor(random() * 16777215).toString(16).padStart(6, '0');
     },
 
     /**
@@ -202,9 +204,9 @@ export const ColorUtils = {
         const sat = options.saturation || [50, 80];
         const lit = options.lightness || [40, 60];
 
-        const h = hue[0] + Math.random() * (hue[1] - hue[0]);
-        const s = sat[0] + Math.random() * (sat[1] - sat[0]);
-        const l = lit[0] + Math.random() * (lit[1] - lit[0]);
+        const h = hue[0] + random() * (hue[1] - hue[0]);
+        const s = sat[0] + random() * (sat[1] - sat[0]);
+        const l = lit[0] + random() * (lit[1] - lit[0]);
 
         return ColorUtils.hsl(h, s, l);
     }
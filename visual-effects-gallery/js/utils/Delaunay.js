@@ -0,0 +1,491 @@
+/**
+ * @fileoverview Delaunay triangulation and Voronoi diagram
+ * Incremental Bowyer-Watson: each new point removes the triangles whose
+ * circumcircle contains it and fills the hole with a fan of new triangles.
+ * The outside of the hull is covered by "ghost" triangles with a vertex at
+ * infinity, so no finite super-triangle skews the triangles along the hull.
+ * Voronoi cells are the bounds clipped by the bisector with each Delaunay neighbour
+ */
+
+/**
+ * Vertex index standing for the point at infinity in ghost triangles
+ */
+const GHOST = -1;
+
+/**
+ * Orientation of c relative to the line a -> b (positive on one side, negative on the other, 0 on it)
+ * @returns {number}
+ */
+function orient(ax, ay, bx, by, cx, cy) {
+    return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+/**
+ * Positive if p lies inside the circumcircle of positively oriented a, b, c
+ * @returns {number}
+ */
+function inCircle(ax, ay, bx, by, cx, cy, px, py) {
+    const adx = ax - px, ady = ay - py;
+    const bdx = bx - px, bdy = by - py;
+    const cdx = cx - px, cdy = cy - py;
+    return (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy) +
+        (bdx * bdx + bdy * bdy) * (cdx * ady - adx * cdy) +
+        (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady);
+}
+
+/**
+ * Delaunay - Triangulation of a point set
+ */
+export class Delaunay {
+    /**
+     * @param {Array<{x: number, y: number}>} points - Points equal to an earlier one are left out
+     */
+    constructor(points) {
+        this.points = points;
+        this.coords = new Float64Array(points.length * 2);
+        points.forEach((p, i) => {
+            this.coords[i * 2] = p.x;
+            this.coords[i * 2 + 1] = p.y;
+        });
+
+        // Working triangle storage: 3 vertices and 3 neighbours per slot
+        // (neighbour k is across the edge from vertex k to vertex k + 1)
+        this._verts = [];
+        this._adj = [];
+        this._dead = [];
+        this._free = [];
+        this._last = -1;
+
+        this._triangulate();
+
+        /** @type {Uint32Array} Point indices, three per triangle, all triangles oriented alike */
+        this.triangles = this._collect();
+        this._neighbors = null;
+
+        // Working storage isn't needed once the triangles are collected
+        this._verts = this._adj = this._dead = this._free = null;
+    }
+
+    /**
+     * Indices of the points sharing a Delaunay edge with point i
+     * @param {number} i
+     * @returns {Array<number>}
+     */
+    neighbors(i) {
+        if (!this._neighbors) {
+            const sets = this.points.map(() => new Set());
+            const t = this.triangles;
+            for (let k = 0; k < t.length; k += 3) {
+                for (let e = 0; e < 3; e++) {
+                    const a = t[k + e], b = t[k + (e + 1) % 3];
+                    sets[a].add(b);
+                    sets[b].add(a);
+                }
+            }
+            this._neighbors = sets.map(set => [...set]);
+        }
+        return this._neighbors[i];
+    }
+
+    /**
+     * Index of the point nearest (x, y)
+     * Walks the mesh from start towards ever closer neighbours; starting from
+     * the previous answer makes runs of nearby queries cheap
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [start=0] - Point to walk from
+     * @returns {number} -1 if there are no points
+     */
+    find(x, y, start = 0) {
+        const c = this.coords;
+        const distance = i => (c[i * 2] - x) ** 2 + (c[i * 2 + 1] - y) ** 2;
+
+        // Without a mesh (or from a point left out of it) fall back to checking every point
+        if (this.triangles.length === 0) {
+            let best = -1, bestDistance = Infinity;
+            for (let i = 0; i < this.points.length; i++) {
+                const d = distance(i);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = i;
+                }
+            }
+            return best;
+        }
+
+        let current = start >= 0 && start < this.points.length && this.neighbors(start).length > 0
+            ? start
+            : this.triangles[0];
+
+        // Every point that isn't the nearest has a Delaunay neighbour nearer than itself
+        let currentDistance = distance(current);
+        for (let moved = true; moved;) {
+            moved = false;
+            for (const n of this.neighbors(current)) {
+                const d = distance(n);
+                if (d < currentDistance) {
+                    current = n;
+                    currentDistance = d;
+                    moved = true;
+                }
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Circumcircle of triangle t
+     * @param {number} t - Triangle index
+     * @returns {{x: number, y: number, radius: number}}
+     */
+    circumcircle(t) {
+        const c = this.coords;
+        const [a, b, d] = [this.triangles[t * 3], this.triangles[t * 3 + 1], this.triangles[t * 3 + 2]];
+        const ax = c[a * 2], ay = c[a * 2 + 1];
+        const bx = c[b * 2] - ax, by = c[b * 2 + 1] - ay;
+        const dx = c[d * 2] - ax, dy = c[d * 2 + 1] - ay;
+        const det = 2 * (bx * dy - by * dx);
+        const b2 = bx * bx + by * by, d2 = dx * dx + dy * dy;
+        const ux = (dy * b2 - by * d2) / det;
+        const uy = (bx * d2 - dx * b2) / det;
+        return { x: ax + ux, y: ay + uy, radius: Math.hypot(ux, uy) };
+    }
+
+    /**
+     * Voronoi diagram of the points, clipped to a rectangle
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds
+     * @returns {Voronoi}
+     */
+    voronoi(bounds) {
+        return new Voronoi(this, bounds);
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * @private
+     */
+    _triangulate() {
+        const order = this._insertionOrder();
+        if (order.length < 3) return;
+
+        // Seed with the first three points not on one line
+        const c = this.coords;
+        const a = order[0];
+        let b = -1, d = -1;
+        for (let k = 1; k < order.length && d < 0; k++) {
+            const i = order[k];
+            if (b < 0) {
+                b = i;
+            } else if (orient(c[a * 2], c[a * 2 + 1], c[b * 2], c[b * 2 + 1], c[i * 2], c[i * 2 + 1]) !== 0) {
+                d = i;
+            }
+        }
+        if (d < 0) return; // All on one line: no triangles
+
+        if (orient(c[a * 2], c[a * 2 + 1], c[b * 2], c[b * 2 + 1], c[d * 2], c[d * 2 + 1]) < 0) {
+            [b, d] = [d, b];
+        }
+
+        // One solid triangle and a ghost on each of its edges
+        const t0 = this._add(a, b, d);
+        const g0 = this._add(b, a, GHOST);
+        const g1 = this._add(d, b, GHOST);
+        const g2 = this._add(a, d, GHOST);
+        this._link(t0, 0, g0, 0);
+        this._link(t0, 1, g1, 0);
+        this._link(t0, 2, g2, 0);
+        // Ghost (b, a, G) meets (a, d, G) along a-G and (d, b, G) along G-b
+        this._link(g0, 1, g2, 2);
+        this._link(g0, 2, g1, 1);
+        this._link(g1, 2, g2, 1);
+        this._last = t0;
+
+        for (const i of order) {
+            if (i !== a && i !== b && i !== d) this._insert(i);
+        }
+    }
+
+    /**
+     * Distinct points in a spatially coherent order (rows of cells, snaking),
+     * so each point is found by a short walk from the last
+     * @returns {Array<number>}
+     * @private
+     */
+    _insertionOrder() {
+        const c = this.coords;
+        const seen = new Set();
+        const unique = [];
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (let i = 0; i < this.points.length; i++) {
+            const x = c[i * 2], y = c[i * 2 + 1];
+            const key = `${x},${y}`;
+            if (seen.has(key) || !Number.isFinite(x) || !Number.isFinite(y)) continue;
+            seen.add(key);
+            unique.push(i);
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+
+        const rows = Math.max(1, Math.round(Math.sqrt(unique.length / 2)));
+        const rowHeight = (maxY - minY) / rows || 1;
+        const rowOf = i => Math.min(rows - 1, Math.floor((c[i * 2 + 1] - minY) / rowHeight));
+
+        return unique.sort((i, j) => {
+            const ri = rowOf(i), rj = rowOf(j);
+            if (ri !== rj) return ri - rj;
+            return ri % 2 === 0 ? c[i * 2] - c[j * 2] : c[j * 2] - c[i * 2];
+        });
+    }
+
+    /**
+     * Insert point p: remove the triangles in conflict with it, then fan the hole from p
+     * @private
+     */
+    _insert(p) {
+        let start = this._locate(p);
+        if (!this._conflicts(start, p)) {
+            // Rare (p on the line of a hull edge): look for any triangle in conflict
+            start = this._dead.findIndex((dead, t) => !dead && this._conflicts(t, p));
+            if (start < 0) return;
+        }
+
+        // Flood the cavity of conflicting triangles
+        const cavity = [start];
+        const inCavity = new Set(cavity);
+        for (let k = 0; k < cavity.length; k++) {
+            const t = cavity[k];
+            for (let e = 0; e < 3; e++) {
+                const n = this._adj[t * 3 + e];
+                if (!inCavity.has(n) && this._conflicts(n, p)) {
+                    inCavity.add(n);
+                    cavity.push(n);
+                }
+            }
+        }
+
+        // Boundary edges of the cavity, each with the triangle beyond it
+        const boundary = [];
+        for (const t of cavity) {
+            for (let e = 0; e < 3; e++) {
+                const n = this._adj[t * 3 + e];
+                if (!inCavity.has(n)) {
+                    boundary.push({
+                        u: this._verts[t * 3 + e],
+                        v: this._verts[t * 3 + (e + 1) % 3],
+                        outside: n
+                    });
+                }
+            }
+        }
+
+        for (const t of cavity) {
+            this._dead[t] = true;
+            this._free.push(t);
+        }
+
+        // New triangle (u, v, p) per boundary edge, linked to its neighbours in the fan
+        const byStart = new Map();
+        for (const edge of boundary) {
+            // Keep the ghost vertex last so ghost triangles are always (a, b, G)
+            let t;
+            if (edge.u === GHOST) {
+                t = this._add(edge.v, p, GHOST);
+            } else if (edge.v === GHOST) {
+                t = this._add(p, edge.u, GHOST);
+            } else {
+                t = this._add(edge.u, edge.v, p);
+                this._last = t;
+            }
+            this._link(t, this._edgeIndex(t, edge.u, edge.v), edge.outside, this._edgeIndex(edge.outside, edge.v, edge.u));
+            byStart.set(edge.u, t);
+            edge.t = t;
+        }
+
+        // Edge v -> p of each new triangle is p -> v of the one starting at v
+        for (const edge of boundary) {
+            const next = byStart.get(edge.v);
+            this._link(edge.t, this._edgeIndex(edge.t, edge.v, p), next, this._edgeIndex(next, p, edge.v));
+        }
+    }
+
+    /**
+     * Walk towards p from the last triangle made
+     * @returns {number} A triangle containing p, or a ghost whose hull edge p is beyond
+     * @private
+     */
+    _locate(p) {
+        const c = this.coords;
+        const px = c[p * 2], py = c[p * 2 + 1];
+        let t = this._last;
+
+        for (let steps = 0; steps < this._verts.length; steps++) {
+            if (this._verts[t * 3 + 2] === GHOST) return t;
+            let next = -1;
+            for (let e = 0; e < 3; e++) {
+                const a = this._verts[t * 3 + e], b = this._verts[t * 3 + (e + 1) % 3];
+                if (orient(c[a * 2], c[a * 2 + 1], c[b * 2], c[b * 2 + 1], px, py) < 0) {
+                    next = this._adj[t * 3 + e];
+                    break;
+                }
+            }
+            if (next < 0) return t;
+            t = next;
+        }
+        return t;
+    }
+
+    /**
+     * Whether p lies inside triangle t's circumcircle (for a ghost: beyond its hull edge)
+     * @private
+     */
+    _conflicts(t, p) {
+        const c = this.coords;
+        const v = this._verts;
+        const a = v[t * 3], b = v[t * 3 + 1], d = v[t * 3 + 2];
+        const px = c[p * 2], py = c[p * 2 + 1];
+
+        if (d === GHOST) {
+            const side = orient(c[a * 2], c[a * 2 + 1], c[b * 2], c[b * 2 + 1], px, py);
+            if (side !== 0) return side > 0;
+            // On the hull edge's line: in conflict only between its ends
+            const dot = (px - c[a * 2]) * (px - c[b * 2]) + (py - c[a * 2 + 1]) * (py - c[b * 2 + 1]);
+            return dot < 0;
+        }
+
+        return inCircle(c[a * 2], c[a * 2 + 1], c[b * 2], c[b * 2 + 1], c[d * 2], c[d * 2 + 1], px, py) > 0;
+    }
+
+    /**
+     * @private
+     */
+    _add(a, b, d) {
+        const t = this._free.length > 0 ? this._free.pop() : this._dead.length;
+        this._verts[t * 3] = a;
+        this._verts[t * 3 + 1] = b;
+        this._verts[t * 3 + 2] = d;
+        this._adj[t * 3] = this._adj[t * 3 + 1] = this._adj[t * 3 + 2] = -1;
+        this._dead[t] = false;
+        return t;
+    }
+
+    /**
+     * @private
+     */
+    _link(t, edge, n, nEdge) {
+        this._adj[t * 3 + edge] = n;
+        this._adj[n * 3 + nEdge] = t;
+    }
+
+    /**
+     * Which edge of t runs from a to b
+     * @private
+     */
+    _edgeIndex(t, a, b) {
+        for (let e = 0; e < 3; e++) {
+            if (this._verts[t * 3 + e] === a && this._verts[t * 3 + (e + 1) % 3] === b) return e;
+        }
+        return -1;
+    }
+
+    /**
+     * Live solid triangles as a flat index array
+     * @private
+     */
+    _collect() {
+        const result = [];
+        for (let t = 0; t < this._dead.length; t++) {
+            if (this._dead[t] || this._verts[t * 3 + 2] === GHOST) continue;
+            result.push(this._verts[t * 3], this._verts[t * 3 + 1], this._verts[t * 3 + 2]);
+        }
+        return Uint32Array.from(result);
+    }
+}
+
+/**
+ * Voronoi - Cells of a Delaunay triangulation's points, clipped to a rectangle
+ */
+export class Voronoi {
+    /**
+     * @param {Delaunay} delaunay
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds
+     */
+    constructor(delaunay, bounds) {
+        this.delaunay = delaunay;
+        this.bounds = bounds;
+
+        const triangulated = delaunay.triangles.length > 0;
+        const inMesh = new Uint8Array(delaunay.points.length);
+        delaunay.triangles.forEach(i => { inMesh[i] = 1; });
+
+        /** @type {Array<Array<{x: number, y: number}>|null>} Convex polygon per point (null for left-out duplicates) */
+        this.cells = delaunay.points.map((point, i) => {
+            if (triangulated && !inMesh[i]) return null;
+            // Without triangles (under three points, or all on one line) every point is a neighbour
+            const others = triangulated
+                ? delaunay.neighbors(i)
+                : delaunay.points.map((_, j) => j).filter(j => j !== i);
+            return this._clipCell(point, others.map(j => delaunay.points[j]));
+        });
+    }
+
+    /**
+     * Area and centroid of a polygon
+     * @param {Array<{x: number, y: number}>} polygon
+     * @returns {{x: number, y: number, area: number}}
+     */
+    static centroid(polygon) {
+        let area = 0, cx = 0, cy = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i], b = polygon[(i + 1) % polygon.length];
+            const cross = a.x * b.y - b.x * a.y;
+            area += cross;
+            cx += (a.x + b.x) * cross;
+            cy += (a.y + b.y) * cross;
+        }
+        area /= 2;
+        if (Math.abs(area) < 1e-12) {
+            return { x: polygon[0]?.x ?? 0, y: polygon[0]?.y ?? 0, area: 0 };
+        }
+        return { x: cx / (6 * area), y: cy / (6 * area), area: Math.abs(area) };
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * The bounds cut down by the half-plane closer to point than to each other point
+     * @private
+     */
+    _clipCell(point, others) {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        let polygon = [
+            { x: minX, y: minY }, { x: maxX, y: minY },
+            { x: maxX, y: maxY }, { x: minX, y: maxY }
+        ];
+
+        for (const other of others) {
+            const nx = other.x - point.x, ny = other.y - point.y;
+            const mx = (point.x + other.x) / 2, my = (point.y + other.y) / 2;
+            // Signed distance past the bisector (positive on the other point's side)
+            const side = q => (q.x - mx) * nx + (q.y - my) * ny;
+
+            const clipped = [];
+            for (let i = 0; i < polygon.length; i++) {
+                const a = polygon[i], b = polygon[(i + 1) % polygon.length];
+                const sa = side(a), sb = side(b);
+                if (sa <= 0) clipped.push(a);
+                if ((sa < 0 && sb > 0) || (sa > 0 && sb < 0)) {
+                    const t = sa / (sa - sb);
+                    clipped.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+                }
+            }
+            polygon = clipped;
+            if (polygon.length === 0) break;
+        }
+
+        return polygon;
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Escape-time iteration for Mandelbrot and Julia sets
+ * Pure functions shared by the fractal demos and the tile workers, so the
+ * same numbers come out on the main thread and off it
+ */
+
+import { FixedPoint } from './FixedPoint.js';
+
+export const EscapeTime = {
+    /**
+     * Compute smooth iteration counts for a rectangle of the image
+     * Points that never escape get maxIterations
+     * @param {Object} params
+     * @param {string} params.kind - 'mandelbrot', 'julia' or 'perturbation'
+     * @param {number} params.width - Full image width in pixels
+     * @param {number} params.height - Full image height in pixels
+     * @param {{realMin: number, realMax: number, imagMin: number, imagMax: number}} params.bounds - Complex plane area (perturbation: offsets from the reference point)
+     * @param {{x: number, y: number}} params.c - Julia constant (julia only)
+     * @param {Float64Array} params.reference - Reference orbit from referenceOrbit() (perturbation only)
+     * @param {number} params.maxIterations
+     * @param {number} params.x - Tile left edge in pixels
+     * @param {number} params.y - Tile top edge in pixels
+     * @param {number} params.tileWidth
+     * @param {number} params.tileHeight
+     * @param {number} params.step - Compute every Nth pixel and fill the block (coarse preview)
+     * @returns {Float32Array} tileWidth * tileHeight values
+     */
+    computeTile({
+        kind, width, height, bounds, c, reference, maxIterations,
+        x = 0, y = 0, tileWidth = width, tileHeight = height, step = 1
+    }) {
+        const { realMin, realMax, imagMin, imagMax } = bounds;
+        const iterate = { mandelbrot: this.mandelbrot, julia: this.julia, perturbation: this.perturbation }[kind];
+        const constant = kind === 'perturbation' ? reference : c;
+        const result = new Float32Array(tileWidth * tileHeight);
+
+        for (let ty = 0; ty < tileHeight; ty += step) {
+            const imag = imagMin + ((y + ty) / height) * (imagMax - imagMin);
+
+            for (let tx = 0; tx < tileWidth; tx += step) {
+                const real = realMin + ((x + tx) / width) * (realMax - realMin);
+                const value = iterate(real, imag, constant, maxIterations);
+
+                // Fill block of pixels
+                for (let dy = 0; dy < step && ty + dy < tileHeight; dy++) {
+                    for (let dx = 0; dx < step && tx + dx < tileWidth; dx++) {
+                        result[(ty + dy) * tileWidth + tx + dx] = value;
+                    }
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Smooth iteration count for one Mandelbrot point
+     * @param {number} x0 - Real part of c
+     * @param {number} y0 - Imaginary part of c
+     * @param {*} c - Unused
+     * @param {number} maxIterations
+     * @returns {number}
+     */
+    mandelbrot(x0, y0, c, maxIterations) {
+        let x = 0;
+        let y = 0;
+        let iteration = 0;
+
+        while (x * x + y * y <= 4 && iteration < maxIterations) {
+            const xtemp = x * x - y * y + x0;
+            y = 2 * x * y + y0;
+            x = xtemp;
+            iteration++;
+        }
+
+        // Smooth coloring
+        if (iteration < maxIterations) {
+            const log_zn = Math.log(x * x + y * y) / 2;
+            const nu = Math.log(log_zn / Math.log(2)) / Math.log(2);
+            return iteration + 1 - nu;
+        }
+        return iteration;
+    },
+
+    /**
+     * Smooth iteration count for one Julia point
+     * @param {number} x - Real part of z0
+     * @param {number} y - Imaginary part of z0
+     * @param {{x: number, y: number}} c - Julia constant
+     * @param {number} maxIterations
+     * @returns {number}
+     */
+    julia(x, y, c, maxIterations) {
+        let iteration = 0;
+
+        while (x * x + y * y <= 4 && iteration < maxIterations) {
+            const xtemp = x * x - y * y + c.x;
+            y = 2 * x * y + c.y;
+            x = xtemp;
+            iteration++;
+        }
+
+        // Smooth coloring
+        if (iteration < maxIterations) {
+            return iteration + 1 - Math.log2(Math.log2(x * x + y * y));
+        }
+        return iteration;
+    },
+
+    /**
+     * High-precision reference orbit for perturbation rendering
+     * Iterates Z -> Z^2 + C in fixed point until Z escapes or maxIterations
+     * @param {bigint} cx - Real part of C
+     * @param {bigint} cy - Imaginary part of C
+     * @param {number} bits - Fractional bits of cx and cy
+     * @param {number} maxIterations
+     * @returns {Float64Array} Interleaved real, imaginary parts of Z_0 .. Z_n
+     */
+    referenceOrbit(cx, cy, bits, maxIterations) {
+        const shift = BigInt(bits);
+        const four = 4n << shift;
+        const orbit = [0, 0];
+        let x = 0n;
+        let y = 0n;
+
+        for (let i = 0; i < maxIterations; i++) {
+            const x2 = (x * x) >> shift;
+            const y2 = (y * y) >> shift;
+            if (x2 + y2 > four) break;
+
+            const xtemp = x2 - y2 + cx;
+            y = ((x * y) >> (shift - 1n)) + cy;
+            x = xtemp;
+
+            // The orbit itself stays within |Z| <= 2, where doubles are plenty
+            orbit.push(FixedPoint.toNumber(x, bits), FixedPoint.toNumber(y, bits));
+        }
+
+        return Float64Array.from(orbit);
+    },
+
+    /**
+     * Smooth iteration count for a point near a reference orbit (perturbation)
+     * Only the point's offset from the reference is iterated, which stays
+     * representable in doubles at any zoom:
+     * d(n+1) = 2 Z(n) d(n) + d(n)^2 + dc
+     * When the offset outgrows the point itself the result would lose its
+     * precision (a glitch), so the point rebases onto the start of the orbit;
+     * the same happens when a reference that escaped early runs out
+     * @param {number} dcx - Real offset of c from the reference point
+     * @param {number} dcy - Imaginary offset of c from the reference point
+     * @param {Float64Array} orbit - From referenceOrbit()
+     * @param {number} maxIterations
+     * @returns {number}
+     */
+    perturbation(dcx, dcy, orbit, maxIterations) {
+        const last = orbit.length / 2 - 1;
+        let dx = 0;
+        let dy = 0;
+        let x = 0;
+        let y = 0;
+        let n = 0;
+        let iteration = 0;
+
+        while (iteration < maxIterations) {
+            const zx = orbit[2 * n];
+            const zy = orbit[2 * n + 1];
+            const dxtemp = 2 * (zx * dx - zy * dy) + dx * dx - dy * dy + dcx;
+            dy = 2 * (zx * dy + zy * dx) + 2 * dx * dy + dcy;
+            dx = dxtemp;
+            n++;
+            iteration++;
+
+            x = orbit[2 * n] + dx;
+            y = orbit[2 * n + 1] + dy;
+            const magnitude = x * x + y * y;
+            if (magnitude > 4) break;
+
+            if (magnitude < dx * dx + dy * dy || n === last) {
+                dx = x;
+                dy = y;
+                n = 0;
+            }
+        }
+
+        // Smooth coloring (as in mandelbrot())
+        if (iteration < maxIterations) {
+            const log_zn = Math.log(x * x + y * y) / 2;
+            const nu = Math.log(log_zn / Math.log(2)) / Math.log(2);
+            return iteration + 1 - nu;
+        }
+        return iteration;
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Arbitrary-precision fixed-point numbers on BigInt
+ * A value is a BigInt holding value * 2^bits; callers keep track of bits
+ */
+
+export const FixedPoint = {
+    /**
+     * Convert a number exactly
+     * @param {number} value
+     * @param {number} bits - Fractional bits
+     * @returns {bigint}
+     */
+    fromNumber(value, bits) {
+        if (value === 0 || !Number.isFinite(value)) return 0n;
+
+        // value = mantissa * 2^exponent with an integer mantissa of at most 54 bits
+        const exponent = Math.floor(Math.log2(Math.abs(value))) - 52;
+        const mantissa = BigInt(Math.round(value / 2 ** exponent));
+        const shift = exponent + bits;
+
+        return shift >= 0 ? mantissa << BigInt(shift) : mantissa >> BigInt(-shift);
+    },
+
+    /**
+     * Convert to the nearest number
+     * @param {bigint} fixed
+     * @param {number} bits
+     * @returns {number}
+     */
+    toNumber(fixed, bits) {
+        // Keep 64 significant bits so huge precisions don't overflow Number()
+        const length = (fixed < 0n ? -fixed : fixed).toString(2).length;
+        const drop = Math.max(0, length - 64);
+        return Number(fixed >> BigInt(drop)) * 2 ** (drop - bits);
+    },
+
+    /**
+     * Change the number of fractional bits
+     * @param {bigint} fixed
+     * @param {number} fromBits
+     * @param {number} toBits
+     * @returns {bigint}
+     */
+    rescale(fixed, fromBits, toBits) {
+        return toBits >= fromBits
+            ? fixed << BigInt(toBits - fromBits)
+            : fixed >> BigInt(fromBits - toBits);
+    },
+
+    /**
+     * Multiply two values with the same precision
+     * @param {bigint} a
+     * @param {bigint} b
+     * @param {number} bits
+     * @returns {bigint}
+     */
+    mul(a, b, bits) {
+        return (a * b) >> BigInt(bits);
+    },
+
+    /**
+     * Format as a decimal string
+     * @param {bigint} fixed
+     * @param {number} bits
+     * @param {number} digits - Digits after the decimal point
+     * @returns {string}
+     */
+    toString(fixed, bits, digits) {
+        const negative = fixed < 0n;
+        const scaled = ((negative ? -fixed : fixed) * 10n ** BigInt(digits)) >> BigInt(bits);
+        const text = scaled.toString().padStart(digits + 1, '0');
+        const whole = text.slice(0, text.length - digits);
+        const fraction = text.slice(text.length - digits);
+
+        return `${negative ? '-' : ''}${whole}${digits > 0 ? `.${fraction}` : ''}`;
+    },
+
+    /**
+     * Parse a decimal string such as "-0.743643887037158704752191506114774"
+     * @param {string} text
+     * @param {number} bits
+     * @returns {bigint}
+     * @throws {Error} If the text is not a plain decimal number
+     */
+    parse(text, bits) {
+        const match = /^\s*([+-])?(\d*)(?:\.(\d*))?\s*$/.exec(text);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`FixedPoint: Not a decimal number "${text}"`);
+        }
+
+        const [, sign, whole = '', fraction = ''] = match;
+        const digits = BigInt(`${whole}${fraction}` || '0');
+        const divisor = 10n ** BigInt(fraction.length);
+        const value = ((digits << BigInt(bits)) + divisor / 2n) / divisor;
+
+        return sign === '-' ? -value : value;
+    }
+};
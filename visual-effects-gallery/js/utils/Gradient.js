@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Gradient palettes for per-pixel demos
+ * Color stops baked into a lookup table, with cyclic or mirrored wrapping,
+ * perceptually uniform color maps and histogram-equalized coloring
+ */
+
+import { ColorUtils, Palettes } from './ColorUtils.js';
+
+/**
+ * Lookup table entries per gradient
+ */
+const LUT_SIZE = 1024;
+
+/**
+ * Histogram bins used by equalize()
+ */
+const HISTOGRAM_BINS = 1024;
+
+/**
+ * Perceptually uniform color maps (matplotlib's, sampled at even steps)
+ * twilight starts and ends on the same color, so it cycles without a seam
+ */
+export const ColorMaps = {
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    magma: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+    twilight: ['#e2d9e2', '#a0b7cb', '#6985be', '#5e46a5', '#2f1436', '#7a244e', '#b3524a', '#cca18f', '#e2d9e2']
+};
+
+/**
+ * Color maps that wrap around without a seam
+ */
+const CYCLIC_MAPS = new Set(['twilight']);
+
+/**
+ * Gradient - Color stops sampled through a lookup table
+ */
+export class Gradient {
+    /**
+     * @param {Array<{offset: number, color: string}>} stops - Offsets 0-1, hex colors
+     * @param {Object} config
+     * @param {boolean} config.cyclic - Wrap around past 1 (otherwise the gradient mirrors back)
+     */
+    constructor(stops, { cyclic = false } = {}) {
+        this.stops = [...stops].sort((a, b) => a.offset - b.offset);
+        this.cyclic = cyclic;
+
+        /** RGB triples, LUT_SIZE entries */
+        this.lut = new Uint8ClampedArray(LUT_SIZE * 3);
+
+        this._ranks = null;
+        this._buildLut();
+    }
+
+    /**
+     * Evenly spaced stops from a list of colors (e.g. one of Palettes)
+     * @param {string[]} colors
+     * @param {Object} config - See constructor
+     * @returns {Gradient}
+     */
+    static fromColors(colors, config) {
+        return new Gradient(colors.map((color, i) => ({
+            offset: i / Math.max(1, colors.length - 1),
+            color
+        })), config);
+    }
+
+    /**
+     * The hue wheel at fixed saturation and lightness (cyclic)
+     * HSL is piecewise linear in RGB between these stops, so sampling matches hslToRgb()
+     * @param {number} saturation - 0-100
+     * @param {number} lightness - 0-100
+     * @returns {Gradient}
+     */
+    static hue(saturation = 80, lightness = 50) {
+        const stops = [];
+        for (let i = 0; i <= 12; i++) {
+            const rgb = ColorUtils.hslToRgb(i * 30, saturation, lightness);
+            stops.push({ offset: i / 12, color: ColorUtils.rgbToHex(rgb.r, rgb.g, rgb.b) });
+        }
+        return new Gradient(stops, { cyclic: true });
+    }
+
+    /**
+     * Parse editable stops such as "0 #000004, 0.6 #b73779, 1 #fcfdbf"
+     * Offsets may be left out for evenly spaced colors ("#000, #f00, #fff")
+     * @param {string} text
+     * @param {Object} config - See constructor
+     * @returns {Gradient}
+     * @throws {Error} If the text is not a list of at least two stops
+     */
+    static parse(text, config) {
+        const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+        if (entries.length < 2) {
+            throw new Error('Gradient: Need at least two color stops');
+        }
+
+        const stops = entries.map((entry, i) => {
+            const match = /^(?:(-?[\d.]+)\s+)?(#(?:[0-9a-f]{3}|[0-9a-f]{6}))$/i.exec(entry);
+            const offset = match?.[1] === undefined ? i / (entries.length - 1) : parseFloat(match[1]);
+            if (!match || !(offset >= 0 && offset <= 1)) {
+                throw new Error(`Gradient: Can't read color stop "${entry}"`);
+            }
+            return { offset, color: match[2] };
+        });
+
+        return new Gradient(stops, config);
+    }
+
+    /**
+     * Build a gradient from palette options (see paletteControls())
+     * @param {{palette: string, paletteStops: string}} options
+     * @param {{saturation: number, lightness: number}} hue - Settings for the 'hue' palette
+     * @returns {Gradient}
+     * @throws {Error} If the palette is 'custom' and its stops don't parse
+     */
+    static fromOptions({ palette, paletteStops }, hue = {}) {
+        if (palette === 'custom') {
+            return Gradient.parse(paletteStops ?? '');
+        } else if (ColorMaps[palette]) {
+            return Gradient.fromColors(ColorMaps[palette], { cyclic: CYCLIC_MAPS.has(palette) });
+        } else if (Palettes[palette]) {
+            return Gradient.fromColors(Palettes[palette]);
+        }
+        return Gradient.hue(hue.saturation, hue.lightness);
+    }
+
+    /**
+     * Build a gradient from palette options without throwing, for palettes the
+     * user edits live: if custom stops don't parse, the fallback stays in use
+     * @param {{palette: string, paletteStops: string}} options
+     * @param {Object} config
+     * @param {{saturation: number, lightness: number}} config.hue - Settings for the 'hue' palette
+     * @param {Gradient|null} config.fallback - Kept on a parse error (defaults to the hue palette)
+     * @returns {{gradient: Gradient, error: string|null}} error reads as a message under the stops control
+     */
+    static tryFromOptions(options, { hue = {}, fallback = null } = {}) {
+        try {
+            return { gradient: Gradient.fromOptions(options, hue), error: null };
+        } catch (e) {
+            return {
+                gradient: fallback ?? Gradient.hue(hue.saturation, hue.lightness),
+                error: e.message.replace(/^Gradient: /, '')
+            };
+        }
+    }
+
+    /**
+     * Editable text form of the stops (parse() reads it back)
+     * @returns {string}
+     */
+    toString() {
+        return this.stops.map(stop => `${Number(stop.offset.toFixed(3))} ${stop.color}`).join(', ');
+    }
+
+    /**
+     * Lookup table offset of the color at t
+     * Past 0-1, cyclic gradients wrap and others mirror back, so there's no seam
+     * @param {number} t
+     * @returns {number} Index of the red byte in lut
+     */
+    indexOf(t) {
+        if (this.cyclic) {
+            const u = t - Math.floor(t);
+            return (Math.floor(u * LUT_SIZE) % LUT_SIZE) * 3;
+        }
+
+        let u = t - 2 * Math.floor(t / 2);
+        if (u > 1) u = 2 - u;
+        return Math.round(u * (LUT_SIZE - 1)) * 3;
+    }
+
+    /**
+     * Get the color at t
+     * @param {number} t
+     * @returns {{r: number, g: number, b: number}}
+     */
+    sample(t) {
+        const i = this.indexOf(t);
+        return { r: this.lut[i], g: this.lut[i + 1], b: this.lut[i + 2] };
+    }
+
+    /**
+     * Color a scalar field into RGBA pixels
+     * @param {Uint8ClampedArray} data - RGBA output, 4 bytes per value
+     * @param {ArrayLike<number>} values
+     * @param {Object} config
+     * @param {number} config.scale - Gradient lengths per unit of value
+     * @param {number} config.offset - Shift along the gradient (palette cycling)
+     * @param {boolean} config.equalize - Color by histogram rank, so colors spread evenly over the image
+     * @param {number} config.ceiling - Values at or above this are painted black (e.g. inside a fractal set)
+     */
+    colorize(data, values, { scale = 1, offset = 0, equalize = false, ceiling = Infinity } = {}) {
+        const lut = this.lut;
+        let source = values;
+        let factor = scale;
+
+        if (equalize) {
+            if (!this._ranks || this._ranks.length !== values.length) {
+                this._ranks = new Float32Array(values.length);
+            }
+            source = Gradient.equalize(values, ceiling, this._ranks);
+            factor = 1;
+        }
+
+        for (let index = 0; index < values.length; index++) {
+            const pixelIndex = index * 4;
+
+            if (values[index] >= ceiling) {
+                data[pixelIndex] = 0;
+                data[pixelIndex + 1] = 0;
+                data[pixelIndex + 2] = 0;
+            } else {
+                const i = this.indexOf(source[index] * factor + offset);
+                data[pixelIndex] = lut[i];
+                data[pixelIndex + 1] = lut[i + 1];
+                data[pixelIndex + 2] = lut[i + 2];
+            }
+            data[pixelIndex + 3] = 255;
+        }
+    }
+
+    /**
+     * Histogram equalization: replace each value with the share of values below it
+     * Values at or above the ceiling are left out of the histogram
+     * @param {ArrayLike<number>} values
+     * @param {number} ceiling
+     * @param {Float32Array} out - Output, same length as values
+     * @returns {Float32Array} Ranks 0-1
+     */
+    static equalize(values, ceiling = Infinity, out = new Float32Array(values.length)) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (value < ceiling) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+
+        const histogram = new Float64Array(HISTOGRAM_BINS + 1);
+        const binScale = max > min ? HISTOGRAM_BINS / (max - min) : 0;
+        let total = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < ceiling) {
+                histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((values[i] - min) * binScale)) + 1]++;
+                total++;
+            }
+        }
+
+        // histogram[b] becomes the count below bin b
+        const counts = histogram.slice();
+        for (let b = 1; b <= HISTOGRAM_BINS; b++) {
+            histogram[b] += histogram[b - 1];
+        }
+
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] >= ceiling || total === 0) {
+                out[i] = 1;
+                continue;
+            }
+            // Interpolate within the bin so smooth values stay smooth
+            const position = (values[i] - min) * binScale;
+            const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor(position));
+            out[i] = (histogram[bin] + counts[bin + 1] * (position - bin)) / total;
+        }
+        return out;
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * @private
+     */
+    _buildLut() {
+        const stops = this.stops.map(stop => ({ offset: stop.offset, rgb: ColorUtils.hexToRgb(stop.color) }));
+
+        // A cyclic gradient blends its last stop back into its first
+        if (this.cyclic) {
+            const first = stops[0];
+            const last = stops[stops.length - 1];
+            stops.unshift({ offset: last.offset - 1, rgb: last.rgb });
+            stops.push({ offset: first.offset + 1, rgb: first.rgb });
+        }
+
+        let next = 1;
+        for (let i = 0; i < LUT_SIZE; i++) {
+            const t = this.cyclic ? i / LUT_SIZE : i / (LUT_SIZE - 1);
+            while (next < stops.length - 1 && stops[next].offset < t) next++;
+
+            const a = stops[Math.max(0, next - 1)];
+            const b = stops[next] ?? a;
+            const span = b.offset - a.offset;
+            const local = span > 0 ? Math.max(0, Math.min(1, (t - a.offset) / span)) : 0;
+
+            this.lut[i * 3] = a.rgb.r + (b.rgb.r - a.rgb.r) * local;
+            this.lut[i * 3 + 1] = a.rgb.g + (b.rgb.g - a.rgb.g) * local;
+            this.lut[i * 3 + 2] = a.rgb.b + (b.rgb.b - a.rgb.b) * local;
+        }
+    }
+}
+
+/**
+ * Default values for paletteControls(), to spread into getDefaultOptions()
+ */
+export const PALETTE_DEFAULTS = {
+    palette: 'hue',
+    paletteStops: '0 #000004, 0.5 #b73779, 1 #fcfdbf',
+    coloring: 'smooth',
+    paletteOffset: 0
+};
+
+/**
+ * Sidebar controls for demos colored through a Gradient, to spread into getControls()
+ * Options: palette, paletteStops (used by 'custom'), coloring ('smooth' or 'histogram'), paletteOffset
+ * @param {Object} config
+ * @param {boolean} config.equalize - Offer histogram-equalized coloring (for demos that use colorize())
+ * @param {string} config.palette - Default palette (override PALETTE_DEFAULTS.palette to match)
+ * @param {string} config.stops - Default custom stops (override PALETTE_DEFAULTS.paletteStops to match)
+ * @returns {Array<Object>}
+ */
+export function paletteControls({ equalize = true, palette = PALETTE_DEFAULTS.palette, stops = PALETTE_DEFAULTS.paletteStops } = {}) {
+    const names = ['hue', ...Object.keys(ColorMaps), ...Object.keys(Palettes)];
+    const label = name => name[0].toUpperCase() + name.slice(1);
+
+    return [
+        {
+            type: 'select', name: 'palette', label: 'Palette', default: palette,
+            options: [
+                ...names.map(name => ({ value: name, label: name === 'hue' ? 'Hue Wheel' : label(name) })),
+                { value: 'custom', label: 'Custom Stops' }
+            ]
+        },
+        { type: 'text', name: 'paletteStops', label: 'Custom Stops (offset #color, ...)', default: stops },
+        ...(equalize ? [{
+            type: 'select', name: 'coloring', label: 'Coloring', default: 'smooth',
+            options: [
+                { value: 'smooth', label: 'Smooth Bands' },
+                { value: 'histogram', label: 'Histogram Equalized' }
+            ]
+        }] : []),
+        { type: 'slider', name: 'paletteOffset', label: 'Palette Offset', min: 0, max: 1, default: 0, step: 0.01 }
+    ];
+}
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Iterated function systems
+ * A set of affine maps, each picked with a probability, whose attractor is a fractal.
+ * Rendered by the chaos game (one random orbit plotted into a density buffer)
+ * or by deterministic recursion (every composition of maps up to a depth)
+ */
+
+/**
+ * Chaos game steps skipped after a restart, while the orbit falls onto the attractor
+ */
+const WARMUP_STEPS = 20;
+
+/**
+ * Orbit coordinates beyond this mean the maps don't contract; the orbit restarts
+ */
+const ESCAPE_LIMIT = 1e6;
+
+/**
+ * IFS - Affine maps x' = a x + b y + e, y' = c x + d y + f, picked with weight p
+ */
+export class IFS {
+    /**
+     * @param {Array<{a: number, b: number, c: number, d: number, e: number, f: number, p: number}>} maps
+     */
+    constructor(maps) {
+        this.maps = maps.map(map => ({ ...map }));
+        this.reset();
+    }
+
+    /**
+     * Affine map that takes three points onto three others
+     * @param {Array<{x: number, y: number}>} from - Three points, not on one line
+     * @param {Array<{x: number, y: number}>} to - Their images
+     * @param {number} p - Weight of the map
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number, p: number}}
+     */
+    static mapFromPoints(from, to, p = 1) {
+        // Edge vectors u, v of the source triangle and their images
+        const ux = from[1].x - from[0].x, uy = from[1].y - from[0].y;
+        const vx = from[2].x - from[0].x, vy = from[2].y - from[0].y;
+        const qux = to[1].x - to[0].x, quy = to[1].y - to[0].y;
+        const qvx = to[2].x - to[0].x, qvy = to[2].y - to[0].y;
+
+        // Linear part = [qu qv] * [u v]^-1
+        const det = ux * vy - vx * uy || 1e-12;
+        const a = (qux * vy - qvx * uy) / det;
+        const b = (qvx * ux - qux * vx) / det;
+        const c = (quy * vy - qvy * uy) / det;
+        const d = (qvy * ux - quy * vx) / det;
+
+        return {
+            a, b, c, d,
+            e: to[0].x - (a * from[0].x + b * from[0].y),
+            f: to[0].y - (c * from[0].x + d * from[0].y),
+            p
+        };
+    }
+
+    /**
+     * Apply a map to a point
+     * @param {Object} map
+     * @param {{x: number, y: number}} point
+     * @returns {{x: number, y: number}}
+     */
+    static apply(map, point) {
+        return {
+            x: map.a * point.x + map.b * point.y + map.e,
+            y: map.c * point.x + map.d * point.y + map.f
+        };
+    }
+
+    /**
+     * Composition outer ∘ inner (inner applied first)
+     * @param {Object} outer
+     * @param {Object} inner
+     * @returns {Object}
+     */
+    static compose(outer, inner) {
+        return {
+            a: outer.a * inner.a + outer.b * inner.c,
+            b: outer.a * inner.b + outer.b * inner.d,
+            c: outer.c * inner.a + outer.d * inner.c,
+            d: outer.c * inner.b + outer.d * inner.d,
+            e: outer.a * inner.e + outer.b * inner.f + outer.e,
+            f: outer.c * inner.e + outer.d * inner.f + outer.f,
+            p: outer.p * inner.p
+        };
+    }
+
+    /**
+     * Replace one map (e.g. while it's being dragged)
+     * @param {number} index
+     * @param {Object} map
+     */
+    setMap(index, map) {
+        this.maps[index] = { ...map };
+        this.reset();
+    }
+
+    /**
+     * Restart the chaos game orbit and pick up changed weights
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.warmup = WARMUP_STEPS;
+
+        // Cumulative weights; all-zero weights mean equal chances
+        const total = this.maps.reduce((sum, map) => sum + Math.max(0, map.p), 0);
+        let running = 0;
+        this.cumulative = this.maps.map(map => {
+            running += total > 0 ? Math.max(0, map.p) / total : 1 / this.maps.length;
+            return running;
+        });
+    }
+
+    /**
+     * Pick a map index by weight
+     * @param {number} r - Uniform random number 0-1
+     * @returns {number}
+     */
+    pick(r) {
+        const cumulative = this.cumulative;
+        for (let i = 0; i < cumulative.length - 1; i++) {
+            if (r < cumulative[i]) return i;
+        }
+        return cumulative.length - 1;
+    }
+
+    /**
+     * Run the chaos game and count hits per pixel
+     * The orbit continues from the previous call, so density builds up over frames
+     * @param {Float32Array} density - width * height hit counts
+     * @param {number} width
+     * @param {number} height
+     * @param {{centerX: number, centerY: number, scale: number}} view - World point at the
+     *   buffer's center and pixels per world unit (world y points up)
+     * @param {number} count - Orbit steps
+     * @param {function(): number} random - Uniform 0-1
+     */
+    plot(density, width, height, view, count, random = Math.random) {
+        const maps = this.maps;
+        const originX = width / 2 - view.centerX * view.scale;
+        const originY = height / 2 + view.centerY * view.scale;
+        const scale = view.scale;
+        let x = this.x;
+        let y = this.y;
+
+        for (let n = 0; n < count; n++) {
+            const map = maps[this.pick(random())];
+            const nx = map.a * x + map.b * y + map.e;
+            y = map.c * x + map.d * y + map.f;
+            x = nx;
+
+            if (!(Math.abs(x) < ESCAPE_LIMIT && Math.abs(y) < ESCAPE_LIMIT)) {
+                x = 0;
+                y = 0;
+                this.warmup = WARMUP_STEPS;
+                continue;
+            }
+            if (this.warmup > 0) {
+                this.warmup--;
+                continue;
+            }
+
+            const px = Math.floor(originX + x * scale);
+            const py = Math.floor(originY - y * scale);
+            if (px >= 0 && px < width && py >= 0 && py < height) {
+                density[py * width + px]++;
+            }
+        }
+
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Bounding box of the attractor, from a short chaos game
+     * @param {function(): number} random
+     * @param {number} samples
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+     */
+    estimateBounds(random = Math.random, samples = 20000) {
+        let x = 0, y = 0;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        for (let n = 0; n < samples + WARMUP_STEPS; n++) {
+            const map = this.maps[this.pick(random())];
+            const nx = map.a * x + map.b * y + map.e;
+            y = map.c * x + map.d * y + map.f;
+            x = nx;
+
+            if (n >= WARMUP_STEPS && Math.abs(x) < ESCAPE_LIMIT && Math.abs(y) < ESCAPE_LIMIT) {
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+
+        if (minX > maxX) return { minX: -1, maxX: 1, minY: -1, maxY: 1 };
+        return { minX, maxX, minY, maxY };
+    }
+
+    /**
+     * Visit every composition of depth maps (deterministic rendering: the
+     * images of any starting shape under these approach the attractor)
+     * @param {number} depth
+     * @param {function(Object, number): void} visit - Called with the composed map and the
+     *   index of its outermost map (which top-level copy it belongs to)
+     */
+    compositions(depth, visit) {
+        const identity = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0, p: 1 };
+
+        const walk = (transform, level, branch) => {
+            if (level === depth) {
+                visit(transform, branch);
+                return;
+            }
+            this.maps.forEach((map, i) => {
+                walk(IFS.compose(transform, map), level + 1, level === 0 ? i : branch);
+            });
+        };
+
+        walk(identity, 0, 0);
+    }
+}
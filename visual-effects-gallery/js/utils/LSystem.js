@@ -0,0 +1,589 @@
+/**
+ * @fileoverview L-system grammars
+ * Parses an axiom and production rules and rewrites them into lists of modules
+ * (a symbol with optional numeric parameters). Rules are written one per line
+ * (or separated by semicolons):
+ *
+ *   F -> F[+F]F[-F]F                   plain rule
+ *   F -(0.33)-> F[+F]F                 weighted alternative (stochastic)
+ *   A < B > C -> D                     B with A to its left and C to its right
+ *   A(s) : s > 1 -> F(s)[+A(s / R)]    parametric rule with a condition
+ *   R = 1.456                          constant
+ *   #ignore +-F                        symbols skipped when matching context
+ *
+ * Other lines starting with # are comments
+ */
+
+/**
+ * Default cap on modules produced by a rewrite
+ */
+const MAX_MODULES = 200000;
+
+/**
+ * Symbols skipped when matching context, unless a grammar sets its own with #ignore
+ */
+const DEFAULT_IGNORE = '+-&^\\/|!';
+
+/**
+ * Math functions usable in parameter expressions
+ */
+const FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, sqrt: Math.sqrt, abs: Math.abs,
+    min: Math.min, max: Math.max, floor: Math.floor, ceil: Math.ceil, round: Math.round,
+    pow: Math.pow, exp: Math.exp, log: Math.log
+};
+
+/**
+ * Expression tokens: numbers, names, two-character operators, single characters
+ */
+const TOKEN_PATTERN = /\s*(\d*\.?\d+(?:e[+-]?\d+)?|[A-Za-z_]\w*|<=|>=|==|!=|&&|\|\||\S)/gy;
+
+/**
+ * Binary operators by precedence level, lowest first
+ */
+const BINARY_LEVELS = [
+    { '||': (a, b) => (a || b ? 1 : 0) },
+    { '&&': (a, b) => (a && b ? 1 : 0) },
+    {
+        '<': (a, b) => (a < b ? 1 : 0), '>': (a, b) => (a > b ? 1 : 0),
+        '<=': (a, b) => (a <= b ? 1 : 0), '>=': (a, b) => (a >= b ? 1 : 0),
+        '==': (a, b) => (a === b ? 1 : 0), '!=': (a, b) => (a !== b ? 1 : 0)
+    },
+    { '+': (a, b) => a + b, '-': (a, b) => a - b },
+    { '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b }
+];
+
+/**
+ * LSystem - A parsed grammar that rewrites module lists
+ */
+export class LSystem {
+    /**
+     * @param {Array<{symbol: string, params: number[]|null}>} axiom
+     * @param {Array<Object>} rules - Parsed rules (see parseRules())
+     * @param {string} ignore - Symbols skipped when matching context
+     */
+    constructor(axiom, rules, ignore = DEFAULT_IGNORE) {
+        this.axiom = axiom;
+        this.rules = rules;
+        this.ignore = new Set(ignore);
+
+        /** @type {Map<string, Array<Object>>} Rules by predecessor, context-sensitive first */
+        this.rulesBySymbol = new Map();
+        const byContext = rules.filter(rule => rule.hasContext).concat(rules.filter(rule => !rule.hasContext));
+        byContext.forEach(rule => {
+            if (!this.rulesBySymbol.has(rule.symbol)) this.rulesBySymbol.set(rule.symbol, []);
+            this.rulesBySymbol.get(rule.symbol).push(rule);
+        });
+
+        this.hasContext = rules.some(rule => rule.hasContext);
+    }
+
+    /**
+     * Parse a grammar
+     * @param {string} axiomText - e.g. "X" or "A(1)"
+     * @param {string} rulesText - Rules, one per line
+     * @returns {LSystem}
+     * @throws {Error} If either part doesn't parse (error.option names the part: 'axiom' or 'rules')
+     */
+    static parse(axiomText, rulesText) {
+        let grammar;
+        try {
+            grammar = LSystem.parseRules(rulesText);
+        } catch (e) {
+            e.option = 'rules';
+            throw e;
+        }
+
+        try {
+            return new LSystem(LSystem.parseAxiom(axiomText, grammar.constants), grammar.rules, grammar.ignore);
+        } catch (e) {
+            e.option = 'axiom';
+            throw e;
+        }
+    }
+
+    /**
+     * Parse an axiom into modules; parameters may use constants
+     * @param {string} text
+     * @param {Object<string, number>} constants
+     * @returns {Array<{symbol: string, params: number[]|null}>}
+     * @throws {Error}
+     */
+    static parseAxiom(text, constants = {}) {
+        const resolve = name => {
+            if (name in constants) return () => constants[name];
+            throw new Error(`Unknown name "${name}"`);
+        };
+
+        let modules;
+        try {
+            modules = parseModules(text, arg => compileExpression(arg, resolve));
+        } catch (e) {
+            throw new Error(`LSystem: Axiom: ${e.message}`);
+        }
+        if (modules.length === 0) {
+            throw new Error('LSystem: The axiom is empty');
+        }
+
+        return modules.map(module => ({
+            symbol: module.symbol,
+            params: module.args ? module.args.map(arg => arg([])) : null
+        }));
+    }
+
+    /**
+     * Parse rule lines into rules, constants and the context ignore list
+     * @param {string} text
+     * @returns {{rules: Array<Object>, constants: Object<string, number>, ignore: string}}
+     * @throws {Error} Messages name the offending line
+     */
+    static parseRules(text) {
+        const lines = text.split(/\r?\n|;/).map((line, i) => ({ text: line.trim(), number: i + 1 }));
+        const constants = {};
+        const rules = [];
+        let ignore = DEFAULT_IGNORE;
+
+        const atLine = (line, fn) => {
+            try {
+                return fn();
+            } catch (e) {
+                throw new Error(`LSystem: Line ${line.number}: ${e.message}`);
+            }
+        };
+
+        // Constants first, so rules can use constants defined below them
+        lines.forEach(line => {
+            const match = /^([A-Za-z_]\w*)\s*=(?!=)(.*)$/.exec(line.text);
+            if (!match || line.text.includes('->')) return;
+            atLine(line, () => {
+                const resolve = name => {
+                    if (name in constants) return () => constants[name];
+                    throw new Error(`Unknown name "${name}"`);
+                };
+                constants[match[1]] = compileExpression(match[2], resolve)([]);
+            });
+            line.text = '';
+        });
+
+        lines.forEach(line => {
+            if (line.text.startsWith('#ignore')) {
+                ignore = line.text.slice('#ignore'.length).replace(/\s/g, '');
+            } else if (line.text && !line.text.startsWith('#')) {
+                rules.push(atLine(line, () => parseRule(line.text, constants)));
+            }
+        });
+
+        return { rules, constants, ignore };
+    }
+
+    /**
+     * Rewrite the axiom a number of times
+     * Stops early rather than produce more than maxModules
+     * @param {number} iterations
+     * @param {Object} config
+     * @param {function(): number} config.random - Picks stochastic alternatives, 0-1
+     * @param {number} config.maxModules
+     * @returns {{modules: Array<{symbol: string, params: number[]|null}>, iterations: number}} Result and iterations applied
+     */
+    generate(iterations, { random = Math.random, maxModules = MAX_MODULES } = {}) {
+        let modules = this.axiom;
+        let completed = 0;
+
+        while (completed < iterations) {
+            const next = this.rewrite(modules, random, maxModules);
+            if (!next) break;
+            modules = next;
+            completed++;
+        }
+
+        return { modules, iterations: completed };
+    }
+
+    /**
+     * Apply the rules once to every module
+     * @param {Array<{symbol: string, params: number[]|null}>} modules
+     * @param {function(): number} random
+     * @param {number} maxModules
+     * @returns {Array|null} Next modules, or null if there would be more than maxModules
+     */
+    rewrite(modules, random = Math.random, maxModules = MAX_MODULES) {
+        const brackets = this.hasContext ? matchBrackets(modules) : null;
+        const next = [];
+
+        for (let i = 0; i < modules.length; i++) {
+            const module = modules[i];
+            const choice = this._choose(modules, i, brackets, random);
+
+            if (!choice) {
+                // Modules are never mutated, so unchanged ones are shared
+                next.push(module);
+            } else {
+                for (const item of choice.rule.successor) {
+                    next.push(item.module ?? {
+                        symbol: item.symbol,
+                        params: item.args.map(arg => arg(choice.bound))
+                    });
+                }
+            }
+
+            if (next.length > maxModules) return null;
+        }
+
+        return next;
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Pick the rule for one module: context-sensitive rules win over context-free
+     * ones, and several matching rules are alternatives picked by weight
+     * @returns {{rule: Object, bound: number[]}|null}
+     * @private
+     */
+    _choose(modules, index, brackets, random) {
+        const rules = this.rulesBySymbol.get(modules[index].symbol);
+        if (!rules) return null;
+
+        const candidates = [];
+        for (const rule of rules) {
+            // Once a context-sensitive rule matched, context-free ones don't compete
+            if (!rule.hasContext && candidates.length > 0 && candidates[0].rule.hasContext) break;
+
+            const bound = this._match(rule, modules, index, brackets);
+            if (bound && (!rule.condition || rule.condition(bound))) {
+                candidates.push({ rule, bound });
+            }
+        }
+
+        if (candidates.length <= 1) return candidates[0] ?? null;
+
+        const weights = candidates.map(({ rule, bound }) => Math.max(0, rule.weight(bound)));
+        let pick = random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Match a rule's predecessor and context at an index
+     * @returns {number[]|null} Bound parameter values (left context, predecessor, right context), or null
+     * @private
+     */
+    _match(rule, modules, index, brackets) {
+        if (arity(modules[index]) !== rule.arity) return null;
+        const bound = [];
+
+        if (rule.left.length > 0) {
+            const found = [];
+            let j = index - 1;
+            for (let k = rule.left.length - 1; k >= 0; k--) {
+                // Walk towards the root: skip finished side branches, leave the current one
+                while (j >= 0) {
+                    const symbol = modules[j].symbol;
+                    if (symbol === ']' && brackets[j] >= 0) j = brackets[j] - 1;
+                    else if (symbol === '[' || symbol === ']' || this.ignore.has(symbol)) j--;
+                    else break;
+                }
+                if (j < 0 || !sameShape(modules[j], rule.left[k])) return null;
+                found.unshift(modules[j]);
+                j--;
+            }
+            found.forEach(module => bound.push(...(module.params ?? [])));
+        }
+
+        bound.push(...(modules[index].params ?? []));
+
+        if (rule.right.length > 0) {
+            let j = index + 1;
+            for (const pattern of rule.right) {
+                // Walk towards the tip: skip side branches, stop at the end of this one
+                while (j < modules.length) {
+                    const symbol = modules[j].symbol;
+                    if (symbol === '[' && brackets[j] >= 0) j = brackets[j] + 1;
+                    else if (symbol === '[' || this.ignore.has(symbol)) j++;
+                    else break;
+                }
+                if (j >= modules.length || !sameShape(modules[j], pattern)) return null;
+                bound.push(...(modules[j].params ?? []));
+                j++;
+            }
+        }
+
+        return bound;
+    }
+}
+
+// ============ Parsing ============
+
+/**
+ * Parse one rule line
+ * @param {string} text
+ * @param {Object<string, number>} constants
+ * @returns {Object}
+ */
+function parseRule(text, constants) {
+    const arrow = /-(?:\(([^()]*)\)-)?>/.exec(text);
+    if (!arrow) {
+        throw new Error('Expected "->" between predecessor and successor');
+    }
+
+    let head = text.slice(0, arrow.index);
+    let conditionText = null;
+    const colon = head.indexOf(':');
+    if (colon >= 0) {
+        conditionText = head.slice(colon + 1);
+        head = head.slice(0, colon);
+    }
+
+    // Contexts: left < predecessor > right
+    let leftText = '';
+    let rightText = '';
+    if (head.includes('<')) [leftText, head] = head.split('<');
+    if (head.includes('>')) [head, rightText] = head.split('>');
+
+    const readFormal = arg => {
+        const name = arg.trim();
+        if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw new Error(`Expected a parameter name, got "${name}"`);
+        }
+        return name;
+    };
+    const shape = module => ({ symbol: module.symbol, arity: module.args?.length ?? 0, names: module.args ?? [] });
+
+    const left = parseModules(leftText, readFormal).map(shape);
+    const right = parseModules(rightText, readFormal).map(shape);
+    const predecessor = parseModules(head, readFormal).map(shape);
+    if (predecessor.length !== 1) {
+        throw new Error(predecessor.length === 0
+            ? 'Missing predecessor before "->"'
+            : `Predecessor must be one symbol, got "${head.trim()}"`);
+    }
+
+    // Parameter names index the bound values: left context, predecessor, right context
+    const names = [...left, ...predecessor, ...right].flatMap(module => module.names);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw new Error(`Parameter "${duplicate}" is used twice`);
+    }
+    const resolve = name => {
+        const index = names.indexOf(name);
+        if (index >= 0) return bound => bound[index];
+        if (name in constants) return () => constants[name];
+        throw new Error(`Unknown name "${name}"`);
+    };
+    const compile = arg => compileExpression(arg, resolve);
+
+    const successor = parseModules(text.slice(arrow.index + arrow[0].length), compile).map(module => (
+        module.args
+            ? { symbol: module.symbol, args: module.args }
+            : { module: { symbol: module.symbol, params: null } }
+    ));
+
+    return {
+        symbol: predecessor[0].symbol,
+        arity: predecessor[0].arity,
+        left,
+        right,
+        hasContext: left.length > 0 || right.length > 0,
+        condition: conditionText !== null ? compile(conditionText) : null,
+        weight: arrow[1] !== undefined ? compile(arrow[1]) : () => 1,
+        successor
+    };
+}
+
+/**
+ * Split a module string such as "F(1, 2)[+A(x)]" into symbols and arguments
+ * @param {string} text
+ * @param {function(string): *} readArg - Converts each argument's text
+ * @returns {Array<{symbol: string, args: Array|null}>}
+ */
+function parseModules(text, readArg) {
+    const modules = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const symbol = text[i++];
+        if (/\s/.test(symbol)) continue;
+        if ('(),'.includes(symbol)) {
+            throw new Error(`Unexpected "${symbol}"`);
+        }
+
+        // Optional argument list, possibly after spaces
+        let j = i;
+        while (j < text.length && /\s/.test(text[j])) j++;
+        if (text[j] !== '(') {
+            modules.push({ symbol, args: null });
+            continue;
+        }
+
+        const args = [];
+        let depth = 0;
+        let start = j + 1;
+        for (j = start; j < text.length; j++) {
+            const char = text[j];
+            if (char === '(') depth++;
+            else if (char === ')' && depth > 0) depth--;
+            else if ((char === ',' || char === ')') && depth === 0) {
+                args.push(readArg(text.slice(start, j)));
+                start = j + 1;
+                if (char === ')') break;
+            }
+        }
+        if (j >= text.length) {
+            throw new Error(`Missing ")" after "${symbol}("`);
+        }
+
+        modules.push({ symbol, args });
+        i = j + 1;
+    }
+
+    return modules;
+}
+
+/**
+ * Compile an arithmetic expression into a function of the bound parameter values
+ * Supports + - * / % ^, comparisons, && || !, parentheses and FUNCTIONS
+ * @param {string} text
+ * @param {function(string): function(number[]): number} resolve - Look up a name
+ * @returns {function(number[]): number}
+ */
+function compileExpression(text, resolve) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+        tokens.push(match[1]);
+    }
+    if (tokens.length === 0) {
+        throw new Error('Empty expression');
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const expect = token => {
+        if (tokens[position] !== token) {
+            throw new Error(`Expected "${token}" in "${text.trim()}"`);
+        }
+        position++;
+    };
+
+    const parseLevel = level => {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+
+        const operators = BINARY_LEVELS[level];
+        let node = parseLevel(level + 1);
+        while (operators[peek()]) {
+            const apply = operators[tokens[position++]];
+            const a = node;
+            const b = parseLevel(level + 1);
+            node = bound => apply(a(bound), b(bound));
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (peek() === '-') {
+            position++;
+            const operand = parseUnary();
+            return bound => -operand(bound);
+        }
+        if (peek() === '!') {
+            position++;
+            const operand = parseUnary();
+            return bound => (operand(bound) ? 0 : 1);
+        }
+        return parsePower();
+    };
+
+    // Right-associative, and binds tighter than unary minus: -2^2 = -4
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() !== '^') return base;
+        position++;
+        const exponent = parseUnary();
+        return bound => Math.pow(base(bound), exponent(bound));
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (token === undefined) {
+            throw new Error(`Unexpected end of "${text.trim()}"`);
+        }
+        if (token === '(') {
+            const inner = parseLevel(0);
+            expect(')');
+            return inner;
+        }
+        if (/^\.?\d/.test(token)) {
+            const value = parseFloat(token);
+            return () => value;
+        }
+        if (/^[A-Za-z_]/.test(token)) {
+            if (peek() !== '(') return resolve(token);
+
+            const fn = FUNCTIONS[token];
+            if (!fn) {
+                throw new Error(`Unknown function "${token}"`);
+            }
+            position++;
+            const args = [];
+            if (peek() !== ')') {
+                args.push(parseLevel(0));
+                while (peek() === ',') {
+                    position++;
+                    args.push(parseLevel(0));
+                }
+            }
+            expect(')');
+            return bound => fn(...args.map(arg => arg(bound)));
+        }
+        throw new Error(`Unexpected "${token}" in "${text.trim()}"`);
+    };
+
+    const root = parseLevel(0);
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}" in "${text.trim()}"`);
+    }
+    return root;
+}
+
+// ============ Matching ============
+
+/**
+ * Number of parameters of a module
+ * @param {{params: number[]|null}} module
+ * @returns {number}
+ */
+function arity(module) {
+    return module.params ? module.params.length : 0;
+}
+
+/**
+ * Check a module against a context pattern (same symbol and parameter count)
+ * @returns {boolean}
+ */
+function sameShape(module, pattern) {
+    return module.symbol === pattern.symbol && arity(module) === pattern.arity;
+}
+
+/**
+ * Index of the matching bracket for every [ and ] (-1 if unmatched or not a bracket)
+ * @param {Array<{symbol: string}>} modules
+ * @returns {Int32Array}
+ */
+function matchBrackets(modules) {
+    const pairs = new Int32Array(modules.length).fill(-1);
+    const open = [];
+    modules.forEach((module, i) => {
+        if (module.symbol === '[') {
+            open.push(i);
+        } else if (module.symbol === ']' && open.length > 0) {
+            const start = open.pop();
+            pairs[start] = i;
+            pairs[i] = start;
+        }
+    });
+    return pairs;
+}
@@ -3,6 +3,8 @@
  * Provides vector operations, easing functions, and common math helpers
  */
 
+import { random } from './Random.js';
+
 /**
  * Math utilities object
  */
@@ -54,7 +56,7 @@ export const MathUtils = {
      * @param {number} max
      * @returns {number}
      */
-    random: (min, max) => Math.random() * (max - min) + min,
+    random: (min, max) => random() * (max - min) + min,
 
     /**
      * Random integer between min and max (inclusive)
@@ -62,7 +64,7 @@ export const MathUtils = {
      * @param {number} max
      * @returns {number}
      */
-    randomInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    randomInt: (min, max) => Math.floor(random() * (max - min + 1)) + min,
 
     /**
      * Convert degrees to radians
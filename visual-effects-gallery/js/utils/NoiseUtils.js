@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Gradient noise for procedural effects
+ * Seedable simplex and Perlin noise in 2D, 3D and 4D, plus helpers that build
+ * on any noise function: fractal Brownian motion, domain warping, curl noise
+ * and seamless loops through 4D noise
+ */
+
+import { SeededRandom, randomSeed } from './Random.js';
+
+// Simplex skew/unskew factors per dimension
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const F4 = (Math.sqrt(5) - 1) / 4;
+const G4 = (5 - Math.sqrt(5)) / 20;
+
+/**
+ * Gradients for 2D and 3D noise: the midpoints of a cube's edges
+ */
+const GRAD3 = new Float32Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+
+/**
+ * Gradients for 4D noise: the midpoints of a tesseract's edges
+ */
+const GRAD4 = new Float32Array([
+    0, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1,
+    0, -1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1,
+    1, 0, 1, 1, 1, 0, 1, -1, 1, 0, -1, 1, 1, 0, -1, -1,
+    -1, 0, 1, 1, -1, 0, 1, -1, -1, 0, -1, 1, -1, 0, -1, -1,
+    1, 1, 0, 1, 1, 1, 0, -1, 1, -1, 0, 1, 1, -1, 0, -1,
+    -1, 1, 0, 1, -1, 1, 0, -1, -1, -1, 0, 1, -1, -1, 0, -1,
+    1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0,
+    -1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1, 0
+]);
+
+/**
+ * Quintic fade curve for Perlin noise (zero first and second derivative at 0 and 1)
+ * @param {number} t
+ * @returns {number}
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Noise - Seeded simplex and Perlin noise
+ * Every function returns roughly -1 to 1 and is 0 at integer lattice points (Perlin)
+ */
+export class Noise {
+    /**
+     * @param {number|string} seed
+     */
+    constructor(seed = randomSeed()) {
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        this.reseed(seed);
+    }
+
+    /**
+     * Rebuild the permutation table from a seed
+     * @param {number|string} seed
+     */
+    reseed(seed) {
+        this.seed = seed;
+        const random = new SeededRandom(seed);
+        const table = Array.from({ length: 256 }, (_, i) => i);
+
+        // Fisher-Yates shuffle
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            [table[i], table[j]] = [table[j], table[i]];
+        }
+
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = table[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    // ============ Simplex ============
+
+    /**
+     * 2D simplex noise
+     * @param {number} x
+     * @param {number} y
+     * @returns {number} -1 to 1
+     */
+    simplex2(x, y) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        // Skew to find the simplex cell, then unskew back
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which of the two triangles we're in
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = 1 - i1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        let n = 0;
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = permMod12[ii + perm[jj]] * 3;
+            t0 *= t0;
+            n += t0 * t0 * (GRAD3[g] * x0 + GRAD3[g + 1] * y0);
+        }
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = permMod12[ii + i1 + perm[jj + j1]] * 3;
+            t1 *= t1;
+            n += t1 * t1 * (GRAD3[g] * x1 + GRAD3[g + 1] * y1);
+        }
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = permMod12[ii + 1 + perm[jj + 1]] * 3;
+            t2 *= t2;
+            n += t2 * t2 * (GRAD3[g] * x2 + GRAD3[g + 1] * y2);
+        }
+
+        return 70 * n;
+    }
+
+    /**
+     * 3D simplex noise
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number} -1 to 1
+     */
+    simplex3(x, y, z) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Order the offsets to find which of the six tetrahedra we're in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const corners = [
+            [x0, y0, z0, 0, 0, 0],
+            [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+            [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+            [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1]
+        ];
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+
+        // A squared kernel radius of 0.5 keeps each corner's falloff inside the
+        // simplices around it; anything larger leaves seams along their faces
+        let n = 0;
+        for (const [cx, cy, cz, oi, oj, ok] of corners) {
+            let tc = 0.5 - cx * cx - cy * cy - cz * cz;
+            if (tc > 0) {
+                const g = permMod12[ii + oi + perm[jj + oj + perm[kk + ok]]] * 3;
+                tc *= tc;
+                n += tc * tc * (GRAD3[g] * cx + GRAD3[g + 1] * cy + GRAD3[g + 2] * cz);
+            }
+        }
+
+        return 76 * n;
+    }
+
+    /**
+     * 4D simplex noise
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} w
+     * @returns {number} -1 to 1
+     */
+    simplex4(x, y, z, w) {
+        const perm = this.perm;
+
+        const s = (x + y + z + w) * F4;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const l = Math.floor(w + s);
+        const t = (i + j + k + l) * G4;
+        const offsets = [x - (i - t), y - (j - t), z - (k - t), w - (l - t)];
+
+        // Rank each coordinate: the simplex steps along the largest offset first
+        const rank = [0, 0, 0, 0];
+        for (let a = 0; a < 4; a++) {
+            for (let b = a + 1; b < 4; b++) {
+                if (offsets[a] > offsets[b]) rank[a]++;
+                else rank[b]++;
+            }
+        }
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const ll = l & 255;
+
+        // Same seam-free kernel radius as simplex3()
+        let n = 0;
+        for (let corner = 0; corner < 5; corner++) {
+            // Corner c has stepped along every axis ranked at least 4 - c
+            const step = rank.map(r => (corner > 0 && r >= 4 - corner ? 1 : 0));
+            const cx = offsets[0] - step[0] + corner * G4;
+            const cy = offsets[1] - step[1] + corner * G4;
+            const cz = offsets[2] - step[2] + corner * G4;
+            const cw = offsets[3] - step[3] + corner * G4;
+
+            let tc = 0.5 - cx * cx - cy * cy - cz * cz - cw * cw;
+            if (tc > 0) {
+                const g = (perm[ii + step[0] + perm[jj + step[1] + perm[kk + step[2] + perm[ll + step[3]]]]] % 32) * 4;
+                tc *= tc;
+                n += tc * tc * (GRAD4[g] * cx + GRAD4[g + 1] * cy + GRAD4[g + 2] * cz + GRAD4[g + 3] * cw);
+            }
+        }
+
+        return 62 * n;
+    }
+
+    // ============ Perlin ============
+
+    /**
+     * 2D Perlin (gradient) noise
+     * @param {number} x
+     * @param {number} y
+     * @returns {number} Roughly -1 to 1
+     */
+    perlin2(x, y) {
+        const perm = this.perm;
+        const X = Math.floor(x);
+        const Y = Math.floor(y);
+        const fx = x - X;
+        const fy = y - Y;
+        const xi = X & 255;
+        const yi = Y & 255;
+
+        const dot = (hash, dx, dy) => {
+            const g = (hash % 12) * 3;
+            return GRAD3[g] * dx + GRAD3[g + 1] * dy;
+        };
+
+        const n00 = dot(perm[xi + perm[yi]], fx, fy);
+        const n10 = dot(perm[xi + 1 + perm[yi]], fx - 1, fy);
+        const n01 = dot(perm[xi + perm[yi + 1]], fx, fy - 1);
+        const n11 = dot(perm[xi + 1 + perm[yi + 1]], fx - 1, fy - 1);
+
+        const u = fade(fx);
+        const v = fade(fy);
+        const nx0 = n00 + (n10 - n00) * u;
+        const nx1 = n01 + (n11 - n01) * u;
+        return nx0 + (nx1 - nx0) * v;
+    }
+
+    /**
+     * 3D Perlin (gradient) noise
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number} Roughly -1 to 1
+     */
+    perlin3(x, y, z) {
+        const perm = this.perm;
+        const X = Math.floor(x);
+        const Y = Math.floor(y);
+        const Z = Math.floor(z);
+        const fx = x - X;
+        const fy = y - Y;
+        const fz = z - Z;
+        const xi = X & 255;
+        const yi = Y & 255;
+        const zi = Z & 255;
+
+        const corner = (ox, oy, oz) => {
+            const g = (perm[xi + ox + perm[yi + oy + perm[zi + oz]]] % 12) * 3;
+            return GRAD3[g] * (fx - ox) + GRAD3[g + 1] * (fy - oy) + GRAD3[g + 2] * (fz - oz);
+        };
+
+        const u = fade(fx);
+        const v = fade(fy);
+        const s = fade(fz);
+        const lerp = (a, b, t) => a + (b - a) * t;
+
+        return lerp(
+            lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), u), lerp(corner(0, 1, 0), corner(1, 1, 0), u), v),
+            lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), u), lerp(corner(0, 1, 1), corner(1, 1, 1), u), v),
+            s
+        );
+    }
+
+    /**
+     * 4D Perlin (gradient) noise
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} w
+     * @returns {number} Roughly -1 to 1
+     */
+    perlin4(x, y, z, w) {
+        const perm = this.perm;
+        const X = Math.floor(x);
+        const Y = Math.floor(y);
+        const Z = Math.floor(z);
+        const W = Math.floor(w);
+        const fx = x - X;
+        const fy = y - Y;
+        const fz = z - Z;
+        const fw = w - W;
+        const xi = X & 255;
+        const yi = Y & 255;
+        const zi = Z & 255;
+        const wi = W & 255;
+
+        const corner = (ox, oy, oz, ow) => {
+            const g = (perm[xi + ox + perm[yi + oy + perm[zi + oz + perm[wi + ow]]]] % 32) * 4;
+            return GRAD4[g] * (fx - ox) + GRAD4[g + 1] * (fy - oy) + GRAD4[g + 2] * (fz - oz) + GRAD4[g + 3] * (fw - ow);
+        };
+
+        const u = fade(fx);
+        const v = fade(fy);
+        const s = fade(fz);
+        const r = fade(fw);
+        const lerp = (a, b, t) => a + (b - a) * t;
+
+        // Interpolate along x, then y, then z, then w
+        const cube = ow => lerp(
+            lerp(lerp(corner(0, 0, 0, ow), corner(1, 0, 0, ow), u), lerp(corner(0, 1, 0, ow), corner(1, 1, 0, ow), u), v),
+            lerp(lerp(corner(0, 0, 1, ow), corner(1, 0, 1, ow), u), lerp(corner(0, 1, 1, ow), corner(1, 1, 1, ow), u), v),
+            s
+        );
+        return lerp(cube(0), cube(1), r);
+    }
+}
+
+/**
+ * Helpers that build on any noise function (x, y, z?, w?) => number
+ */
+export const NoiseUtils = {
+    /**
+     * Fractal Brownian motion: octaves of noise at rising frequency and falling amplitude
+     * @param {function(number, number, number=, number=): number} sample - e.g. (x, y) => noise.simplex2(x, y)
+     * @param {Object} config
+     * @param {number} config.octaves
+     * @param {number} config.lacunarity - Frequency multiplier per octave
+     * @param {number} config.gain - Amplitude multiplier per octave
+     * @returns {function(number, number, number=, number=): number} Roughly -1 to 1
+     */
+    fbm(sample, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+        // Normalize so the sum stays in the range of a single octave
+        let norm = 0;
+        for (let o = 0, amplitude = 1; o < octaves; o++, amplitude *= gain) norm += amplitude;
+
+        return (x, y, z = 0, w = 0) => {
+            let sum = 0;
+            let amplitude = 1;
+            let frequency = 1;
+            for (let o = 0; o < octaves; o++) {
+                // Shift each octave so their lattices don't line up at the origin
+                const shift = o * 17.31;
+                sum += amplitude * sample(x * frequency + shift, y * frequency - shift, z * frequency, w * frequency);
+                amplitude *= gain;
+                frequency *= lacunarity;
+            }
+            return sum / norm;
+        };
+    },
+
+    /**
+     * Domain warping: offset the input of one noise by another
+     * @param {function(number, number, number=, number=): number} sample - Noise to warp
+     * @param {number} amount - Offset distance in input units
+     * @param {function(number, number, number=, number=): number} warpSample - Noise giving the offset (defaults to sample)
+     * @returns {function(number, number, number=, number=): number}
+     */
+    warp(sample, amount = 1, warpSample = sample) {
+        return (x, y, z = 0, w = 0) => {
+            // Two decorrelated samples for the x and y offsets
+            const qx = warpSample(x + 5.2, y + 1.3, z, w);
+            const qy = warpSample(x - 1.7, y + 9.2, z, w);
+            return sample(x + amount * qx, y + amount * qy, z, w);
+        };
+    },
+
+    /**
+     * Curl of a 2D potential field: a divergence-free flow (no sinks or sources)
+     * @param {function(number, number, number=, number=): number} sample - Potential
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Extra coordinates passed through (e.g. time)
+     * @param {number} w
+     * @param {number} epsilon - Finite difference step
+     * @returns {{x: number, y: number}} Velocity (dψ/dy, -dψ/dx)
+     */
+    curl2(sample, x, y, z = 0, w = 0, epsilon = 1e-3) {
+        const dx = sample(x + epsilon, y, z, w) - sample(x - epsilon, y, z, w);
+        const dy = sample(x, y + epsilon, z, w) - sample(x, y - epsilon, z, w);
+        return { x: dy / (2 * epsilon), y: -dx / (2 * epsilon) };
+    },
+
+    /**
+     * Turn 4D noise into 2D noise that loops in time: the last two
+     * coordinates travel around a circle, so t = 0 and t = 1 match exactly
+     * @param {function(number, number, number, number): number} sample4
+     * @param {number} radius - Circle radius in noise units (larger changes faster)
+     * @returns {function(number, number, number): number} (x, y, t) with t looping over 0-1
+     */
+    loop(sample4, radius = 1) {
+        return (x, y, t) => {
+            const angle = t * Math.PI * 2;
+            return sample4(x, y, radius * Math.cos(angle), radius * Math.sin(angle));
+        };
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Seedable pseudo-random number generation
+ * Provides a small deterministic PRNG so compositions can be reproduced from a seed
+ */
+
+/**
+ * Hash a seed value (number or string) into a 32-bit unsigned integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // FNV-1a over the string form
+    const str = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a fresh random seed
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * SeededRandom - Deterministic generator (mulberry32)
+ * The same seed always produces the same sequence
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed
+     */
+    constructor(seed = randomSeed()) {
+        this.reset(seed);
+    }
+
+    /**
+     * Restart the sequence, optionally with a new seed
+     * @param {number|string} seed
+     */
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.state = hashSeed(seed);
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float between min and max
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Random integer between min and max (inclusive)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+/**
+ * Generator used by the shared utils (MathUtils.random, ColorUtils.random, ...)
+ * BaseDemo points this at its own instance before running any demo code,
+ * so helpers draw from the seeded sequence of whichever demo is active
+ * @type {SeededRandom|null}
+ */
+let activeRandom = null;
+
+/**
+ * Set the generator used by the shared utils
+ * @param {SeededRandom|null} rng - null falls back to Math.random
+ */
+export function setActiveRandom(rng) {
+    activeRandom = rng;
+}
+
+/**
+ * Float in [0, 1) from the active generator
+ * @returns {number}
+ */
+export function random() {
+    return activeRandom ? activeRandom.next() : Math.random();
+}
@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Vector output for line-based demos
+ * Demos emit lines, polylines and circles while they draw; segments that
+ * continue one another are merged into paths. Output is SVG, either styled
+ * like the canvas or in plotter form (one pen, no fills, paths ordered to
+ * cut travel between strokes)
+ */
+
+/**
+ * Segment ends are matched for merging after rounding to 1/MERGE_PRECISION px
+ */
+const MERGE_PRECISION = 100;
+
+/**
+ * Grid cell size (px) for finding the nearest path end when ordering for a plotter
+ */
+const ORDER_CELL = 32;
+
+/**
+ * Round a coordinate for output
+ * @param {number} v
+ * @returns {number}
+ */
+function fmt(v) {
+    return Math.round(v * 100) / 100;
+}
+
+/**
+ * Escape an attribute value
+ * @param {string} value
+ * @returns {string}
+ */
+function attr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * SVGBuilder - Collects vector geometry and writes it as SVG
+ * Supports a canvas-like transform stack (save, restore, translate, rotate)
+ * so demos that draw with transforms can emit the same calls
+ */
+export class SVGBuilder {
+    /**
+     * @param {number} width - Canvas size in CSS pixels
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.stack = [];
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.background = null;
+        this.clear();
+    }
+
+    /**
+     * Drop everything emitted so far (demos call this where they repaint the background)
+     * @param {string|null} background - Background color, or null to keep the current one
+     */
+    clear(background = null) {
+        /** @type {Array<Object>} Paths and circles in drawing order */
+        this.items = [];
+        /** Open paths by their end point and style, for merging continued segments */
+        this.ends = new Map();
+        if (background !== null) this.background = background;
+    }
+
+    /**
+     * Number of paths and circles collected
+     * @returns {number}
+     */
+    get count() {
+        return this.items.length;
+    }
+
+    // ============ Transforms ============
+
+    save() {
+        this.stack.push(this.matrix.slice());
+    }
+
+    restore() {
+        if (this.stack.length > 0) this.matrix = this.stack.pop();
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    translate(x, y) {
+        const m = this.matrix;
+        m[4] += m[0] * x + m[2] * y;
+        m[5] += m[1] * x + m[3] * y;
+    }
+
+    /**
+     * @param {number} angle - Radians, clockwise on screen like the canvas
+     */
+    rotate(angle) {
+        const m = this.matrix;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [a, b, c, d] = m;
+        m[0] = a * cos + c * sin;
+        m[1] = b * cos + d * sin;
+        m[2] = c * cos - a * sin;
+        m[3] = d * cos - b * sin;
+    }
+
+    // ============ Geometry ============
+
+    /**
+     * Add a line segment; it extends an open path with the same style that ends where it starts
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {{stroke: string, width: number}} style
+     */
+    line(x1, y1, x2, y2, style) {
+        const m = this.matrix;
+        const ax = m[0] * x1 + m[2] * y1 + m[4];
+        const ay = m[1] * x1 + m[3] * y1 + m[5];
+        const bx = m[0] * x2 + m[2] * y2 + m[4];
+        const by = m[1] * x2 + m[3] * y2 + m[5];
+        if (ax === bx && ay === by) return;
+
+        const styleKey = `${style.stroke}|${style.width}`;
+        const startKey = this._key(ax, ay, styleKey);
+        const path = this.ends.get(startKey);
+
+        if (path) {
+            this.ends.delete(startKey);
+            path.points.push(bx, by);
+            this.ends.set(this._key(bx, by, styleKey), path);
+            return;
+        }
+
+        const created = { type: 'path', points: [ax, ay, bx, by], style, closed: false };
+        this.items.push(created);
+        this.ends.set(this._key(bx, by, styleKey), created);
+    }
+
+    /**
+     * Add a polyline or polygon
+     * @param {Array<{x: number, y: number}>} points
+     * @param {{stroke: string, fill: string, width: number}} style
+     * @param {boolean} closed
+     */
+    polyline(points, style, closed = false) {
+        if (points.length < 2) return;
+        const m = this.matrix;
+        const flat = [];
+        for (const { x, y } of points) {
+            flat.push(m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]);
+        }
+        this.items.push({ type: 'path', points: flat, style, closed });
+    }
+
+    /**
+     * Add a circle
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @param {{stroke: string, fill: string, width: number}} style
+     */
+    circle(x, y, radius, style) {
+        const m = this.matrix;
+        this.items.push({
+            type: 'circle',
+            x: m[0] * x + m[2] * y + m[4],
+            y: m[1] * x + m[3] * y + m[5],
+            radius: radius * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])),
+            style
+        });
+    }
+
+    // ============ Output ============
+
+    /**
+     * Remove points that stray less than tolerance from the line through their
+     * neighbours (Ramer-Douglas-Peucker)
+     * @param {Array<number>} points - Flat x, y pairs
+     * @param {number} tolerance - Pixels; 0 keeps every point
+     * @returns {Array<number>}
+     */
+    static simplify(points, tolerance) {
+        const count = points.length / 2;
+        if (tolerance <= 0 || count < 3) return points;
+
+        const keep = new Uint8Array(count);
+        keep[0] = keep[count - 1] = 1;
+        const ranges = [[0, count - 1]];
+        const toleranceSq = tolerance * tolerance;
+
+        while (ranges.length > 0) {
+            const [first, last] = ranges.pop();
+            const ax = points[first * 2], ay = points[first * 2 + 1];
+            const dx = points[last * 2] - ax, dy = points[last * 2 + 1] - ay;
+            const lengthSq = dx * dx + dy * dy;
+            let farthest = -1;
+            let farthestSq = toleranceSq;
+
+            for (let i = first + 1; i < last; i++) {
+                const px = points[i * 2] - ax, py = points[i * 2 + 1] - ay;
+                // Squared distance to the segment (to the point itself if the segment is degenerate)
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+                const ex = px - t * dx, ey = py - t * dy;
+                const distSq = ex * ex + ey * ey;
+                if (distSq > farthestSq) {
+                    farthest = i;
+                    farthestSq = distSq;
+                }
+            }
+
+            if (farthest >= 0) {
+                keep[farthest] = 1;
+                ranges.push([first, farthest], [farthest, last]);
+            }
+        }
+
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            if (keep[i]) result.push(points[i * 2], points[i * 2 + 1]);
+        }
+        return result;
+    }
+
+    /**
+     * Write the collected geometry as an SVG document
+     * @param {Object} options
+     * @param {boolean} options.plotter - Single stroke, no fills, merged and ordered paths
+     * @param {number} options.tolerance - Simplification tolerance in pixels
+     * @returns {string}
+     */
+    toSVG({ plotter = false, tolerance = 0.5 } = {}) {
+        const body = plotter ? this._plotterBody(tolerance) : this._styledBody(tolerance);
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(this.width)}" height="${fmt(this.height)}" viewBox="0 0 ${fmt(this.width)} ${fmt(this.height)}">`,
+            ...body,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * @param {Object} options - See toSVG
+     * @returns {Blob}
+     */
+    toBlob(options) {
+        return new Blob([this.toSVG(options)], { type: 'image/svg+xml' });
+    }
+
+    // ============ Private Methods ============
+
+    /**
+     * Map key for an end point with a style
+     * @private
+     */
+    _key(x, y, styleKey) {
+        return `${Math.round(x * MERGE_PRECISION)},${Math.round(y * MERGE_PRECISION)}|${styleKey}`;
+    }
+
+    /**
+     * Path data for flat points
+     * @private
+     */
+    _pathData(points, closed) {
+        let d = `M${fmt(points[0])} ${fmt(points[1])}`;
+        for (let i = 2; i < points.length; i += 2) {
+            d += `L${fmt(points[i])} ${fmt(points[i + 1])}`;
+        }
+        return closed ? `${d}Z` : d;
+    }
+
+    /**
+     * Elements styled like the canvas, in drawing order
+     * @private
+     */
+    _styledBody(tolerance) {
+        const lines = [];
+        if (this.background) {
+            lines.push(`<rect width="100%" height="100%" fill="${attr(this.background)}"/>`);
+        }
+
+        for (const item of this.items) {
+            const { stroke = 'none', fill = 'none', width = 1 } = item.style;
+            const paint = `fill="${attr(fill)}" stroke="${attr(stroke)}" stroke-width="${fmt(width)}"`;
+
+            if (item.type === 'circle') {
+                lines.push(`<circle cx="${fmt(item.x)}" cy="${fmt(item.y)}" r="${fmt(item.radius)}" ${paint}/>`);
+            } else {
+                const points = SVGBuilder.simplify(item.points, tolerance);
+                lines.push(`<path d="${this._pathData(points, item.closed)}" ${paint} stroke-linecap="round" stroke-linejoin="round"/>`);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * One black stroke per pen-down run: shapes become outlines, paths that
+     * meet are joined, and each next path is the nearest remaining one
+     * @private
+     */
+    _plotterBody(tolerance) {
+        const strokes = this.items.map(item => {
+            if (item.type === 'circle') {
+                // Outline as a polygon fine enough to look round
+                const segments = Math.max(8, Math.min(64, Math.ceil(item.radius * 2)));
+                const points = [];
+                for (let i = 0; i <= segments; i++) {
+                    const angle = (i / segments) * Math.PI * 2;
+                    points.push(item.x + Math.cos(angle) * item.radius, item.y + Math.sin(angle) * item.radius);
+                }
+                return points;
+            }
+            const points = SVGBuilder.simplify(item.points, tolerance);
+            return item.closed ? points.concat(points[0], points[1]) : points;
+        });
+
+        const joinDistance = Math.max(tolerance, 0.1);
+        const lines = [];
+        for (const points of this._orderStrokes(strokes, joinDistance)) {
+            lines.push(`<path d="${this._pathData(points, false)}"/>`);
+        }
+
+        return [
+            '<g fill="none" stroke="black" stroke-width="1" stroke-linecap="round" stroke-linejoin="round">',
+            ...lines,
+            '</g>'
+        ];
+    }
+
+    /**
+     * Greedy nearest-neighbour ordering, reversing strokes when their far end
+     * is closer; strokes that start where the previous one ended are joined
+     * @param {Array<Array<number>>} strokes - Flat point arrays
+     * @param {number} joinDistance
+     * @returns {Array<Array<number>>}
+     * @private
+     */
+    _orderStrokes(strokes, joinDistance) {
+        // Spatial grid of stroke ends
+        const grid = new Map();
+        let minCell = Infinity, maxCell = -Infinity;
+        const cellOf = (x, y) => [Math.floor(x / ORDER_CELL), Math.floor(y / ORDER_CELL)];
+
+        strokes.forEach((points, index) => {
+            for (const reversed of [false, true]) {
+                const at = reversed ? points.length - 2 : 0;
+                const entry = { index, reversed, x: points[at], y: points[at + 1] };
+                const [cx, cy] = cellOf(entry.x, entry.y);
+                const key = `${cx},${cy}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(entry);
+                minCell = Math.min(minCell, cx, cy);
+                maxCell = Math.max(maxCell, cx, cy);
+            }
+        });
+
+        const used = new Uint8Array(strokes.length);
+        const ordered = [];
+        let current = null;
+        let x = 0, y = 0;
+
+        for (let remaining = strokes.length; remaining > 0; remaining--) {
+            // Search rings of cells around the pen until nothing nearer can exist
+            const [px, py] = cellOf(x, y);
+            const maxRing = Math.max(Math.abs(px - minCell), Math.abs(px - maxCell), Math.abs(py - minCell), Math.abs(py - maxCell)) + 1;
+            let best = null;
+            let bestDist = Infinity;
+
+            for (let ring = 0; ring <= maxRing; ring++) {
+                if (best && (ring - 1) * ORDER_CELL > bestDist) break;
+                for (let cx = px - ring; cx <= px + ring; cx++) {
+                    for (let cy = py - ring; cy <= py + ring; cy++) {
+                        if (Math.max(Math.abs(cx - px), Math.abs(cy - py)) !== ring) continue;
+                        const cell = grid.get(`${cx},${cy}`);
+                        if (!cell) continue;
+                        for (const entry of cell) {
+                            if (used[entry.index]) continue;
+                            const dist = Math.hypot(entry.x - x, entry.y - y);
+                            if (dist < bestDist) {
+                                best = entry;
+                                bestDist = dist;
+                            }
+                        }
+                    }
+                }
+            }
+
+            used[best.index] = 1;
+            let points = strokes[best.index];
+            if (best.reversed) {
+                const reversed = [];
+                for (let i = points.length - 2; i >= 0; i -= 2) reversed.push(points[i], points[i + 1]);
+                points = reversed;
+            }
+
+            if (current && bestDist <= joinDistance) {
+                for (let i = 2; i < points.length; i++) current.push(points[i]);
+            } else {
+                current = points.slice();
+                ordered.push(current);
+            }
+            x = current[current.length - 2];
+            y = current[current.length - 1];
+        }
+
+        return ordered;
+    }
+}
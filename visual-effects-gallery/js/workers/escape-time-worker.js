@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Escape-time tile worker
+ * Computes one tile of iteration counts per message for TileRenderer
+ */
+
+import { EscapeTime } from '../utils/EscapeTime.js';
+
+/** Latest reference orbit (perturbation), sent only when it changes */
+let reference = null;
+
+self.addEventListener('message', (e) => {
+    const { id, params } = e.data;
+    if (e.data.reference) {
+        reference = e.data.reference;
+    }
+    const data = EscapeTime.computeTile({ ...params, reference });
+
+    // Hand the buffer over instead of copying it
+    self.postMessage({ id, data }, [data.buffer]);
+});